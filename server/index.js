@@ -0,0 +1,22 @@
+import { WebSocketServer } from 'ws';
+import { Lobby } from './lobby.js';
+
+// Reference multiplayer server: `npm run server`, then open the game with ?mode=online&room=<name>
+const PORT = Number(process.env.PORT) || 8081;
+
+const lobby = Lobby();
+const server = new WebSocketServer({ port: PORT });
+
+server.on('connection', (socket) => {
+    socket.on('message', data => lobby.receive(socket, data.toString()));
+    socket.on('close', () => lobby.disconnect(socket));
+});
+
+server.on('listening', () => {
+    console.log(`Battleship server listening on ws://localhost:${PORT}`);
+});
+
+process.on('SIGINT', () => {
+    lobby.close();
+    server.close(() => process.exit(0));
+});
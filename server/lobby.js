@@ -0,0 +1,134 @@
+import { Room } from './room.js';
+
+// How long a room with nobody connected is kept for players to rejoin
+const EMPTY_ROOM_TTL = 10 * 60 * 1000;
+
+/**
+ * Creates the lobby that routes socket messages to rooms, creating a room when its first player joins
+ * @function Lobby
+ * @param {Object} [options={}] - Lobby options
+ * @param {number} [options.emptyRoomTTL=EMPTY_ROOM_TTL] - Milliseconds an empty room is kept for rejoining
+ * @returns {Object} Lobby object with receive and disconnect methods
+ *
+ * @example
+ * const lobby = Lobby();
+ * socket.on('message', data => lobby.receive(socket, data));
+ * socket.on('close', () => lobby.disconnect(socket));
+ */
+export function Lobby({ emptyRoomTTL = EMPTY_ROOM_TTL } = {}) {
+    //==============================================
+    // LOBBY STATE
+    //==============================================
+    const rooms = new Map();
+    const socketRooms = new Map(); // Room each connected socket has joined
+    const expiryTimers = new Map();
+
+    // Replies to a socket with an error message
+    const sendError = (socket, message) => {
+        socket.send(JSON.stringify({ type: 'error', message }));
+    };
+
+    //==============================================
+    // ROOM METHODS
+    //==============================================
+
+    // Gets a room, creating it with the joining player's settings if it does not exist yet.
+    // A finished game's players can still rejoin it with their tokens; anyone else gets a fresh room under the name
+    const getOrCreateRoom = (roomId, settings, token) => {
+        const existing = rooms.get(roomId);
+        if (existing?.isFinished() && !existing.hasToken(token)) {
+            clearTimeout(expiryTimers.get(roomId));
+            expiryTimers.delete(roomId);
+            rooms.delete(roomId);
+        }
+
+        if (!rooms.has(roomId)) rooms.set(roomId, Room(roomId, settings));
+
+        const room = rooms.get(roomId);
+        if (!room.matchesSettings(settings)) throw new Error('Game settings do not match the room');
+        return room;
+    };
+
+    // Keeps an empty room around for a while so its players can rejoin, then drops it
+    const scheduleExpiry = (room) => {
+        clearTimeout(expiryTimers.get(room.id));
+        expiryTimers.set(room.id, setTimeout(() => {
+            expiryTimers.delete(room.id);
+            if (room.isEmpty() && rooms.get(room.id) === room) rooms.delete(room.id);
+        }, emptyRoomTTL));
+    };
+
+    //==============================================
+    // SOCKET METHODS
+    //==============================================
+
+    /**
+     * Handles a raw message from a socket: joins a room or passes game messages to the socket's room
+     * @method receive
+     * @param {Object} socket - Socket with a send method
+     * @param {string} data - JSON message
+     * @returns {void}
+     *
+     * @example
+     * lobby.receive(socket, JSON.stringify({ type: 'join', room: 'lunch', settings: { gridSize: 10 } }));
+     */
+    const receive = (socket, data) => {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            sendError(socket, 'Invalid message');
+            return;
+        }
+        if (!message || typeof message !== 'object' || Array.isArray(message)) {
+            sendError(socket, 'Invalid message');
+            return;
+        }
+
+        if (message.type !== 'join') {
+            const room = socketRooms.get(socket);
+            if (room) room.handleMessage(socket, message);
+            else sendError(socket, 'Join a room first');
+            return;
+        }
+
+        try {
+            if (!message.room || typeof message.room !== 'string') throw new Error('Room name is required');
+
+            const room = getOrCreateRoom(message.room, message.settings ?? {}, message.token);
+            room.join(socket, { token: message.token, lastSeq: message.lastSeq });
+            socketRooms.set(socket, room);
+            clearTimeout(expiryTimers.get(room.id));
+            expiryTimers.delete(room.id);
+        } catch (error) {
+            sendError(socket, error.message);
+        }
+    };
+
+    // Leaves the socket's room, scheduling the room's removal once nobody is left
+    const disconnect = (socket) => {
+        const room = socketRooms.get(socket);
+        if (!room) return;
+
+        socketRooms.delete(socket);
+        room.leave(socket);
+        // A recycled room is no longer listed, so only the listed one is timed out
+        if (room.isEmpty() && rooms.get(room.id) === room) scheduleExpiry(room);
+    };
+
+    // Stops every expiry timer so the process can exit
+    const close = () => {
+        expiryTimers.forEach(timer => clearTimeout(timer));
+        expiryTimers.clear();
+    };
+
+    const getRoomCount = () => rooms.size;
+
+    // Return public API
+    return {
+        receive,
+        disconnect,
+        close,
+        getRoomCount,
+    };
+}
@@ -0,0 +1,218 @@
+import { randomUUID } from 'node:crypto';
+import { GameEngine } from '../src/modules/engine/engine.js';
+import { Player } from '../src/modules/player/player.js';
+import { SHIP_TYPES, DEFAULT_GRID_SIZE, DEFAULT_PLACEMENT_RULE, DEFAULT_BONUS_SHOT_RULE } from '../src/utils/constants.js';
+import { normalizeFleet } from '../src/utils/fleet.js';
+
+const SEAT_KEYS = ['player1', 'player2'];
+
+// Keeps only the settings an online game supports, filling in the defaults; any other engine option is dropped
+const pickSettings = ({
+    gridSize = DEFAULT_GRID_SIZE,
+    fleet = SHIP_TYPES,
+    placementRule = DEFAULT_PLACEMENT_RULE,
+    bonusShot = DEFAULT_BONUS_SHOT_RULE,
+} = {}) => ({ gridSize, fleet: normalizeFleet(fleet), placementRule, bonusShot });
+
+// Reduces game settings to a comparable string
+const describeSettings = (settings) => JSON.stringify(pickSettings(settings));
+
+/**
+ * Creates a multiplayer room that holds the authoritative game for two remote players.
+ * Each player only ever receives their own fleet and the results of attacks; the opponent's
+ * ships stay on the server until they are sunk.
+ * @function Room
+ * @param {string} id - Room name shared by both players
+ * @param {Object} [settings={}] - Grid size, fleet, placement rule and bonus shot rule for the game; other options are ignored
+ * @returns {Object} Room object with join, leave and message handling methods
+ * @throws {Error} When the settings are invalid
+ *
+ * @example
+ * const room = Room('lunch', { gridSize: 10 });
+ * room.join(socket, { token: null, lastSeq: 0 });
+ * room.handleMessage(socket, { type: 'attack', x: 4, y: 4 });
+ */
+export function Room(id, settings = {}) {
+    //==============================================
+    // GAME STATE
+    //==============================================
+    const settingsKey = describeSettings(settings);
+    const players = [Player('Player 1', 'human'), Player('Player 2', 'human')];
+    const engine = GameEngine(players[0], players[1], pickSettings(settings));
+    const boards = [engine.getPlayer1Board(), engine.getPlayer2Board()];
+
+    //==============================================
+    // SEATS
+    //==============================================
+
+    // Each seat keeps its token for rejoining and a numbered log of the game events it was sent
+    const seats = SEAT_KEYS.map(() => ({ token: null, socket: null, log: [], fleetPlaced: false }));
+
+    // Finds the seat a socket is sitting in
+    const getSeatIndex = (socket) => seats.findIndex(seat => seat.socket === socket);
+
+    // Sends a status message that is not replayed on rejoin
+    const sendStatus = (socket, message) => {
+        socket?.send(JSON.stringify(message));
+    };
+
+    // Sends a game event to a seat and logs it for replay after a reconnect
+    const sendEvent = (index, event) => {
+        const seat = seats[index];
+        const message = { ...event, seq: seat.log.length + 1 };
+        seat.log.push(message);
+        sendStatus(seat.socket, message);
+    };
+
+    //==============================================
+    // CONNECTION METHODS
+    //==============================================
+
+    /**
+     * Seats a socket, rejoining the seat its token belongs to and replaying the events it missed
+     * @method join
+     * @param {Object} socket - Socket with a send method
+     * @param {Object} [request={}] - Join request
+     * @param {string} [request.token] - Token from an earlier join
+     * @param {number} [request.lastSeq=0] - Last event the client applied
+     * @returns {string} Seat key ('player1' or 'player2')
+     * @throws {Error} When both seats are taken
+     *
+     * @example
+     * room.join(socket, { token: savedToken, lastSeq: 12 });
+     */
+    const join = (socket, { token = null, lastSeq = 0 } = {}) => {
+        let index = token ? seats.findIndex(seat => seat.token === token) : -1;
+        if (index === -1) index = seats.findIndex(seat => seat.token === null);
+        if (index === -1) throw new Error('Room is full');
+
+        const seat = seats[index];
+        const previousSocket = seat.socket;
+        seat.token = seat.token ?? randomUUID();
+        seat.socket = socket;
+        // A newer tab takes the seat over; the old one is told so it stops reconnecting with the same token
+        sendStatus(previousSocket, { type: 'replaced' });
+        previousSocket?.close?.();
+
+        sendStatus(socket, { type: 'joined', room: id, seat: SEAT_KEYS[index], token: seat.token });
+        seat.log.filter(message => message.seq > lastSeq).forEach(message => sendStatus(socket, message));
+
+        const opponent = seats[1 - index];
+        if (opponent.socket) {
+            sendStatus(socket, { type: 'opponentJoined' });
+            sendStatus(opponent.socket, { type: 'opponentJoined' });
+        } else sendStatus(socket, { type: 'waiting' });
+
+        return SEAT_KEYS[index];
+    };
+
+    // Frees a disconnected socket's seat, keeping it reserved for the token holder
+    const leave = (socket) => {
+        const index = getSeatIndex(socket);
+        if (index === -1) return;
+
+        seats[index].socket = null;
+        sendStatus(seats[1 - index].socket, { type: 'opponentLeft' });
+    };
+
+    //==============================================
+    // GAME MESSAGE METHODS
+    //==============================================
+
+    /**
+     * Handles a game message from a seated socket, replying with an error message when it is rejected
+     * @method handleMessage
+     * @param {Object} socket - Socket that sent the message
+     * @param {Object} message - Parsed message ('placeFleet' or 'attack')
+     * @returns {void}
+     *
+     * @example
+     * room.handleMessage(socket, { type: 'placeFleet', ships: [{ type: 'carrier', x: 0, y: 0, orientation: 'horizontal' }] });
+     */
+    const handleMessage = (socket, message) => {
+        const index = getSeatIndex(socket);
+
+        try {
+            if (index === -1) throw new Error('Join a room first');
+
+            if (message.type === 'placeFleet') placeFleet(index, message.ships);
+            else if (message.type === 'attack') attack(index, message.x, message.y);
+            else throw new Error(`Unknown message type: ${message.type}`);
+        } catch (error) {
+            sendStatus(socket, { type: 'error', message: error.message });
+        }
+    };
+
+    // Validates a seat's whole fleet with the engine's rules and starts the game once both are in
+    const placeFleet = (index, ships) => {
+        if (seats[index].fleetPlaced) throw new Error('Fleet is already placed');
+        if (!Array.isArray(ships)) throw new Error('Fleet layout is missing');
+
+        const board = boards[index];
+        try {
+            ships.forEach(({ type, x, y, orientation }) => engine.placeShip(board, type, x, y, orientation));
+            if (!engine.areAllShipsPlaced(board)) throw new Error('Please place all ships before starting the game');
+        } catch (error) {
+            board.resetBoard();
+            throw error;
+        }
+
+        seats[index].fleetPlaced = true;
+        sendEvent(index, { type: 'fleetAccepted', ships });
+
+        if (seats.every(seat => seat.fleetPlaced)) {
+            engine.startGame();
+            sendEvent(0, { type: 'gameStarted', yourTurn: true });
+            sendEvent(1, { type: 'gameStarted', yourTurn: false });
+        } else {
+            sendStatus(seats[index].socket, { type: 'waiting' });
+        }
+    };
+
+    // Resolves an attack on the opponent's board and tells both seats the result
+    const attack = (index, x, y) => {
+        if (engine.getGameState().gameState !== 'playing') throw new Error('Game is not currently playing');
+        if (engine.getGameState().currentPlayer !== players[index]) throw new Error('It is not your turn');
+        if (!Number.isInteger(x) || !Number.isInteger(y)) throw new Error('Invalid attack coordinates');
+
+        const targetBoard = boards[1 - index];
+        if (targetBoard.isAttacked(x, y)) throw new Error('That cell was already attacked');
+
+        const { status: result, gameOver } = engine.makeGameAttack(x, y);
+
+        // Only a sunk ship's position is revealed
+        const ship = result === 'sunk' ? targetBoard.getShipAt(x, y) : null;
+        const sunkShip = ship ? { type: ship.type, ...targetBoard.getShipPlacement(ship) } : null;
+
+        sendEvent(index, { type: 'attack', by: 'you', x, y, result, sunkShip, winner: gameOver ? 'you' : null });
+        sendEvent(1 - index, { type: 'attack', by: 'opponent', x, y, result, sunkShip, winner: gameOver ? 'opponent' : null });
+    };
+
+    //==============================================
+    // ROOM STATE METHODS
+    //==============================================
+
+    // Checks if a joining player's settings match this room's game
+    const matchesSettings = (otherSettings) => describeSettings(otherSettings) === settingsKey;
+
+    // Checks if nobody is connected
+    const isEmpty = () => seats.every(seat => seat.socket === null);
+
+    // Checks if the game has a winner
+    const isFinished = () => engine.getGameState().winner !== null;
+
+    // Checks if a token belongs to one of the room's seats
+    const hasToken = (token) => Boolean(token) && seats.some(seat => seat.token === token);
+
+    // Return public API
+    return {
+        id,
+        join,
+        leave,
+        handleMessage,
+        matchesSettings,
+        isEmpty,
+        isFinished,
+        hasToken,
+    };
+}
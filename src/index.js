@@ -3,19 +3,96 @@ import './styles/base.css';
 
 import { Game } from './modules/game/game.js';
 import { Player } from './modules/player/player.js';
+import { NetworkPlayer } from './modules/player/networkPlayer.js';
+import { Connection } from './modules/network/connection.js';
+import { AI_STRATEGIES } from './modules/player/strategies.js';
+import { FLEET_PRESETS, SOLO_TIERS } from './utils/constants.js';
+import { loadGame, clearSavedGame } from './utils/storage.js';
+import { getChallengeDate } from './modules/challenge/challenge.js';
+
+const PROFILE_NAME_PATTERN = /^[\w .-]{1,24}$/;
+
+// The page's game is shown in, and autosaved under, this container
+const GAME_CONTAINER = 'game-container';
+
+// URL parameters that choose a game's settings; with any of them, a saved game's settings are not used
+const SETTING_PARAMS = ['mode', 'ai', 'size', 'fleet', 'rule', 'salvo', 'bonus'];
+
+// Replaces the game with the reason it could not start and a link to a game on the default settings
+const showStartupError = (error) => {
+    const message = document.createElement('p');
+    message.classList.add('startup-error');
+    message.textContent = `The game could not start: ${error.message}`;
+
+    const link = document.createElement('a');
+    link.href = window.location.pathname;
+    link.textContent = 'Start a game with the default settings';
+
+    document.getElementById(GAME_CONTAINER).replaceChildren(message, link);
+};
 
 // Initialize game when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
-    // Create players
-    const player1 = Player('Player 1', 'human');
-    const player2 = Player('Player 2', 'computer');
+    // Game options come from the URL: ?size=8 up to ?size=20, ?fleet=russian, ?ai=easy|medium|hard,
+    // ?rule=no-touch|corner-touch|touching, ?salvo=ships (one shot per unsunk ship) or ?salvo=3 (fixed volley),
+    // ?bonus=hit|sunk to fire again after a hit or only after sinking a ship,
+    // ?profile=<name> to record player 1's statistics under a profile name,
+    // ?seed=<seed> to replay a shared game's shuffles, computer fleet and computer shots,
+    // ?enemy=<layout> to debug against a known computer fleet, written as exported from the layout box,
+    // ?mode=hotseat for two players sharing one device,
+    // ?mode=daily[&date=YYYY-MM-DD] for the daily challenge, where everyone attacks the same fleet in as few shots as they can,
+    // ?mode=solo[&tier=easy|medium|hard] to sink a fleet that never fires back within a shot budget,
+    // ?mode=online&room=<name>[&server=ws://host:port] to play another browser through the multiplayer server
+    // Without any of them, a saved game's settings are reused so it can be resumed
+    const params = new URLSearchParams(window.location.search);
+    const saved = SETTING_PARAMS.some(name => params.has(name)) ? null : loadGame(GAME_CONTAINER);
+    try {
+        window.game = createGame(params, saved); // Expose game for debugging
+        console.log('Game initialized:', window.game);
+    } catch (error) {
+        // A save that cannot be played would fail the same way on every reload; a bad URL leaves it for later
+        if (saved) clearSavedGame(GAME_CONTAINER);
+        showStartupError(error);
+    }
+});
+
+// Creates the players and game the URL, or else the saved game's settings, ask for and renders it
+function createGame(params, saved) {
+    const isOnline = params.get('mode') === 'online';
+    const isDaily = params.get('mode') === 'daily';
+    const isSolo = params.get('mode') === 'solo';
+    const level = params.get('ai') ?? saved?.players?.[1]?.level;
+    const createStrategy = AI_STRATEGIES[level] ?? AI_STRATEGIES.medium;
+    const isHotSeat = params.has('mode') ? params.get('mode') === 'hotseat' : saved?.players?.[1]?.type === 'human';
+
+    // Create players; profile names are shown in the page, so only plain names are accepted
+    const profile = params.get('profile');
+    const player1 = Player(profile && PROFILE_NAME_PATTERN.test(profile) ? profile : 'Player 1', 'human');
+    let player2;
+    if (isOnline) player2 = NetworkPlayer('Opponent', Connection(params.get('server') ?? `ws://${window.location.hostname}:8081`));
+    else if (isHotSeat) player2 = Player('Player 2', 'human');
+    else player2 = Player('Player 2', 'computer', createStrategy());
 
     // Create game
-    const game = Game(player1, player2);
+    const gridSize = params.has('size') ? Number(params.get('size')) : saved?.gridSize;
+    const fleet = FLEET_PRESETS[params.get('fleet')] ?? saved?.fleet;
+    const placementRule = params.get('rule') ?? saved?.placementRule;
+    const salvo = params.get('salvo');
+    const shotsPerTurn = salvo && !isOnline ? (salvo === 'ships' ? salvo : Number(salvo)) : saved?.shotsPerTurn;
+    const bonusShot = params.get('bonus') ?? saved?.bonusShot;
+    const seed = params.get('seed') ?? undefined;
+    const enemyLayout = params.get('enemy') ?? undefined;
+    const soloTier = SOLO_TIERS[params.get('tier')] ?? SOLO_TIERS.medium;
+    let game;
+    if (isDaily) game = Game(player1, player2, { challengeDate: params.get('date') ?? getChallengeDate() });
+    else if (isSolo) game = Game(player1, player2, { ...soloTier, solo: true, seed, enemyLayout });
+    else game = Game(player1, player2, { gridSize, fleet, placementRule, shotsPerTurn, bonusShot, seed, enemyLayout, autoSave: !isOnline, trackStats: true });
 
     // Initialize game UI
-    game.initializeGameUI('game-container');
+    game.initializeGameUI(GAME_CONTAINER);
+
+    // The server keeps online games, so a reloaded tab rejoins rather than resuming a local save
+    if (isOnline) player2.join(params.get('room') ?? 'lobby', { gridSize, fleet, placementRule, bonusShot });
 
-    window.game = game; // Expose game for debugging
-    console.log('Game initialized:', game);
-});
\ No newline at end of file
+    return game;
+}
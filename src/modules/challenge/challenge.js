@@ -0,0 +1,88 @@
+// Daily challenge dates are written as YYYY-MM-DD
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Letters a stored result uses for each shot, and the emoji its shared summary shows for them
+const RESULT_CODES = { miss: 'm', hit: 'h', sunk: 's' };
+const SHARE_EMOJI = { m: '⬜', h: '🟧', s: '🟥' };
+
+// The shared summary puts this many shots on each line
+const SHARE_ROW_LENGTH = 10;
+
+/**
+ * Gets the daily challenge date for a moment, in the player's own time zone
+ * @function getChallengeDate
+ * @param {Date} [date=new Date()] - Moment to get the challenge for
+ * @returns {string} Challenge date as YYYY-MM-DD
+ *
+ * @example
+ * getChallengeDate(new Date(2026, 9, 19, 23, 30)); // '2026-10-19'
+ */
+export function getChallengeDate(date = new Date()) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Gets the seed every player's game uses for a date's challenge, so they all attack the same fleet
+ * @function getChallengeSeed
+ * @param {string} challengeDate - Challenge date as YYYY-MM-DD
+ * @returns {string} Seed for GameEngine
+ * @throws {Error} When the date is not written as YYYY-MM-DD
+ *
+ * @example
+ * const engine = GameEngine(player, computer, { solo: true, seed: getChallengeSeed('2026-10-19') });
+ */
+export function getChallengeSeed(challengeDate) {
+    if (typeof challengeDate !== 'string' || !DATE_PATTERN.test(challengeDate)) throw new Error(`Invalid challenge date: ${challengeDate}`);
+    return `daily:${challengeDate}`;
+}
+
+/**
+ * Reduces a finished challenge to the figures stored and shared for it
+ * @function summarizeChallenge
+ * @param {Object} record - Game record from GameEngine.getGameRecord
+ * @param {string} challengeDate - Challenge date as YYYY-MM-DD
+ * @returns {{date: string, won: boolean, shots: number, hits: number, pattern: string}} Summary whose pattern holds
+ * one letter per shot ('m' miss, 'h' hit, 's' sunk)
+ *
+ * @example
+ * const result = summarizeChallenge(engine.getGameRecord(), '2026-10-19');
+ * console.log(result.shots); // 47
+ */
+export function summarizeChallenge(record, challengeDate) {
+    const shots = record.moves.filter(move => move.attacker === 'player1' && RESULT_CODES[move.result]);
+    const pattern = shots.map(move => RESULT_CODES[move.result]).join('');
+
+    return {
+        date: challengeDate,
+        won: record.winner === 'player1',
+        shots: shots.length,
+        hits: pattern.replace(/m/g, '').length,
+        pattern,
+    };
+}
+
+/**
+ * Formats a challenge result as text to share: the date, shot count and an emoji grid of the shots in order.
+ * The grid follows firing order rather than board position, so it gives nobody the fleet's layout
+ * @function formatChallengeShare
+ * @param {Object} result - Result from summarizeChallenge
+ * @returns {string} Shareable summary
+ *
+ * @example
+ * navigator.clipboard.writeText(formatChallengeShare(result));
+ * // Battleship Daily 2026-10-19
+ * // Fleet sunk in 47 shots (36% hits)
+ * // ⬜⬜🟧🟧🟥⬜...
+ */
+export function formatChallengeShare(result) {
+    const accuracy = result.shots > 0 ? Math.round((result.hits / result.shots) * 100) : 0;
+    const outcome = result.won ? `Fleet sunk in ${result.shots} shots` : `Fleet survived ${result.shots} shots`;
+
+    const rows = [];
+    for (let start = 0; start < result.pattern.length; start += SHARE_ROW_LENGTH) {
+        rows.push([...result.pattern.slice(start, start + SHARE_ROW_LENGTH)].map(code => SHARE_EMOJI[code]).join(''));
+    }
+
+    return [`Battleship Daily ${result.date}`, `${outcome} (${accuracy}% hits)`, ...rows].join('\n');
+}
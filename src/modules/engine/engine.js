@@ -0,0 +1,992 @@
+import { Gameboard } from '../gameboard/gameboard.js';
+import { Ship } from '../ship/ship.js';
+import { SHIP_TYPES, DEFAULT_GRID_SIZE, DEFAULT_PLACEMENT_RULE, BONUS_SHOT_RULES, DEFAULT_BONUS_SHOT_RULE } from '../../utils/constants.js';
+import { normalizeFleet, getFleetShips, getFleetCellCount } from '../../utils/fleet.js';
+import { createRandom } from '../../utils/random.js';
+
+// Random placement tries this many spots per ship, and this many whole layouts, before giving up
+const MAX_PLACEMENT_ATTEMPTS = 1000;
+const MAX_LAYOUT_ATTEMPTS = 100;
+
+// Bumped whenever the saved game format changes
+const SAVE_VERSION = 2;
+
+/**
+ * Creates a headless Battleship engine that owns the rules, boards and turn order without touching the DOM
+ * @function GameEngine
+ * @param {Object} player1 - First player object (typically human)
+ * @param {Object} player2 - Second player object (typically computer)
+ * @param {Object} [options={}] - Game configuration
+ * @param {number} [options.gridSize=10] - Board size shared by both gameboards (8 to 20)
+ * @param {Object} [options.fleet=SHIP_TYPES] - Ship types with name, length, color and optional count
+ * @param {string} [options.placementRule='no-touch'] - Adjacency rule both boards enforce ('no-touch', 'corner-touch' or 'touching')
+ * @param {number|string} [options.shotsPerTurn=1] - Shots fired per turn: a fixed number, or 'ships' for one per unsunk ship (Salvo)
+ * @param {string} [options.bonusShot='none'] - Results that keep the turn with the attacker ('none', 'hit' or 'sunk'); single-shot turns only
+ * @param {Function} [options.random=Math.random] - Random source for fleet placement, returning floats in [0, 1); ignored when seeded
+ * @param {number|string} [options.seed] - Seed replaying the same shuffles, computer fleet and computer shots every game
+ * @param {boolean} [options.solo=false] - Player 1 fires every shot at a computer fleet that never fires back, and needs no fleet of their own
+ * @param {number} [options.shotBudget] - Shots a solo player 1 gets to sink the fleet before losing; unlimited when omitted
+ * @returns {Object} Engine object with setup, attack, turn and subscription methods
+ * @throws {Error} When players are invalid or missing, the grid size, placement rule, shots per turn, bonus shot rule, random source or seed is unsupported,
+ * the fleet does not fit, a solo game has no computer opponent or the shot budget is invalid
+ *
+ * @example
+ * const engine = GameEngine(Player('Alice', 'human'), Player('AI', 'computer'));
+ * engine.shuffleShips(engine.getPlayer1Board());
+ * engine.startGame();
+ * const result = engine.makeGameAttack(4, 7);
+ *
+ * @example
+ * const salvoEngine = GameEngine(player1, player2, { shotsPerTurn: 'ships' });
+ * salvoEngine.makeSalvoAttack([{ x: 0, y: 0 }, { x: 2, y: 2 }, { x: 4, y: 4 }, { x: 6, y: 6 }, { x: 8, y: 8 }]);
+ *
+ * @example
+ * const seededEngine = GameEngine(player1, player2, { seed: 'tuesday' }); // Same computer fleet and shots on every replay
+ *
+ * @example
+ * const soloEngine = GameEngine(Player('Alice', 'human'), Player('Fleet', 'computer'), { solo: true });
+ * soloEngine.startGame(); // Alice fires every shot
+ *
+ * @example
+ * const puzzleEngine = GameEngine(player1, computer, { solo: true, gridSize: 8, shotBudget: 45 });
+ *
+ * @example
+ * const unsubscribe = engine.subscribe(event => {
+ *   if (event.type === 'attack') console.log(`${event.attacker.name}: ${event.result}`);
+ * });
+ */
+export function GameEngine(player1, player2, options = {}) {
+    //==============================================
+    // INPUT VALIDATION
+    //==============================================
+    if (!player1 || !player2) throw new Error('Two players are required');
+
+    const { gridSize = DEFAULT_GRID_SIZE, placementRule = DEFAULT_PLACEMENT_RULE, shotsPerTurn = 1, bonusShot = DEFAULT_BONUS_SHOT_RULE, random = Math.random, solo = false, shotBudget = null } = options;
+    if (shotsPerTurn !== 'ships' && !(Number.isInteger(shotsPerTurn) && shotsPerTurn >= 1)) {
+        throw new Error(`Invalid shots per turn: ${shotsPerTurn}`);
+    }
+    if (!BONUS_SHOT_RULES.includes(bonusShot)) throw new Error(`Invalid bonus shot rule: ${bonusShot}`);
+    if (bonusShot !== 'none' && shotsPerTurn !== 1) throw new Error('Bonus shots cannot be combined with salvo');
+    if (typeof random !== 'function') throw new Error('Random source must be a function');
+    if (solo && player2.type !== 'computer') throw new Error('Solo games are played against a computer fleet');
+    if (solo && shotsPerTurn !== 1) throw new Error('Solo games fire one shot at a time');
+    const fleet = normalizeFleet(options.fleet ?? SHIP_TYPES);
+    if (getFleetCellCount(fleet) > gridSize * gridSize) throw new Error('Fleet does not fit on the board');
+    if (shotBudget !== null) {
+        if (!solo) throw new Error('Only solo games have a shot budget');
+        if (!Number.isInteger(shotBudget) || shotBudget < getFleetCellCount(fleet)) throw new Error(`Invalid shot budget: ${shotBudget}`);
+    }
+
+    //==============================================
+    // GAME STATE
+    //==============================================
+    let currentPlayer = player1;
+    let gameState = 'not playing'; // 'not playing', 'playing'
+    let winner = null;
+    let turnCount = 0;
+    let moveHistory = [];
+    let lastAttack = null; // Most recent single attack, with the ship it sank
+
+    //==============================================
+    // RANDOMNESS
+    //==============================================
+    let seed = options.seed ?? null; // null leaves placement to options.random and the AI to its own source
+    let placementRandom = seed === null ? random : createRandom(seed); // Drives shuffles, restarted from the seed on reset
+
+    //==============================================
+    // PLACEMENT HISTORY
+    //==============================================
+    const placementHistory = new Map(); // Per-board undo and redo stacks, so each player edits only their own fleet
+    let isComputerFleetLoaded = false; // A computer player 2's fleet came from loadLayout, so the next game keeps it
+
+    //==============================================
+    // GAME BOARDS
+    //==============================================
+    const player1Board = Gameboard(gridSize, { placementRule });
+    const player2Board = Gameboard(gridSize, { placementRule });
+
+    //==============================================
+    // SUBSCRIPTIONS
+    //==============================================
+    const listeners = new Set();
+
+    // Notifies every subscriber of a state change
+    const notify = (event) => {
+        listeners.forEach(listener => listener(event));
+    };
+
+    /**
+     * Registers a listener that is called after every state change
+     * @method subscribe
+     * @param {Function} listener - Receives an event object with a `type` and event-specific details
+     * @returns {Function} Unsubscribe function
+     *
+     * @example
+     * const unsubscribe = engine.subscribe(event => console.log(event.type));
+     * unsubscribe();
+     */
+    const subscribe = (listener) => {
+        if (typeof listener !== 'function') throw new Error('Listener must be a function');
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    };
+
+    //==============================================
+    // PLAYER ACCESS METHODS
+    //==============================================
+    const getPlayer1 = () => player1;
+    const getPlayer2 = () => player2;
+    const getPlayer1Board = () => player1Board;
+    const getPlayer2Board = () => player2Board;
+    const getFleet = () => fleet;
+    const getPlacementRule = () => placementRule;
+
+    const getBonusShotRule = () => bonusShot;
+    const isSolo = () => solo;
+    const getShotBudget = () => shotBudget;
+
+    // Counts a player's shots, leaving out repeats at cells already attacked
+    const countShots = (player) => moveHistory.filter(move => move.attacker === toPlayerKey(player) && move.result !== 'already attacked').length;
+
+    /**
+     * Gets how many shots a solo player 1 has left
+     * @method getShotsRemaining
+     * @returns {number|null} Shots left in the budget, or null when the game has no shot budget
+     *
+     * @example
+     * if (engine.getShotsRemaining() === 1) console.log('Last shot!');
+     */
+    const getShotsRemaining = () => (shotBudget === null ? null : Math.max(shotBudget - countShots(player1), 0));
+    const getSeed = () => seed;
+
+    // Checks if players fire a volley of several shots each turn
+    const isSalvo = () => shotsPerTurn !== 1;
+
+    /**
+     * Gets how many shots a player fires this turn, never more than the cells left to attack
+     * @method getShotsPerTurn
+     * @param {Object} [player=currentPlayer] - Player firing
+     * @returns {number} Shots in the player's volley
+     *
+     * @example
+     * engine.getShotsPerTurn(); // 5 in a 'ships' salvo game before any ship is sunk
+     */
+    const getShotsPerTurn = (player = currentPlayer) => {
+        const ownBoard = player === player1 ? player1Board : player2Board;
+        const targetBoard = player === player1 ? player2Board : player1Board;
+        const shots = shotsPerTurn === 'ships' ? ownBoard.getShips().filter(ship => !ship.isSunk()).length : shotsPerTurn;
+
+        return Math.min(shots, gridSize * gridSize - countAttackedCells(targetBoard));
+    };
+
+    // Counts the cells of a board that have been fired at
+    const countAttackedCells = (gameboard) => {
+        let count = 0;
+        for (let x = 0; x < gridSize; x++) {
+            for (let y = 0; y < gridSize; y++) {
+                if (gameboard.isAttacked(x, y)) count++;
+            }
+        }
+        return count;
+    };
+
+    //==============================================
+    // GAME STATE METHODS
+    //==============================================
+    const getGameState = () => {
+        return {
+            currentPlayer,
+            gameState,
+            winner,
+            player1Score: player1.score,
+            player2Score: player2.score,
+            turnCount
+        };
+    };
+
+    /**
+     * Gets every attack made so far, in order
+     * @method getMoveHistory
+     * @returns {Array<Object>} Moves with turn, attacker key, coordinates, result and sunk ship type
+     *
+     * @example
+     * engine.getMoveHistory()[0]; // { turn: 1, attacker: 'player1', x: 4, y: 4, result: 'miss', sunkShipType: null }
+     */
+    const getMoveHistory = () => moveHistory.map(move => ({ ...move }));
+
+    /**
+     * Gets the result of the most recent single attack, naming the ship it sank and the cells that ship covered
+     * @method getLastAttack
+     * @returns {Object|null} Attack result as from makeGameAttack, or null before any attack
+     *
+     * @example
+     * const { sunkShip } = engine.getLastAttack();
+     * if (sunkShip) console.log(`Sank the ${sunkShip.name}`); // 'Sank the Cruiser'
+     */
+    const getLastAttack = () => (lastAttack ? { ...lastAttack } : null);
+
+    /**
+     * Gets a player's shooting figures and their view of the opponent fleet, derived from the move history
+     * @method getMatchStats
+     * @param {Object} player - Player the figures are for
+     * @returns {Object} Shots, hits, misses, accuracy (null before the first shot), current hit streak,
+     * opponent ships sunk and remaining, and a fleet tracker entry per opponent ship
+     *
+     * @example
+     * const { accuracy, fleetTracker } = engine.getMatchStats(engine.getPlayer1());
+     * fleetTracker.filter(ship => ship.sunk).map(ship => ship.name); // ['Destroyer']
+     */
+    const getMatchStats = (player) => {
+        const playerKey = toPlayerKey(player);
+        const shots = moveHistory.filter(move => move.attacker === playerKey && move.result !== 'already attacked');
+        const hits = shots.filter(move => move.result === 'hit' || move.result === 'sunk').length;
+
+        let hitStreak = 0;
+        while (hitStreak < shots.length && shots[shots.length - 1 - hitStreak].result !== 'miss') hitStreak++;
+
+        // Each sunk ship crosses out the first unsunk copy of its type
+        const sunkCounts = {};
+        shots.forEach(move => {
+            if (move.result === 'sunk' && move.sunkShipType) sunkCounts[move.sunkShipType] = (sunkCounts[move.sunkShipType] ?? 0) + 1;
+        });
+        const fleetTracker = getFleetShips(fleet).map(({ id, typeKey }) => {
+            const sunk = (sunkCounts[typeKey] ?? 0) > 0;
+            if (sunk) sunkCounts[typeKey]--;
+            return { id, typeKey, name: fleet[typeKey].name, length: fleet[typeKey].length, sunk };
+        });
+        const shipsSunk = fleetTracker.filter(ship => ship.sunk).length;
+
+        return {
+            shots: shots.length,
+            hits,
+            misses: shots.length - hits,
+            accuracy: shots.length > 0 ? hits / shots.length : null,
+            hitStreak,
+            shipsSunk,
+            shipsRemaining: fleetTracker.length - shipsSunk,
+            fleetTracker,
+        };
+    };
+
+    /**
+     * Gets everything needed to replay the game: configuration, starting layouts and moves
+     * @method getGameRecord
+     * @returns {Object} Game record for Replay
+     *
+     * @example
+     * const replay = Replay(engine.getGameRecord());
+     */
+    const getGameRecord = () => {
+        const getLayout = board => board.serialize().ships.map(({ hits, ...placement }) => placement);
+
+        return {
+            gridSize,
+            fleet,
+            placementRule,
+            seed,
+            playerNames: [player1.name, player2.name],
+            layouts: [getLayout(player1Board), getLayout(player2Board)],
+            moves: getMoveHistory(),
+            winner: toPlayerKey(winner),
+        };
+    };
+
+    //==============================================
+    // TURN MANAGEMENT METHODS
+    //==============================================
+
+    // Switches the active player and increments turn counter; in solo games player 1 keeps firing
+    const switchTurns = () => {
+        if (!solo) currentPlayer = currentPlayer === player1 ? player2 : player1;
+        turnCount++;
+    };
+
+    // Checks if an attack result lets the attacker fire again under the bonus shot rule
+    const earnsBonusShot = (result) => {
+        if (bonusShot === 'hit') return result === 'hit' || result === 'sunk';
+        if (bonusShot === 'sunk') return result === 'sunk';
+        return false;
+    };
+
+    // Checks if either player has won the game; a solo fleet wins once player 1 runs out of shots
+    const checkWinCondition = () => {
+        if (!solo && player1Board.allShipsSunk()) {
+            gameState = 'not playing';
+            winner = player2;
+        } else if (player2.type !== 'network' && player2Board.allShipsSunk()) {
+            // A network opponent's board only holds the ships sunk so far; the server declares that win
+            gameState = 'not playing';
+            winner = player1;
+        } else if (getShotsRemaining() === 0) {
+            gameState = 'not playing';
+            winner = player2;
+        }
+    };
+
+    //==============================================
+    // GAME SETUP METHODS
+    //==============================================
+
+    // Counts how many ships of a type are still missing from a board
+    const getRemainingCount = (gameboard, typeKey) => {
+        const placed = gameboard.getShips().filter(ship => ship.type === typeKey).length;
+        return fleet[typeKey].count - placed;
+    };
+
+    /**
+     * Checks if every ship of the configured fleet has been placed on a board
+     * @method areAllShipsPlaced
+     * @param {Object} [gameboard=player1Board] - Board to check
+     * @returns {boolean} True if all ships are placed
+     *
+     * @example
+     * if (engine.areAllShipsPlaced()) engine.startGame();
+     */
+    const areAllShipsPlaced = (gameboard = player1Board) => {
+        return Object.keys(fleet).every(typeKey => getRemainingCount(gameboard, typeKey) === 0);
+    };
+
+    /**
+     * Seeds every random choice of the next game: shuffles, the computer fleet and computer shots
+     * @method setSeed
+     * @param {number|string|null} nextSeed - Seed to replay, or null to go back to unseeded play
+     * @returns {void}
+     * @throws {Error} When a game is in progress or the seed is invalid
+     *
+     * @example
+     * engine.setSeed(20261019);
+     * engine.startGame(); // The computer fleet is the same for everyone playing seed 20261019
+     */
+    const setSeed = (nextSeed) => {
+        if (gameState === 'playing') throw new Error('The seed cannot change during a game');
+
+        placementRandom = nextSeed === null ? random : createRandom(nextSeed);
+        seed = nextSeed;
+        notify({ type: 'seedChanged', seed });
+    };
+
+    // Gets a random source of its own for one seeded use, so it replays however the others were drawn on
+    const createSeededRandom = (purpose) => createRandom(`${seed}:${purpose}`);
+
+    /**
+     * Starts the game if all ships are placed; a computer player 2 gets a fresh random fleet,
+     * a human player 2 must have placed theirs and a network player 2 keeps theirs on the server.
+     * Solo games need no fleet from player 1, who always fires first
+     * @method startGame
+     * @param {Object} [firstPlayer=player1] - Player taking the first turn
+     * @returns {void}
+     * @throws {Error} When ships are not properly placed
+     *
+     * @example
+     * engine.startGame();
+     *
+     * @example
+     * engine.startGame(engine.getPlayer2()); // The online opponent fires first
+     */
+    const startGame = (firstPlayer = player1) => {
+        if (!solo && !areAllShipsPlaced()) throw new Error('Please place all ships before starting the game');
+        if (player2.type === 'human' && !areAllShipsPlaced(player2Board)) {
+            throw new Error(`${player2.name} must place all ships before starting the game`);
+        }
+
+        gameState = 'playing';
+        winner = null;
+        moveHistory = [];
+        lastAttack = null;
+        clearPlacementHistory();
+        currentPlayer = firstPlayer === player2 && !solo ? player2 : player1;
+        if (player2.type === 'computer' && !isComputerFleetLoaded) initializeComputerShips();
+        isComputerFleetLoaded = false;
+        if (seed !== null) seedComputerPlayers();
+        notify({ type: 'gameStarted' });
+    };
+
+    // Initializes computer player's ships with random placement
+    const initializeComputerShips = () => {
+        placeShipsRandomly(player2Board, seed === null ? placementRandom : createSeededRandom('fleet'));
+    };
+
+    // Restarts each computer player's shot choices from the seed
+    const seedComputerPlayers = () => {
+        [player1, player2]
+            .filter(player => player.type === 'computer')
+            .forEach(player => player.setRandom?.(createSeededRandom(toPlayerKey(player))));
+    };
+
+    /**
+     * Resets boards, scores and turn state ready for a new placement phase
+     * @method resetGame
+     * @returns {void}
+     *
+     * @example
+     * engine.resetGame();
+     */
+    const resetGame = () => {
+        gameState = 'not playing';
+        winner = null;
+        currentPlayer = player1;
+        turnCount = 0;
+        moveHistory = [];
+        lastAttack = null;
+        clearPlacementHistory();
+        isComputerFleetLoaded = false;
+
+        player1Board.resetBoard();
+        player2Board.resetBoard();
+        if (seed !== null) placementRandom = createRandom(seed);
+
+        player1.resetScore();
+        player2.resetScore();
+
+        notify({ type: 'gameReset' });
+    };
+
+    //==============================================
+    // ATTACK COORDINATION METHODS
+    //==============================================
+
+    /**
+     * Executes an attack by the current player at specified coordinates; the turn passes unless the
+     * bonus shot rule lets the attacker fire again
+     * @method makeGameAttack
+     * @param {number} x - X coordinate to attack
+     * @param {number} y - Y coordinate to attack
+     * @returns {Object} Attack result: status ('hit', 'miss', 'sunk', 'already attacked'), coordinates, attacker,
+     * the ship hit ({ type, id }), the ship sunk ({ type, name, cells }), whether the game is over and the winner
+     * @throws {Error} When game is not in playing state or coordinates are out of bounds
+     *
+     * @example
+     * const { status, gameOver, winner } = engine.makeGameAttack(5, 5);
+     * if (gameOver) console.log(`${winner.name} wins`);
+     */
+    const makeGameAttack = (x, y) => {
+        if (gameState !== 'playing') throw new Error('Game is not currently playing');
+
+        const attacker = currentPlayer;
+        const opponentBoard = attacker === player1 ? player2Board : player1Board;
+        const attack = attacker.makeAttack(x, y, opponentBoard);
+
+        recordMove(attacker, opponentBoard, x, y, attack.status);
+        checkWinCondition();
+        lastAttack = createAttackResult(attack, attacker, opponentBoard);
+        gameState === 'playing' && !earnsBonusShot(attack.status) && switchTurns();
+
+        notifyAttack(opponentBoard);
+
+        return { ...lastAttack };
+    };
+
+    /**
+     * Applies the current player's attack as resolved by a remote authority such as the multiplayer server,
+     * for an opponent board whose ships are hidden
+     * @method applyAttackResult
+     * @param {number} x - X coordinate attacked
+     * @param {number} y - Y coordinate attacked
+     * @param {string} result - Reported result ('hit', 'miss', 'sunk')
+     * @param {Object} [details={}] - What the attack revealed
+     * @param {Object} [details.sunkShip=null] - Type and placement ({ type, x, y, orientation }) of the ship it sank
+     * @param {boolean} [details.gameOver=false] - Whether the attack won the game
+     * @returns {Object} Attack result as from makeGameAttack
+     * @throws {Error} When game is not in playing state
+     *
+     * @example
+     * engine.applyAttackResult(4, 5, 'sunk', { sunkShip: { type: 'destroyer', x: 4, y: 4, orientation: 'horizontal' } });
+     */
+    const applyAttackResult = (x, y, result, { sunkShip = null, gameOver = false } = {}) => {
+        if (gameState !== 'playing') throw new Error('Game is not currently playing');
+
+        const attacker = currentPlayer;
+        const opponentBoard = attacker === player1 ? player2Board : player1Board;
+        const revealed = sunkShip ? { ...sunkShip, ship: Ship(sunkShip.type, fleet) } : null;
+
+        // The attacker resolves against the reported result, so scores and AI state update as for a local attack
+        const reportingBoard = {
+            ...opponentBoard,
+            receiveAttack: () => opponentBoard.recordAttackResult(x, y, result, revealed, gameOver),
+        };
+        const attack = attacker.makeAttack(x, y, reportingBoard);
+
+        recordMove(attacker, opponentBoard, x, y, result);
+        if (gameOver) {
+            gameState = 'not playing';
+            winner = attacker;
+        }
+        lastAttack = createAttackResult(attack, attacker, opponentBoard);
+        if (!gameOver && !earnsBonusShot(result)) switchTurns();
+
+        notifyAttack(opponentBoard);
+
+        return { ...lastAttack };
+    };
+
+    // Completes a board's attack result with the attacker, the sunk ship's identity and the game's outcome,
+    // which only the shot ending the turn carries
+    const createAttackResult = (attack, attacker, opponentBoard, endsTurn = true) => ({
+        ...attack,
+        attacker,
+        sunkShip: describeSunkShip(opponentBoard, attack.x, attack.y, attack.status),
+        gameOver: endsTurn && winner !== null,
+        winner: endsTurn ? winner : null,
+    });
+
+    // Tells subscribers about the last attack, keeping the result string events have always carried
+    const notifyAttack = (opponentBoard) => {
+        const { attacker, x, y, status, sunkShip } = lastAttack;
+        notify({ type: 'attack', attacker, gameboard: opponentBoard, x, y, result: status, sunkShip });
+    };
+
+    /**
+     * Fires the current player's whole volley and reveals the results together, then ends the turn
+     * @method makeSalvoAttack
+     * @param {Array<{x: number, y: number}>} targets - One distinct, unattacked cell per shot this turn
+     * @returns {Array<Object>} Attack result of each shot as from makeGameAttack, in firing order; only the last carries the game's outcome
+     * @throws {Error} When game is not in playing state or the targets do not make up a valid volley
+     *
+     * @example
+     * const shots = engine.makeSalvoAttack([{ x: 1, y: 1 }, { x: 3, y: 3 }]);
+     * console.log(shots.filter(shot => shot.status !== 'miss').length); // Hits in the volley
+     */
+    const makeSalvoAttack = (targets) => {
+        if (gameState !== 'playing') throw new Error('Game is not currently playing');
+
+        const attacker = currentPlayer;
+        const opponentBoard = attacker === player1 ? player2Board : player1Board;
+        const shotCount = getShotsPerTurn(attacker);
+
+        // Check the whole volley first so a bad target cannot leave it half fired
+        if (!Array.isArray(targets) || targets.length !== shotCount) throw new Error(`A salvo needs exactly ${shotCount} shots`);
+        if (new Set(targets.map(({ x, y }) => `${x},${y}`)).size !== targets.length) {
+            throw new Error('A salvo cannot fire at the same cell twice');
+        }
+        targets.forEach(({ x, y }) => {
+            if (!(x >= 0 && x < gridSize && y >= 0 && y < gridSize)) throw new Error('Attack coordinates out of bounds');
+            if (opponentBoard.isAttacked(x, y)) throw new Error('Cell already attacked');
+        });
+
+        const attacks = targets.map(({ x, y }) => {
+            const attack = attacker.makeAttack(x, y, opponentBoard);
+            recordMove(attacker, opponentBoard, x, y, attack.status);
+            return attack;
+        });
+
+        checkWinCondition();
+        const shots = attacks.map((attack, index) => createAttackResult(attack, attacker, opponentBoard, index === attacks.length - 1));
+        gameState === 'playing' && switchTurns();
+
+        notify({ type: 'salvo', attacker, gameboard: opponentBoard, shots });
+
+        return shots;
+    };
+
+    // Adds an attack to the move history
+    const recordMove = (attacker, opponentBoard, x, y, result) => {
+        moveHistory.push({
+            turn: turnCount + 1,
+            attacker: toPlayerKey(attacker),
+            x,
+            y,
+            result,
+            sunkShipType: result === 'sunk' ? opponentBoard.getShipAt(x, y)?.type ?? null : null,
+        });
+    };
+
+    // Names the ship an attack sank and lists its cells, or null when the attack sank nothing
+    const describeSunkShip = (opponentBoard, x, y, result) => {
+        const ship = result === 'sunk' ? opponentBoard.getShipAt(x, y) : null;
+        if (!ship) return null;
+
+        const { x: startX, y: startY, orientation } = opponentBoard.getShipPlacement(ship);
+        const cells = Array.from({ length: ship.length }, (_, i) => ({
+            x: orientation === 'vertical' ? startX + i : startX,
+            y: orientation === 'horizontal' ? startY + i : startY,
+        }));
+        return { type: ship.type, name: fleet[ship.type]?.name ?? ship.type, cells };
+    };
+
+    /**
+     * Lets the current computer player pick and execute its attack
+     * @method generateComputerAttack
+     * @returns {Object} Attack result as from makeGameAttack
+     * @throws {Error} When the current player is not a computer
+     *
+     * @example
+     * if (engine.getGameState().currentPlayer.type === 'computer') engine.generateComputerAttack();
+     */
+    const generateComputerAttack = () => {
+        if (currentPlayer.type !== 'computer') throw new Error('Current player is not a computer');
+
+        const gameboard = currentPlayer === player1 ? player2Board : player1Board;
+        const { x, y } = currentPlayer.generateAttack(gameboard);
+
+        return makeGameAttack(x, y);
+    };
+
+    /**
+     * Lets the current computer player pick its whole volley and fire it
+     * @method generateComputerSalvo
+     * @returns {Array<{x: number, y: number, result: string}>} Result of each shot
+     * @throws {Error} When the current player is not a computer
+     *
+     * @example
+     * if (engine.isSalvo() && engine.getGameState().currentPlayer.type === 'computer') engine.generateComputerSalvo();
+     */
+    const generateComputerSalvo = () => {
+        if (currentPlayer.type !== 'computer') throw new Error('Current player is not a computer');
+
+        const gameboard = currentPlayer === player1 ? player2Board : player1Board;
+        return makeSalvoAttack(currentPlayer.generateAttacks(gameboard, getShotsPerTurn()));
+    };
+
+    //==============================================
+    // SHIP PLACEMENT METHODS
+    //==============================================
+
+    /**
+     * Places one ship of the configured fleet on a board
+     * @method placeShip
+     * @param {Object} gameboard - Target gameboard
+     * @param {string} typeKey - Fleet ship type to place
+     * @param {number} x - Starting X coordinate
+     * @param {number} y - Starting Y coordinate
+     * @param {string} orientation - Ship orientation ('horizontal' or 'vertical')
+     * @returns {Object} The placed ship
+     * @throws {Error} When the game is running, the type is exhausted or the placement is invalid
+     *
+     * @example
+     * engine.placeShip(engine.getPlayer1Board(), 'carrier', 0, 0, 'horizontal');
+     */
+    const placeShip = (gameboard, typeKey, x, y, orientation) => {
+        const ship = applyPlacement(gameboard, typeKey, { x, y, orientation });
+        recordPlacementAction({ action: 'place', gameboard, typeKey, placement: { x, y, orientation } });
+        notify({ type: 'shipPlaced', gameboard, ship, x, y, orientation });
+        return ship;
+    };
+
+    /**
+     * Picks a placed ship back up off a board during setup
+     * @method removeShip
+     * @param {Object} gameboard - Board holding the ship
+     * @param {number} x - X coordinate of any cell of the ship
+     * @param {number} y - Y coordinate of any cell of the ship
+     * @returns {{ship: Object, placement: Object}} The removed ship and where it was
+     * @throws {Error} When the game is running or there is no ship at the coordinates
+     *
+     * @example
+     * const { ship, placement } = engine.removeShip(engine.getPlayer1Board(), 0, 2);
+     */
+    const removeShip = (gameboard, x, y) => {
+        const ship = gameboard.getShipAt(x, y);
+        if (!ship) throw new Error('No ship at these coordinates');
+
+        const placement = applyRemoval(gameboard, ship);
+        recordPlacementAction({ action: 'remove', gameboard, typeKey: ship.type, placement });
+        notify({ type: 'shipRemoved', gameboard, ship, ...placement });
+        return { ship, placement };
+    };
+
+    // Fleets are fixed from the start of a game until the next reset, so a finished game's boards match its record
+    const isFleetLocked = () => gameState === 'playing' || winner !== null;
+
+    // Places a fresh ship of a fleet type
+    const applyPlacement = (gameboard, typeKey, { x, y, orientation }) => {
+        if (isFleetLocked()) throw new Error('Ships cannot be placed during the game');
+        if (!Object.hasOwn(fleet, typeKey)) throw new Error(`Invalid ship type: ${typeKey}`);
+
+        const ship = Ship(typeKey, fleet);
+        if (getRemainingCount(gameboard, typeKey) <= 0) throw new Error(`All ${ship.name} ships are already placed`);
+
+        gameboard.placeShip(ship, x, y, orientation);
+        return ship;
+    };
+
+    // Removes a ship from a board
+    const applyRemoval = (gameboard, ship) => {
+        if (isFleetLocked()) throw new Error('Ships cannot be moved during the game');
+        return gameboard.removeShip(ship);
+    };
+
+    // Gets the undo and redo stacks of a board, creating them on first use
+    const getPlacementHistory = (gameboard) => {
+        if (!placementHistory.has(gameboard)) placementHistory.set(gameboard, { undo: [], redo: [] });
+        return placementHistory.get(gameboard);
+    };
+
+    // Records a manual placement step; a new step discards anything that was undone
+    const recordPlacementAction = (action) => {
+        const history = getPlacementHistory(action.gameboard);
+        history.undo.push(action);
+        history.redo = [];
+    };
+
+    // Clears the placement history of one board, or of every board
+    const clearPlacementHistory = (gameboard) => {
+        if (gameboard) placementHistory.delete(gameboard);
+        else placementHistory.clear();
+    };
+
+    // Applies a placement step forwards or in reverse, returning the event to notify once history is updated
+    const applyPlacementAction = ({ action, gameboard, typeKey, placement }, reverse) => {
+        const shouldPlace = (action === 'place') !== reverse;
+
+        if (shouldPlace) {
+            const ship = applyPlacement(gameboard, typeKey, placement);
+            return { type: 'shipPlaced', gameboard, ship, ...placement };
+        }
+
+        const ship = gameboard.getShipAt(placement.x, placement.y);
+        applyRemoval(gameboard, ship);
+        return { type: 'shipRemoved', gameboard, ship, ...placement };
+    };
+
+    /**
+     * Reverts the last manual placement or pick-up on a board
+     * @method undoPlacement
+     * @param {Object} [gameboard=player1Board] - Board whose history to walk back
+     * @returns {boolean} True if something was undone
+     *
+     * @example
+     * engine.placeShip(board, 'carrier', 0, 0, 'horizontal');
+     * engine.undoPlacement(board); // Carrier is back in the inventory
+     */
+    const undoPlacement = (gameboard = player1Board) => {
+        if (!canUndoPlacement(gameboard)) return false;
+
+        const history = getPlacementHistory(gameboard);
+        const action = history.undo.pop();
+        const event = applyPlacementAction(action, true);
+        history.redo.push(action);
+        notify(event);
+        return true;
+    };
+
+    /**
+     * Re-applies the last undone placement or pick-up on a board
+     * @method redoPlacement
+     * @param {Object} [gameboard=player1Board] - Board whose history to walk forward
+     * @returns {boolean} True if something was redone
+     *
+     * @example
+     * engine.undoPlacement(board);
+     * engine.redoPlacement(board); // Carrier is placed again
+     */
+    const redoPlacement = (gameboard = player1Board) => {
+        if (!canRedoPlacement(gameboard)) return false;
+
+        const history = getPlacementHistory(gameboard);
+        const action = history.redo.pop();
+        const event = applyPlacementAction(action, false);
+        history.undo.push(action);
+        notify(event);
+        return true;
+    };
+
+    const canUndoPlacement = (gameboard = player1Board) => getPlacementHistory(gameboard).undo.length > 0 && !isFleetLocked();
+    const canRedoPlacement = (gameboard = player1Board) => getPlacementHistory(gameboard).redo.length > 0 && !isFleetLocked();
+
+    // Places the configured fleet randomly on a gameboard, starting over when a ship no longer fits
+    const placeShipsRandomly = (gameboard, source = placementRandom) => {
+        for (let layout = 0; layout < MAX_LAYOUT_ATTEMPTS; layout++) {
+            gameboard.resetBoard();
+            if (getFleetShips(fleet).every(({ typeKey }) => placeShipRandomly(gameboard, typeKey, source))) return;
+        }
+
+        throw new Error(`Fleet does not fit on the board with the ${placementRule} rule`);
+    };
+
+    // Tries random spots for one ship, returning whether it was placed
+    const placeShipRandomly = (gameboard, typeKey, source) => {
+        const ship = Ship(typeKey, fleet);
+
+        for (let attempt = 0; attempt < MAX_PLACEMENT_ATTEMPTS; attempt++) {
+            const orientation = source() < 0.5 ? 'horizontal' : 'vertical';
+            const row = Math.floor(source() * gameboard.getGridSize());
+            const col = Math.floor(source() * gameboard.getGridSize());
+
+            if (gameboard.canPlaceShip(ship, row, col, orientation)) {
+                gameboard.placeShip(ship, row, col, orientation);
+                return true;
+            }
+        }
+
+        return false;
+    };
+
+    /**
+     * Clears a board and places the whole fleet on it randomly
+     * @method shuffleShips
+     * @param {Object} [gameboard=player1Board] - Board to shuffle
+     * @returns {void}
+     *
+     * @example
+     * engine.shuffleShips();
+     */
+    const shuffleShips = (gameboard = player1Board) => {
+        if (isFleetLocked()) return;
+
+        placeShipsRandomly(gameboard);
+        clearPlacementHistory(gameboard);
+        if (gameboard === player2Board) isComputerFleetLoaded = false;
+        notify({ type: 'fleetShuffled', gameboard });
+    };
+
+    /**
+     * Replaces a board's fleet with a layout. The whole layout is checked on a scratch board first, against the fleet
+     * and the placement rule, so a rejected layout leaves the board as it was. A layout loaded on a computer
+     * player 2's board is kept by the next startGame instead of a random fleet
+     * @method loadLayout
+     * @param {Object} gameboard - Board to place the fleet on
+     * @param {Array<{type: string, x: number, y: number, orientation: string}>} layout - Every ship of the fleet, as from getLayout or parseLayout
+     * @returns {void}
+     * @throws {Error} When the game is running, or the layout has an unknown or surplus ship, a placement breaking the rules
+     * or misses part of the fleet
+     *
+     * @example
+     * engine.loadLayout(engine.getPlayer1Board(), parseLayout(text, engine.getFleet()));
+     *
+     * @example
+     * engine.loadLayout(engine.getPlayer2Board(), parseLayout(knownLayout, engine.getFleet())); // Debug against a known computer fleet
+     */
+    const loadLayout = (gameboard, layout) => {
+        if (isFleetLocked()) throw new Error('Ships cannot be placed during the game');
+        if (!Array.isArray(layout)) throw new Error('Layout must be a list of ships');
+
+        const scratchBoard = Gameboard(gameboard.getGridSize(), { placementRule });
+        layout.forEach(({ type, x, y, orientation }) => {
+            if (!Number.isInteger(x) || !Number.isInteger(y)) throw new Error(`Invalid coordinates: ${x}, ${y}`);
+            if (orientation !== 'horizontal' && orientation !== 'vertical') throw new Error(`Invalid orientation: ${orientation}`);
+            applyPlacement(scratchBoard, type, { x, y, orientation });
+        });
+        if (!areAllShipsPlaced(scratchBoard)) throw new Error('Layout must place the whole fleet');
+
+        gameboard.resetBoard();
+        layout.forEach(({ type, x, y, orientation }) => applyPlacement(gameboard, type, { x, y, orientation }));
+        clearPlacementHistory(gameboard);
+        if (gameboard === player2Board) isComputerFleetLoaded = player2.type === 'computer';
+        notify({ type: 'fleetLoaded', gameboard });
+    };
+
+    //==============================================
+    // PERSISTENCE METHODS
+    //==============================================
+
+    // Maps players to the stable keys used in saved games
+    const toPlayerKey = (player) => {
+        if (player === player1) return 'player1';
+        if (player === player2) return 'player2';
+        return null;
+    };
+    const fromPlayerKey = (key) => ({ player1, player2 })[key] ?? null;
+
+    /**
+     * Captures the whole game as plain JSON-safe data
+     * @method serialize
+     * @returns {Object} Saved game with configuration, boards, players and turn state
+     *
+     * @example
+     * localStorage.setItem('game', JSON.stringify(engine.serialize()));
+     */
+    const serialize = () => {
+        return {
+            version: SAVE_VERSION,
+            gridSize,
+            fleet,
+            placementRule,
+            shotsPerTurn,
+            bonusShot,
+            solo,
+            shotBudget,
+            seed,
+            gameState,
+            winner: toPlayerKey(winner),
+            currentPlayer: toPlayerKey(currentPlayer),
+            turnCount,
+            moveHistory: getMoveHistory(),
+            players: [player1.serialize(), player2.serialize()],
+            boards: [player1Board.serialize(), player2Board.serialize()],
+        };
+    };
+
+    /**
+     * Restores a game captured by serialize into this engine
+     * @method deserialize
+     * @param {Object} state - Saved game produced by serialize
+     * @returns {void}
+     * @throws {Error} When the save is from another version or does not match this game's configuration
+     *
+     * @example
+     * engine.deserialize(JSON.parse(localStorage.getItem('game')));
+     */
+    const deserialize = (state) => {
+        if (!state || state.version !== SAVE_VERSION) throw new Error('Unsupported saved game');
+        const sameFleet = JSON.stringify(state.fleet) === JSON.stringify(fleet);
+        const samePlayers = state.players.every((saved, index) => saved.type === [player1, player2][index].type);
+        const sameShots = (state.shotsPerTurn ?? 1) === shotsPerTurn && (state.bonusShot ?? DEFAULT_BONUS_SHOT_RULE) === bonusShot;
+        const sameMode = (state.solo ?? false) === solo && (state.shotBudget ?? null) === shotBudget;
+        if (state.gridSize !== gridSize || !sameFleet || state.placementRule !== placementRule || !sameShots || !sameMode || !samePlayers) {
+            throw new Error('Saved game does not match this game configuration');
+        }
+
+        const createShip = typeKey => Ship(typeKey, fleet);
+        player1Board.deserialize(state.boards[0], createShip);
+        player2Board.deserialize(state.boards[1], createShip);
+        player1.deserialize(state.players[0]);
+        player2.deserialize(state.players[1]);
+
+        gameState = state.gameState;
+        winner = fromPlayerKey(state.winner);
+        currentPlayer = fromPlayerKey(state.currentPlayer) ?? player1;
+        turnCount = state.turnCount;
+        moveHistory = (state.moveHistory ?? []).map(move => ({ ...move }));
+        lastAttack = null;
+        seed = state.seed ?? null;
+        placementRandom = seed === null ? random : createRandom(seed);
+        clearPlacementHistory();
+
+        notify({ type: 'gameRestored' });
+    };
+
+    // Return public API
+    return {
+        getPlayer1,
+        getPlayer2,
+        getPlayer1Board,
+        getPlayer2Board,
+        getFleet,
+        getPlacementRule,
+        getBonusShotRule,
+        isSolo,
+        getShotBudget,
+        getShotsRemaining,
+        getSeed,
+        setSeed,
+        isSalvo,
+        getShotsPerTurn,
+        getGameState,
+        getMoveHistory,
+        getLastAttack,
+        getMatchStats,
+        getGameRecord,
+        subscribe,
+
+        placeShip,
+        removeShip,
+        undoPlacement,
+        redoPlacement,
+        canUndoPlacement,
+        canRedoPlacement,
+        shuffleShips,
+        loadLayout,
+        areAllShipsPlaced,
+        startGame,
+        resetGame,
+
+        makeGameAttack,
+        makeSalvoAttack,
+        applyAttackResult,
+        generateComputerAttack,
+        generateComputerSalvo,
+
+        serialize,
+        deserialize,
+    };
+}
@@ -1,14 +1,50 @@
-import { Gameboard } from '../gameboard/gameboard.js';
-import { Ship } from '../ship/ship.js';
-import { SHIP_TYPES } from '../../utils/constants.js';
+import { GameEngine } from '../engine/engine.js';
+import { Replay } from '../replay/replay.js';
+import { StatsPanel, summarizeGame } from '../stats/stats.js';
+import { getChallengeSeed, summarizeChallenge, formatChallengeShare } from '../challenge/challenge.js';
+import { getFleetShips } from '../../utils/fleet.js';
+import { computeProbabilityMap } from '../../utils/probability.js';
+import { generateSeed } from '../../utils/random.js';
+import { getLayout, formatLayout, parseLayout } from '../../utils/layout.js';
+import { saveGame, loadGame, clearSavedGame, loadProfiles, recordProfileGame, loadChallengeResults, recordChallengeResult } from '../../utils/storage.js';
+
+// Pointer travel in pixels before a press on a ship becomes a drag rather than a click
+const DRAG_THRESHOLD = 5;
+
+// Events handlers can register for with on
+const GAME_EVENTS = ['shipPlaced', 'gameStarted', 'attack', 'shipSunk', 'turnChanged', 'gameOver'];
+
+// Setup status shown for each ship adjacency rule
+const PLACEMENT_RULE_HINTS = {
+    'no-touch': 'ships may not touch',
+    'corner-touch': 'ships may only touch at the corners',
+    'touching': 'ships may touch',
+};
 
 /**
- * Creates a complete Battleship game with two players, gameboards, and full UI management
+ * Creates a complete Battleship game with two players, gameboards, and full UI management.
+ * Rules and turn order live in a headless GameEngine; this module renders it and forwards DOM input.
  * @function Game
  * @param {Object} player1 - First player object (typically human)
  * @param {Object} player2 - Second player object (typically computer)
+ * @param {Object} [options={}] - Game configuration
+ * @param {number} [options.gridSize=10] - Board size shared by both gameboards (8 to 20)
+ * @param {Object} [options.fleet=SHIP_TYPES] - Ship types with name, length, color and optional count
+ * @param {string} [options.placementRule='no-touch'] - Ship adjacency rule for both fleets ('no-touch', 'corner-touch' or 'touching')
+ * @param {number|string} [options.shotsPerTurn=1] - Shots per turn: a fixed number, or 'ships' for one per unsunk ship (Salvo)
+ * @param {string} [options.bonusShot='none'] - Results that let the attacker fire again ('none', 'hit' or 'sunk')
+ * @param {boolean} [options.autoSave=false] - Save to localStorage after every move and offer to resume on load
+ * @param {string} [options.saveSlot] - Name the autosave is kept under, so games sharing a page keep separate saves;
+ * defaults to the id of the container the game is shown in
+ * @param {boolean} [options.trackStats=false] - Record each finished game in the local profile of every human player
+ * @param {number|string} [options.seed] - Seed every new game replays (same shuffles, computer fleet and computer shots);
+ * without one, each new game picks a fresh seed, shown in the UI so it can be shared
+ * @param {string} [options.challengeDate] - Plays that date's daily challenge (YYYY-MM-DD) with the classic rules instead:
+ * everyone attacks the same computer fleet, which never fires back, and the first finished attempt is stored locally
+ * @param {string} [options.enemyLayout] - Layout a computer player 2 places in every game instead of a random fleet, in any format
+ * parseLayout reads; meant for debugging against a known fleet
  * @returns {Object} Game object with gameplay methods and UI controls
- * @throws {Error} When players are invalid or missing
+ * @throws {Error} When players are invalid or missing, the grid size is unsupported or the fleet does not fit
  * 
  * @example
  * const humanPlayer = Player('John', 'human');
@@ -19,27 +55,42 @@ import { SHIP_TYPES } from '../../utils/constants.js';
  * @example
  * game.startGame();
  * const result = game.makeGameAttack(5, 5);
- * console.log('Attack result:', result);
+ * console.log('Attack result:', result.status);
+ * 
+ * @example
+ * const quickGame = Game(humanPlayer, computerPlayer, { gridSize: 8 });
+ * 
+ * @example
+ * const russianGame = Game(humanPlayer, computerPlayer, { fleet: FLEET_PRESETS.russian });
+ *
+ * @example
+ * const sharedGame = Game(humanPlayer, computerPlayer, { seed: 20261019 });
+ *
+ * @example
+ * const dailyGame = Game(humanPlayer, computerPlayer, { challengeDate: getChallengeDate() });
  */
-export function Game(player1, player2) {
-    //==============================================
-    // INPUT VALIDATION
+export function Game(player1, player2, options = {}) {
     //==============================================
-    if (!player1 || !player2) throw new Error('Two players are required');
-    
+    // ENGINE
     //==============================================
-    // GAME STATE
-    //==============================================
-    let currentPlayer = player1;
-    let gameState = 'not playing'; // 'not playing', 'playing'
-    let winner = null;
-    let turnCount = 0;
+    const challengeDate = options.challengeDate ?? null;
+    const isChallenge = challengeDate !== null;
+    const fixedSeed = isChallenge ? getChallengeSeed(challengeDate) : options.seed ?? null;
+    const engine = isChallenge
+        ? GameEngine(player1, player2, { solo: true, seed: fixedSeed })
+        : GameEngine(player1, player2, { ...options, seed: player2.type === 'network' ? null : fixedSeed ?? generateSeed() });
+    const engineSubscriptions = []; // Removes every engine listener this game added, once it is destroyed
+    const fleet = engine.getFleet();
+    const placementRule = engine.getPlacementRule();
+    const { autoSave = false, trackStats = false } = options;
+    let saveSlot = options.saveSlot ?? null; // Falls back to the container's id once the UI is shown
+    const enemyLayout = isChallenge ? null : options.enemyLayout ?? null;
 
     //==============================================
     // GAME BOARDS
     //==============================================
-    const player1Board = Gameboard();
-    const player2Board = Gameboard();
+    const player1Board = engine.getPlayer1Board();
+    const player2Board = engine.getPlayer2Board();
 
     //==============================================
     // SHIP PLACEMENT STATE
@@ -47,6 +98,40 @@ export function Game(player1, player2) {
     let selectedShip = null;
     let currentOrientation = 'horizontal';
     let isPlacingShip = false;
+    let hoveredCell = null; // Last cell previewed, so rotation can refresh the preview
+
+    //==============================================
+    // HOT-SEAT STATE
+    //==============================================
+    const isHotSeat = player2.type === 'human';
+    let activePlayer = player1; // Player whose fleet is on show at the device
+    let pendingPlayer = null; // Player the device is being passed to, while both fleets are hidden
+
+    //==============================================
+    // NETWORK STATE
+    //==============================================
+    const isNetwork = player2.type === 'network';
+    let fleetState = 'editing'; // 'editing', 'sent' to the server, or 'accepted' by it
+    let isAttackPending = false; // Attack sent, waiting for the server's result
+    let isSeatTaken = false; // Another tab took this game's seat on the server
+
+    //==============================================
+    // SALVO STATE
+    //==============================================
+    let aimedShots = []; // Cells picked for the current volley, fired together once every shot is aimed
+
+    //==============================================
+    // DRAG STATE
+    //==============================================
+    let dragState = null; // Pointer pressed on a ship: { source, shipItem, row, col, startX, startY, isDragging }
+    let suppressNextClick = false;
+
+    //==============================================
+    // OVERLAY STATE
+    //==============================================
+    let isHeatMapVisible = false;
+    let activeReplay = null;
+    let activeStatsPanel = null;
 
     //==============================================
     // DOM REFERENCES
@@ -55,6 +140,15 @@ export function Game(player1, player2) {
     let statusElement = null;
     let player1ScoreElement = null;
     let player2ScoreElement = null;
+    let computerAttackTimer = null;
+    let networkSubscriptions = [];
+
+    // Finds an element of this game's UI by its data-role, looked up only inside the game's container so games can share a page
+    const query = (selector) => gameContainer?.querySelector(selector) ?? null;
+    const getElement = (role) => query(`[data-role="${role}"]`);
+
+    // Finds every element of this game's UI matching a selector
+    const queryAll = (selector) => (gameContainer ? [...gameContainer.querySelectorAll(selector)] : []);
 
     //==============================================
     // PLAYER ACCESS METHODS
@@ -63,86 +157,355 @@ export function Game(player1, player2) {
     const getPlayer2 = () => player2;
     const getPlayer1Board = () => player1Board;
     const getPlayer2Board = () => player2Board;
+    const getFleet = () => fleet;
+    const getEngine = () => engine;
 
     //==============================================
     // GAME STATE METHODS
     //==============================================
-    const getGameState = () => {
-        return {
-            currentPlayer,
-            gameState,
-            winner,
-            player1Score: player1.score,
-            player2Score: player2.score,
-            turnCount
-        };
+    const getGameState = () => engine.getGameState();
+
+    //==============================================
+    // ENGINE RENDERING
+    //==============================================
+
+    // Re-renders boards and scores whenever the engine state changes
+    const handleEngineChange = () => {
+        refreshHeatMap();
+        player1Board.updateDisplay();
+        player2Board.updateDisplay();
+        updateScoreDisplay();
+        updateMatchStats();
+        updateEnemyFleet();
+        updateBoardInteractivity();
+        updateReplayButton();
+        updatePlacementButtons();
+        updateSeedDisplay();
+        syncShipInventory();
+        renderAimedShots();
     };
 
+    engineSubscriptions.push(engine.subscribe(handleEngineChange));
+
     //==============================================
-    // TURN MANAGEMENT METHODS
+    // GAME EVENTS
     //==============================================
+    const eventHandlers = new Map();
+    let turnPlayer = null; // Player to move as last announced, so turnChanged fires only on a real change
+
+    /**
+     * Registers a handler for a game event. Payloads:
+     * - shipPlaced: { player, ship: { type, name, length }, x, y, orientation }
+     * - gameStarted: { firstPlayer }
+     * - attack: attack result as from makeGameAttack, once per shot of a salvo
+     * - shipSunk: { attacker, owner, ship: { type, name, cells } }
+     * - turnChanged: { player, previousPlayer }
+     * - gameOver: { winner, loser }
+     * @method on
+     * @param {string} type - Event name
+     * @param {Function} handler - Receives the event payload
+     * @returns {Function} Function that removes the handler
+     * @throws {Error} When the event is unknown or the handler is not a function
+     *
+     * @example
+     * const off = game.on('shipSunk', ({ ship }) => playSound('explosion', ship.type));
+     * off();
+     */
+    const on = (type, handler) => {
+        if (!GAME_EVENTS.includes(type)) throw new Error(`Unknown game event: ${type}`);
+        if (typeof handler !== 'function') throw new Error('Listener must be a function');
+
+        if (!eventHandlers.has(type)) eventHandlers.set(type, new Set());
+        eventHandlers.get(type).add(handler);
+        return () => off(type, handler);
+    };
+
+    // Removes a handler registered with on
+    const off = (type, handler) => {
+        eventHandlers.get(type)?.delete(handler);
+    };
+
+    // Calls every handler registered for a game event
+    const emit = (type, payload) => {
+        eventHandlers.get(type)?.forEach(handler => handler(payload));
+    };
+
+    // Gets the player whose fleet is on a board
+    const getBoardOwner = (gameboard) => (gameboard === player1Board ? player1 : player2);
+
+    // Announces a ship placed on a board
+    const emitShipPlaced = (gameboard, ship, { x, y, orientation }) => {
+        emit('shipPlaced', { player: getBoardOwner(gameboard), ship: { type: ship.type, name: ship.name, length: ship.length }, x, y, orientation });
+    };
 
-    // Switches the active player and increments turn counter
-    const switchTurns = () => {
-        currentPlayer = currentPlayer === player1 ? player2 : player1;
-        turnCount++;
+    // Gets the attacks an engine event resolved, one per shot of a salvo
+    const getEventAttacks = (event) => {
+        if (event.type === 'attack') return [engine.getLastAttack()];
+        if (event.type === 'salvo') return event.shots;
+        return [];
     };
 
-    // Checks if either player has won the game
-    const checkWinCondition = () => {
-        if (player1Board.allShipsSunk()) {
-            gameState = 'not playing';
-            winner = player2;
-        } else if (player2Board.allShipsSunk()) {
-            gameState = 'not playing';
-            winner = player1;
+    // Translates engine changes into the game events handlers registered for
+    const handleGameEvents = (event) => {
+        const { currentPlayer, gameState, winner } = getGameState();
+
+        if (event.type === 'shipPlaced') emitShipPlaced(event.gameboard, event.ship, event);
+        if (event.type === 'fleetShuffled' || event.type === 'fleetLoaded') {
+            event.gameboard.getShips().forEach(ship => emitShipPlaced(event.gameboard, ship, event.gameboard.getShipPlacement(ship)));
+        }
+        if (event.type === 'gameStarted') emit('gameStarted', { firstPlayer: currentPlayer });
+        if (event.type === 'gameStarted' || event.type === 'gameRestored' || event.type === 'gameReset') {
+            turnPlayer = gameState === 'playing' ? currentPlayer : null;
+            return;
+        }
+
+        const attacks = getEventAttacks(event);
+        attacks.forEach(attack => {
+            emit('attack', attack);
+            if (attack.sunkShip) emit('shipSunk', { attacker: attack.attacker, owner: getBoardOwner(event.gameboard), ship: attack.sunkShip });
+        });
+        if (attacks.length === 0) return;
+
+        if (winner) {
+            emit('gameOver', { winner, loser: winner === player1 ? player2 : player1 });
+        } else if (currentPlayer !== turnPlayer) {
+            emit('turnChanged', { player: currentPlayer, previousPlayer: turnPlayer });
+            turnPlayer = currentPlayer;
         }
     };
 
+    engineSubscriptions.push(engine.subscribe(handleGameEvents));
+
     //==============================================
-    // GAME SETUP METHODS
+    // SAVE & RESUME
     //==============================================
 
+    // Saves running games and drops the save once a game ends or is reset
+    const handleAutoSave = (event) => {
+        const { gameState, winner } = getGameState();
+
+        if (gameState === 'playing') saveGame(engine.serialize(), saveSlot);
+        else if (winner || event.type === 'gameReset') clearSavedGame(saveSlot);
+    };
+
+    if (autoSave) engineSubscriptions.push(engine.subscribe(handleAutoSave));
+
+    //==============================================
+    // PROFILE STATISTICS
+    //==============================================
+
+    // Adds the game that just ended to the profile of each human player
+    const handleGameFinished = (event) => {
+        if ((event.type !== 'attack' && event.type !== 'salvo') || !getGameState().winner) return;
+
+        const record = engine.getGameRecord();
+        [['player1', player1], ['player2', player2]].forEach(([playerKey, player]) => {
+            if (player.type === 'human') recordProfileGame(player.name, summarizeGame(record, playerKey));
+        });
+    };
+
+    if (trackStats) engineSubscriptions.push(engine.subscribe(handleGameFinished));
+
     /**
-     * Checks if all required ships have been placed for game start
-     * @private
-     * @returns {boolean} True if all ships are placed
+     * Opens the panel comparing every stored profile's statistics
+     * @method showStats
+     * @returns {Object|null} The stats panel, or null before the UI is initialized
+     *
+     * @example
+     * game.showStats().exportJSON();
      */
-    const areAllShipsPlaced = () => {
-        const requiredShips = Object.keys(SHIP_TYPES);
-        const placedShips = document.querySelectorAll('.ship-item.placed');
-        return placedShips.length === requiredShips.length;
-    }
+    const showStats = () => {
+        if (!gameContainer) return null;
+
+        closeStats();
+
+        const statsContainer = document.createElement('div');
+        statsContainer.dataset.role = 'stats-container';
+        statsContainer.classList.add('stats-container');
+        statsContainer.innerHTML = `
+            <div class="stats-header">
+                <h4>Statistics</h4>
+                <button data-role="close-stats"><span class="material-symbols-outlined">close</span></button>
+            </div>
+        `;
+        gameContainer.appendChild(statsContainer);
+        getElement('close-stats').addEventListener('click', closeStats);
+
+        activeStatsPanel = StatsPanel(loadProfiles(), fleet);
+        activeStatsPanel.createPanel(statsContainer);
+        return activeStatsPanel;
+    };
+
+    // Closes the stats panel if it is open
+    const closeStats = () => {
+        activeStatsPanel?.destroyPanel();
+        activeStatsPanel = null;
+        getElement('stats-container')?.remove();
+    };
+
+    // Shows or hides the stats panel
+    const toggleStats = () => {
+        if (activeStatsPanel) closeStats();
+        else showStats();
+    };
+
+    /**
+     * Restores the game saved in localStorage
+     * @method resumeGame
+     * @returns {boolean} True if a saved game was restored
+     * 
+     * @example
+     * if (!game.resumeGame()) game.updateStatusDisplay('No saved game');
+     */
+    const resumeGame = () => {
+        const saved = loadGame(saveSlot);
+        hideResumePrompt();
+        if (!saved) return false;
+
+        try {
+            engine.deserialize(saved);
+        } catch (error) {
+            clearSavedGame(saveSlot);
+            updateStatusDisplay(error.message);
+            return false;
+        }
+
+        syncShipInventory();
+        updateStatusDisplay();
+        if (isHotSeat && getGameState().gameState === 'playing') showPassScreen(getGameState().currentPlayer, 'Game restored.');
+        scheduleComputerAttack();
+        return true;
+    };
+
+    // Discards the saved game and keeps the fresh one
+    const discardSavedGame = () => {
+        clearSavedGame(saveSlot);
+        hideResumePrompt();
+    };
+
+    // Offers to resume when a saved game exists
+    const showResumePrompt = () => {
+        if (!autoSave || !loadGame(saveSlot) || getGameState().gameState === 'playing') return;
+
+        const prompt = document.createElement('div');
+        prompt.classList.add('resume-prompt');
+        prompt.dataset.role = 'resume-prompt';
+        prompt.innerHTML = `
+            <p>You have an unfinished game.</p>
+            <button data-role="resume-game">Resume game</button>
+            <button data-role="discard-game">New game</button>
+        `;
+        gameContainer.querySelector('.game-header').after(prompt);
+
+        getElement('resume-game').addEventListener('click', resumeGame);
+        getElement('discard-game').addEventListener('click', discardSavedGame);
+    };
+
+    // Removes the resume prompt if it is showing
+    const hideResumePrompt = () => {
+        getElement('resume-prompt')?.remove();
+    };
+
+    //==============================================
+    // SOLO GAMES
+    //==============================================
+
+    // Shows the result screen once a solo game ends, storing the first finished attempt at a daily challenge
+    const handleSoloFinished = (event) => {
+        if (event.type !== 'attack' || !getGameState().winner) return;
+
+        if (!isChallenge) {
+            showSoloResult();
+            return;
+        }
+        const result = summarizeChallenge(engine.getGameRecord(), challengeDate);
+        showSoloResult(result, recordChallengeResult(result) ?? result);
+    };
+
+    if (engine.isSolo()) engineSubscriptions.push(engine.subscribe(handleSoloFinished));
+
+    // Renders the result screen: shots against the budget, hits and ships sunk, plus a challenge's stored result to share
+    const showSoloResult = (challengeResult = null, storedResult = challengeResult) => {
+        if (!gameContainer) return;
+
+        const { shots, hits, accuracy, shipsSunk, fleetTracker } = engine.getMatchStats(player1);
+        const budget = engine.getShotBudget();
+        const shareText = storedResult ? formatChallengeShare(storedResult) : '';
+        const replayNote = storedResult && storedResult !== challengeResult
+            ? `<p>That was a replay - your result for the day stays at ${storedResult.shots} shots.</p>`
+            : '';
+        const challengeSection = storedResult ? `
+            <h5>Daily Challenge ${storedResult.date}</h5>
+            ${replayNote}
+            <pre class="challenge-share">${shareText}</pre>
+            <button data-role="share-challenge"><span class="material-symbols-outlined">content_copy</span> Copy result</button>
+        ` : '';
+
+        const panel = document.createElement('div');
+        panel.classList.add('solo-result');
+        panel.dataset.role = 'solo-result';
+        panel.innerHTML = `
+            <h4>${getGameState().winner === player1 ? 'Fleet sunk!' : 'Out of shots - the fleet survived'}</h4>
+            <dl>
+                <dt>Shots</dt><dd data-stat="shots">${budget === null ? shots : `${shots} / ${budget}`}</dd>
+                <dt>Hits</dt><dd data-stat="hits">${hits}</dd>
+                <dt>Accuracy</dt><dd data-stat="accuracy">${accuracy === null ? '-' : `${Math.round(accuracy * 100)}%`}</dd>
+                <dt>Ships sunk</dt><dd data-stat="sunk">${shipsSunk} / ${fleetTracker.length}</dd>
+            </dl>
+            ${challengeSection}
+            <button data-role="play-again"><span class="material-symbols-outlined">replay</span> Play again</button>
+        `;
+        getElement('solo-result')?.remove();
+        gameContainer.querySelector('.game-header').after(panel);
+
+        getElement('play-again').addEventListener('click', resetGame);
+        getElement('share-challenge')?.addEventListener('click', () => {
+            copyToClipboard(shareText, 'Result copied - paste it to share', 'Select the result above to copy it');
+        });
+    };
+
+    //==============================================
+    // GAME SETUP METHODS
+    //==============================================
 
     /**
      * Starts the game if all ships are placed
      * @method startGame
      * @returns {void}
-     * @throws {Error} When ships are not properly placed
      * 
      * @example
      * game.startGame();
      */
     const startGame = () => {
-        if (!areAllShipsPlaced()) {
-            updateStatusDisplay('Please place all ships before starting the game');
+        if (pendingPlayer) return;
+
+        // Online, the server starts the game once both fleets are in
+        if (isNetwork) {
+            sendFleet();
             return;
         }
 
-        gameState = 'playing';
-        currentPlayer = player1; // Player 1 starts
-        initializeComputerShips(); // Place computer ships if player2 is a computer
-        updateStatusDisplay();
-        updateScoreDisplay();
-        updateBoardInteractivity();
-    };    
+        // In hot-seat, player 1 finishing placement hands the device over for player 2's placement
+        if (isHotSeat && getGameState().gameState === 'not playing' && activePlayer === player1) {
+            if (!engine.areAllShipsPlaced(player1Board)) {
+                updateStatusDisplay('Please place all ships before starting the game');
+                return;
+            }
+            showPassScreen(player2, `${player1.name}'s fleet is ready.`);
+            return;
+        }
 
-    // Initializes computer player's ships with random placement
-    const initializeComputerShips = () => {
-        player2Board.resetBoard();
-        placeShipsRandomly(player2Board);
-        console.log('Computer ships placed randomly');
-    };
+        try {
+            if (enemyLayout && player2.type === 'computer') engine.loadLayout(player2Board, parseLayout(enemyLayout, fleet));
+            engine.startGame();
+        } catch (error) {
+            updateStatusDisplay(error.message);
+            return;
+        }
+
+        if (isHotSeat) showPassScreen(player1, 'Both fleets are ready.');
+        else updateStatusDisplay();
+    };    
 
     /**
      * Resets the entire game to initial state
@@ -153,30 +516,29 @@ export function Game(player1, player2) {
      * game.resetGame(); // Clears all ships, scores, and resets UI
      */
     const resetGame = () => {
-        // Reset game state
-        gameState = 'not playing';
-        winner = null;
-        currentPlayer = player1;
-        turnCount = 0;
+        if (isNetwork) {
+            updateStatusDisplay('Online games cannot be reset');
+            return;
+        }
 
-        // Reset gameboards
-        if (player1Board.resetBoard) player1Board.resetBoard();
-        if (player2Board.resetBoard) player2Board.resetBoard();
+        closeReplay();
+        closeStats();
+        engine.resetGame();
+        if (fixedSeed === null) engine.setSeed(generateSeed());
 
         // Reset ship placement state
         selectedShip = null;
         isPlacingShip = false;
         currentOrientation = 'horizontal';
-
-        // Reset player scores
-        player1.resetScore();
-        player2.resetScore();
+        activePlayer = player1;
+        pendingPlayer = null;
+        aimedShots = [];
 
         resetShipInventory();
 
         if (gameContainer) {
             gameContainer.innerHTML = '';
-            initializeGameUI('game-container');
+            initializeGameUI(gameContainer);
         }
 
         // Update displays
@@ -194,134 +556,113 @@ export function Game(player1, player2) {
      * @method makeGameAttack
      * @param {number} x - X coordinate to attack
      * @param {number} y - Y coordinate to attack
-     * @returns {string} Attack result ('hit', 'miss', 'sunk', 'already attacked')
+     * @returns {Object} Attack result with status ('hit', 'miss', 'sunk', 'already attacked'), coordinates,
+     * the ship hit and sunk, whether the game is over and the winner
      * @throws {Error} When game is not in playing state
      * 
      * @example
-     * const result = game.makeGameAttack(5, 5);
+     * const { status, sunkShip } = game.makeGameAttack(5, 5);
      */
-    const makeGameAttack = (x, y) => {
-        if (gameState !== 'playing') throw new Error('Game is not currently playing');
-
-        const opponentBoard = currentPlayer === player1 ? player2Board : player1Board;
-        const result = currentPlayer.makeAttack(x, y, opponentBoard);
-
-        checkWinCondition();
-        gameState === 'playing' && switchTurns();
-        
-        updateBoardInteractivity();
-        
-        return result;
-    }
+    const makeGameAttack = (x, y) => engine.makeGameAttack(x, y);
 
     // Generates and executes a computer player attack
-    const generateComputerAttack = () => {
-        if (currentPlayer.type !== 'computer') throw new Error('Current player is not a computer');
-
-        const gameboard = player1Board;
-        const { x, y } = currentPlayer.generateAttack(gameboard);
-        
-        return makeGameAttack(x, y);
-    };    
+    const generateComputerAttack = () => engine.generateComputerAttack();
 
     //==============================================
     // SHIP PLACEMENT METHODS
     //==============================================
 
+    // Shuffles player ships with random placement
+    const shuffleShips = () => {
+        if (isPlacementLocked()) return;
+
+        resetShipInventory();
+        engine.shuffleShips(getOwnBoard());
+    };
+
     /**
-     * Validates ship placement considering adjacency rules
-     * @private
-     * @param {Object} gameboard - Target gameboard
-     * @param {Object} ship - Ship object to place
-     * @param {number} x - X coordinate
-     * @param {number} y - Y coordinate
-     * @param {string} orientation - Ship orientation
-     * @returns {boolean} True if placement is valid
+     * Writes the fleet of the player at the device as text to trade or keep as a fixture
+     * @method exportLayout
+     * @param {string} [format='text'] - 'text' for compact type:x,y[h|v] tokens, 'json', or 'grid' for an ASCII board
+     * @returns {string} Formatted layout
+     * @throws {Error} When the format is unknown
+     *
+     * @example
+     * game.exportLayout(); // 'carrier:0,0h battleship:2,0h cruiser:4,0h submarine:6,0h destroyer:0,6h'
+     *
+     * @example
+     * console.log(game.exportLayout('grid'));
      */
-    const isValidShipPlacement = (gameboard, ship, x, y, orientation) => {
-        const shipLength = ship.length;
-
-        for (let i = -1; i <= shipLength; i++) {
-            for (let j = -1; j <= 1; j++) {
-                let checkX, checkY;
-
-                if (orientation === 'horizontal') {
-                    checkX = x + j;
-                    checkY = y + i;
-                } else {
-                    checkX = x + i;
-                    checkY = y + j;
-                }
+    const exportLayout = (format = 'text') => {
+        const board = getOwnBoard();
+        return formatLayout(getLayout(board), format, { gridSize: board.getGridSize(), fleet });
+    };
 
-                if (checkX < 0 || checkX >= 10 || checkY < 0 || checkY >= 10) continue;
+    /**
+     * Replaces the fleet of the player at the device with a layout; a rejected layout leaves the fleet as it was
+     * @method importLayout
+     * @param {string} text - Layout as compact text, JSON or an ASCII grid, as from exportLayout
+     * @returns {void}
+     * @throws {Error} When the fleet is locked or the layout is malformed, incomplete or breaks the placement rule
+     *
+     * @example
+     * game.importLayout('carrier:0,0h battleship:2,0h cruiser:4,0h submarine:6,0h destroyer:0,6h');
+     */
+    const importLayout = (text) => {
+        if (isPlacementLocked()) throw new Error('The fleet can no longer be changed');
 
-                if (orientation === 'horizontal' && i >= 0 && i < shipLength && j === 0) {
-                    if (checkY < 0 || checkY >= 10) return false;
-                } else if (orientation === 'vertical' && j === 0 && i >= 0 && i < shipLength) {
-                    // This is a cell the ship will occupy - just check bounds  
-                    if (checkX < 0 || checkX >= 10) return false;
-                } else {
-                    // This is an adjacent cell - check if it has a ship
-                    if (gameboard.getShipAt(checkX, checkY) !== null) return false; // Adjacent ship found
-                }
-            }
-        }   
-        
-        return true;
+        engine.loadLayout(getOwnBoard(), parseLayout(text, fleet));
+        clearSelection();
     };
 
-    // Places ships randomly on a gameboard for setup
-    const placeShipsRandomly = (gameboard) => {
-        const shipTypes = Object.keys(SHIP_TYPES);
+    // Puts the fleet's layout in the layout box and copies it
+    const copyLayout = () => {
+        const layout = exportLayout();
+        getElement('layout-text').value = layout;
+        copyToClipboard(layout, 'Layout copied', 'Select the layout below to copy it');
+    };
 
-        shipTypes.forEach(typeKey => {
-            let placed = false;
-            
-            while (!placed) {
-                const orientation = Math.random() < 0.5 ? 'horizontal' : 'vertical';
-                const row = Math.floor(Math.random() * gameboard.getGridSize());
-                const col = Math.floor(Math.random() * gameboard.getGridSize());
-
-                try {
-                    const ship = Ship(typeKey);
-                    if (isValidShipPlacement(gameboard, ship, row, col, orientation)) {
-                        gameboard.placeShip(ship, row, col, orientation);
-                        placed = true;                    
-                    }                    
-                } catch (error) {
-                    // console.error(`Error placing ship ${shipType.name}:`, error);
-                }
-            }
+    // Loads the layout pasted in the layout box, showing why it was rejected
+    const loadPastedLayout = () => {
+        try {
+            importLayout(getElement('layout-text').value);
+            updateStatusDisplay('Layout loaded');
+        } catch (error) {
+            updateStatusDisplay(error.message);
+        }
+    };
 
-            if (!placed) {
-                let fallbackPlaced = false;
+    // Picks a placed ship back up into the inventory so it can be repositioned
+    const pickUpShip = (row, col) => {
+        if (isPlacementLocked()) return;
 
-                while (!fallbackPlaced) {
-                    const orientation = Math.random() < 0.5 ? 'horizontal' : 'vertical';
-                    const row = Math.floor(Math.random() * gameboard.getGridSize());
-                    const col = Math.floor(Math.random() * gameboard.getGridSize());
+        const ship = getOwnBoard().getShipAt(row, col);
+        if (!ship) return;
 
-                    try {
-                        const ship = Ship(typeKey);
-                        gameboard.placeShip(ship, row, col, orientation);
-                        fallbackPlaced = true;
-                    } catch (error) {
+        try {
+            const { placement } = engine.removeShip(getOwnBoard(), row, col);
+            const shipItem = query(`.ship-item[data-type="${ship.type}"]:not(.placed)`);
+            if (shipItem) selectShipForPlacement(shipItem.dataset.shipId, ship.type, fleet[ship.type]);
 
-                    }
-                }
-            }
-        });
+            currentOrientation = placement.orientation;
+            updateStatusDisplay(`${ship.name} picked up - click a cell to place it again`);
+        } catch (error) {
+            updateStatusDisplay(error.message);
+        }
     };
 
-    // Shuffles player ships with random placement
-    const shuffleShips = () => {
-        if (gameState !== 'not playing') return;
+    // Undoes the last placement or pick-up
+    const undoPlacement = () => {
+        clearSelection();
+        if (isPlacementLocked()) return;
+        if (!engine.undoPlacement(getOwnBoard())) updateStatusDisplay('Nothing to undo');
+    };
 
-        player1Board.resetBoard();
-        resetShipInventory();
-        placeShipsRandomly(player1Board);
-        player1Board.updateDisplay();
-        markAllShipsAsPlaced();
+    // Redoes the last undone placement or pick-up
+    const redoPlacement = () => {
+        clearSelection();
+        if (isPlacementLocked()) return;
+        if (!engine.redoPlacement(getOwnBoard())) updateStatusDisplay('Nothing to redo');
     };
 
     //==============================================
@@ -330,39 +671,177 @@ export function Game(player1, player2) {
 
     // Resets ship inventory UI to initial state
     const resetShipInventory = () => {
-        document.querySelectorAll('.ship-item').forEach(item => {
+        queryAll('.ship-item').forEach(item => {
             item.classList.remove('selected', 'placed');
         });
         selectedShip = null;
         isPlacingShip = false;
     };
 
-    // Marks all ships as placed in the UI
-    const markAllShipsAsPlaced = () => {
-        document.querySelectorAll('.ship-item').forEach(item => {
-            item.classList.add('placed');
+    // Marks inventory items as placed to match the ships on the player board
+    const syncShipInventory = () => {
+        const placedCounts = {};
+        getOwnBoard().getShips().forEach(ship => {
+            placedCounts[ship.type] = (placedCounts[ship.type] ?? 0) + 1;
+        });
+
+        Object.keys(fleet).forEach(typeKey => {
+            queryAll(`.ship-item[data-type="${typeKey}"]`).forEach((item, index) => {
+                const isPlaced = index < (placedCounts[typeKey] ?? 0);
+                item.classList.toggle('placed', isPlaced);
+                if (isPlaced) item.classList.remove('selected');
+            });
         });
     };
 
-    // Selects a ship type for manual placement
-    const selectShipForPlacement = (typeKey, shipType) => {
+    // Drops the current inventory selection
+    const clearSelection = () => {
+        queryAll('.ship-item').forEach(item => {
+            item.classList.remove('selected');
+        });
+        selectedShip = null;
+        isPlacingShip = false;
+    };
+
+    // Enables undo/redo buttons when there is placement history to walk
+    const updatePlacementButtons = () => {
+        const undoButton = getElement('undo-placement');
+        const redoButton = getElement('redo-placement');
+        if (undoButton) undoButton.disabled = isPlacementLocked() || !engine.canUndoPlacement(getOwnBoard());
+        if (redoButton) redoButton.disabled = isPlacementLocked() || !engine.canRedoPlacement(getOwnBoard());
+    };
+
+    // Selects a ship from the inventory for manual placement
+    const selectShipForPlacement = (shipId, typeKey, shipType) => {
+        if (isPlacementLocked()) return;
+
         // Deselect previously selected ship
-        document.querySelectorAll('.ship-item').forEach(item => {
+        queryAll('.ship-item').forEach(item => {
             item.classList.remove('selected');
         });
 
         // Mark current selection
-        document.querySelector(`[data-type="${typeKey}"]`).classList.add('selected');
+        query(`[data-ship-id="${shipId}"]`).classList.add('selected');
         
         // Set selected ship for placement
-        selectedShip =  { typeKey, ...shipType };
+        selectedShip =  { shipId, typeKey, ...shipType };
         isPlacingShip = true;        
     };
 
-    // Rotates the current ship orientation
+    // Recomputes the opponent heat map while the overlay is visible
+    const refreshHeatMap = () => {
+        const targetBoard = getTargetBoard();
+        getOwnBoard().setHeatMap(null);
+        targetBoard.setHeatMap(isHeatMapVisible ? computeProbabilityMap(targetBoard) : null);
+    };
+
+    // Shows or hides the probability heat map on the opponent board
+    const toggleHeatMap = () => {
+        isHeatMapVisible = !isHeatMapVisible;
+        getElement('toggle-heatmap')?.classList.toggle('active', isHeatMapVisible);
+        refreshHeatMap();
+    };
+
+    //==============================================
+    // SEED METHODS
+    //==============================================
+    const getSeed = () => engine.getSeed();
+
+    /**
+     * Builds a link to this page that replays the current game's seed
+     * @method getSeedLink
+     * @returns {string|null} Page URL with a seed parameter, or null when the game is not seeded
+     *
+     * @example
+     * navigator.clipboard.writeText(game.getSeedLink());
+     */
+    const getSeedLink = () => {
+        const seed = getSeed();
+        if (seed === null) return null;
+
+        const url = new URL(window.location.href);
+        url.searchParams.set('seed', seed);
+        return url.toString();
+    };
+
+    // Copies text to the clipboard and confirms it in the status, which shows the fallback when copying is not possible
+    const copyToClipboard = (text, confirmation, fallback) => {
+        if (!navigator.clipboard) {
+            updateStatusDisplay(fallback);
+            return;
+        }
+        navigator.clipboard.writeText(text).then(() => updateStatusDisplay(confirmation), () => updateStatusDisplay(fallback));
+    };
+
+    // Copies the seed link to the clipboard, or shows it when the clipboard is unavailable
+    const shareSeed = () => {
+        const link = getSeedLink();
+        if (link) copyToClipboard(link, 'Link to this seed copied', `Share this game: ${link}`);
+    };
+
+    // Shows the current seed, hiding it for unseeded games
+    const updateSeedDisplay = () => {
+        const seedElement = getElement('game-seed');
+        if (!seedElement) return;
+
+        const seed = getSeed();
+        seedElement.hidden = seed === null;
+        getElement('seed-value').textContent = seed ?? '';
+    };
+
+    //==============================================
+    // REPLAY METHODS
+    //==============================================
+
+    /**
+     * Opens the replay viewer for the finished game
+     * @method showReplay
+     * @returns {Object|null} The replay, or null when no game has finished
+     * 
+     * @example
+     * game.showReplay().play();
+     */
+    const showReplay = () => {
+        if (!getGameState().winner || !gameContainer) return null;
+
+        closeReplay();
+
+        const replayContainer = document.createElement('div');
+        replayContainer.dataset.role = 'replay-container';
+        replayContainer.classList.add('replay-container');
+        replayContainer.innerHTML = `
+            <div class="replay-header">
+                <h4>Replay</h4>
+                <button data-role="close-replay"><span class="material-symbols-outlined">close</span></button>
+            </div>
+        `;
+        gameContainer.appendChild(replayContainer);
+        getElement('close-replay').addEventListener('click', closeReplay);
+
+        activeReplay = Replay(engine.getGameRecord());
+        activeReplay.createViewer(replayContainer);
+        return activeReplay;
+    };
+
+    // Closes the replay viewer if it is open
+    const closeReplay = () => {
+        if (activeReplay) activeReplay.destroyViewer();
+        activeReplay = null;
+        getElement('replay-container')?.remove();
+    };
+
+    // Enables the replay button once a game has finished
+    const updateReplayButton = () => {
+        const replayButton = getElement('replay-game');
+        if (replayButton) replayButton.disabled = !getGameState().winner;
+    };
+
+    // Rotates the current ship orientation and refreshes the preview under the pointer
     const rotateShip = () => {        
         currentOrientation = currentOrientation === 'horizontal' ? 'vertical' : 'horizontal';
         console.log(`Ship orientation changed to: ${currentOrientation}`);
+
+        if (isPlacingShip && selectedShip && hoveredCell) showShipPreview(hoveredCell.row, hoveredCell.col, getOwnBoard());
     };
 
     //==============================================
@@ -370,19 +849,30 @@ export function Game(player1, player2) {
     //==============================================
 
     /**
-     * Initializes the complete game UI in the specified container
+     * Initializes the complete game UI in the specified container. Everything the game renders and listens to
+     * stays inside that container, so several games can share a page.
      * @method initializeGameUI
-     * @param {string} containerId - ID of the DOM container element
+     * @param {string|HTMLElement} container - DOM container element, or its ID
      * @returns {void}
      * @throws {Error} When container is not found
      * 
      * @example
      * game.initializeGameUI('game-container');
      * // Creates complete game interface with boards, controls, etc.
+     *
+     * @example
+     * tutorialGame.initializeGameUI(query('.tutorial'));
      */
-    const initializeGameUI = (containerId) => {
-        gameContainer = document.getElementById(containerId);
-        if (!gameContainer) throw new Error(`Container ${containerId} not found`);
+    const initializeGameUI = (container) => {
+        const element = typeof container === 'string' ? document.getElementById(container) : container;
+        if (!element) throw new Error(`Container ${container} not found`);
+
+        // Rebuilding the UI must not stack a second set of listeners
+        removeEventListeners();
+        gameContainer = element;
+        saveSlot ??= element.id || null;
+        gameContainer.classList.add('game-container');
+        gameContainer.classList.toggle('solo-game', engine.isSolo());
 
         // Create game layout
         gameContainer.innerHTML = `
@@ -390,44 +880,62 @@ export function Game(player1, player2) {
             <div class="game-header">
                 <div class="player-info">
                     <h3>${player1.name}</h3>
-                    <span class="score" id="player1-score">0</span>
+                    <span class="score" data-role="player1-score">0</span>
                 </div>
-                <div class="game-status" id="game-status">Place your ships to start the game</div>
+                <div class="game-status" data-role="game-status">Place your ships to start the game</div>
                 <div class="player-info">
                     <h3>${player2.name}</h3>
-                    <span class="score" id="player2-score">0</span>
+                    <span class="score" data-role="player2-score">0</span>
                 </div>
             </div>
             <div class="game-boards">
                 <div class="board-container">
-                    <h4>Your Board</h4>
-                    <div id="player1-board"></div>
+                    <h4 data-role="player1-board-title">Your Board</h4>
+                    <div data-role="player1-board"></div>
                 </div>
                 <div class="board-container">
-                    <h4>Computer's Board</h4>
-                    <div id="player2-board"></div>
+                    <h4 data-role="player2-board-title">Computer's Board</h4>
+                    <div data-role="player2-board"></div>
+                    <ul class="enemy-fleet" data-role="enemy-fleet"></ul>
                 </div>
             </div>
             <div class="game-controls">
-                <button id="start-game"><span class="material-symbols-outlined">play_arrow</span></button>
-                <button id="reset-game"><span class="material-symbols-outlined">laps</span></button>
-                <button id="shuffle-ships"><span class="material-symbols-outlined">shuffle</span></button>
-                <button id="rotate-ship"><span class="material-symbols-outlined">cached</span></button>
+                <button data-role="start-game"><span class="material-symbols-outlined">play_arrow</span></button>
+                <button data-role="reset-game"><span class="material-symbols-outlined">laps</span></button>
+                <button data-role="shuffle-ships"><span class="material-symbols-outlined">shuffle</span></button>
+                <button data-role="rotate-ship"><span class="material-symbols-outlined">cached</span></button>
+                <button data-role="undo-placement" disabled><span class="material-symbols-outlined">undo</span></button>
+                <button data-role="redo-placement" disabled><span class="material-symbols-outlined">redo</span></button>
+                <button data-role="toggle-heatmap"><span class="material-symbols-outlined">local_fire_department</span></button>
+                <button data-role="replay-game" disabled><span class="material-symbols-outlined">movie</span></button>
+                <button data-role="show-stats"><span class="material-symbols-outlined">leaderboard</span></button>
+                <div class="game-seed" data-role="game-seed">
+                    <span>Seed <code data-role="seed-value"></code></span>
+                    <button data-role="share-seed" title="Copy a link that replays this seed"><span class="material-symbols-outlined">link</span></button>
+                </div>
+            </div>
+            <div class="match-stats">
+                <div class="match-stats-player" data-role="player1-stats"></div>
+                <div class="match-stats-player" data-role="player2-stats"></div>
             </div>
             <div class="ship-inventory">
                 <h4>Select a ship to place</h4>
-                <div id="ship-list">
+                <div data-role="ship-list">
                 </div>             
+                <div class="fleet-layout">
+                    <textarea data-role="layout-text" rows="2" spellcheck="false" placeholder="Paste a layout (text, JSON or grid) to load it"></textarea>
+                    <button data-role="copy-layout" title="Copy your fleet's layout"><span class="material-symbols-outlined">content_copy</span></button>
+                    <button data-role="load-layout" title="Place the fleet pasted here"><span class="material-symbols-outlined">upload</span></button>
+                </div>
             </div>
         `;
 
         // Reference DOM elements
-        statusElement = document.getElementById('game-status');
-        player1ScoreElement = document.getElementById('player1-score');
-        player2ScoreElement = document.getElementById('player2-score');
+        statusElement = getElement('game-status');
+        player1ScoreElement = getElement('player1-score');
+        player2ScoreElement = getElement('player2-score');
 
-        player1Board.createGrid('player1-board', true);
-        player2Board.createGrid('player2-board', false);
+        renderBoards();
 
         // Create ship inventory
         setupShipInventory();
@@ -435,18 +943,46 @@ export function Game(player1, player2) {
         // Event listeners
         setupEventListeners();
         updateStatusDisplay();
+        updateMatchStats();
+        updateSeedDisplay();
+
+        // Keep the overlay toggle in sync across UI rebuilds
+        getElement('toggle-heatmap').classList.toggle('active', isHeatMapVisible);
+        refreshHeatMap();
+
+        showResumePrompt();
+
+        // Solo games need no placement, so a fresh one starts straight away
+        if (engine.isSolo() && getGameState().gameState === 'not playing' && !getGameState().winner) startGame();
+    };
+
+    // Draws the fleet on show on the left and the board it fires at on the right
+    const renderBoards = () => {
+        const ownBoard = getOwnBoard();
+        const targetBoard = getTargetBoard();
+        const opponent = activePlayer === player1 ? player2 : player1;
+
+        getElement('player1-board').innerHTML = '';
+        getElement('player2-board').innerHTML = '';
+        ownBoard.createGrid(getElement('player1-board'), true);
+        targetBoard.createGrid(getElement('player2-board'), false);
+
+        getElement('player1-board-title').textContent = isHotSeat ? `${activePlayer.name}'s Board` : 'Your Board';
+        getElement('player2-board-title').textContent = player2.type === 'computer' ? "Computer's Board" : `${opponent.name}'s Board`;
+        updateEnemyFleet();
     };
 
     // Creates the ship inventory UI with selectable ships
     const setupShipInventory = () => {
-        const shipList = document.getElementById('ship-list');
+        const shipList = getElement('ship-list');
         if (!shipList) throw new Error('Ship list container not found');
 
-        Object.keys(SHIP_TYPES).forEach(typeKey => {
-            const shipType = SHIP_TYPES[typeKey];
+        getFleetShips(fleet).forEach(({ id, typeKey }) => {
+            const shipType = fleet[typeKey];
             const shipItem = document.createElement('div');
             shipItem.classList.add('ship-item');
             shipItem.dataset.type = typeKey;
+            shipItem.dataset.shipId = id;
 
             const shipboxes = Array.from({ length: shipType.length }, () => {
                 return `<div class="ship-box" style="background-color: ${shipType.color}"></div>`;
@@ -458,24 +994,141 @@ export function Game(player1, player2) {
             `;
 
             shipItem.addEventListener('click', () => {
-                selectShipForPlacement(typeKey, shipType);
+                selectShipForPlacement(id, typeKey, shipType);
             });
 
             shipList.appendChild(shipItem);
         });
     };
 
-    // Sets up all game event listeners
+    // Sets up all game event listeners; board events bubble up to the container from this game's own grids
     const setupEventListeners = () => {
-        document.addEventListener('boardAttack', handleBoardAttack);
-        document.addEventListener('boardHover', handleBoardHover);
-        document.addEventListener('boardLeave', handleBoardLeave);
-        document.addEventListener('shipPlacement', handleShipPlacement);
+        gameContainer.addEventListener('boardAttack', handleBoardAttack);
+        gameContainer.addEventListener('boardHover', handleBoardHover);
+        gameContainer.addEventListener('boardLeave', handleBoardLeave);
+        gameContainer.addEventListener('shipPlacement', handleShipPlacement);
+
+        getElement('start-game').addEventListener('click', startGame);
+        getElement('reset-game').addEventListener('click', resetGame);
+        getElement('shuffle-ships').addEventListener('click', shuffleShips);
+        getElement('rotate-ship').addEventListener('click', rotateShip);
+        getElement('undo-placement').addEventListener('click', undoPlacement);
+        getElement('redo-placement').addEventListener('click', redoPlacement);
+        getElement('toggle-heatmap').addEventListener('click', toggleHeatMap);
+        getElement('replay-game').addEventListener('click', showReplay);
+        getElement('show-stats').addEventListener('click', toggleStats);
+        getElement('share-seed').addEventListener('click', shareSeed);
+        getElement('copy-layout').addEventListener('click', copyLayout);
+        getElement('load-layout').addEventListener('click', loadPastedLayout);
+
+        // Drag and drop placement (pointer events cover mouse, pen and touch)
+        gameContainer.addEventListener('pointerdown', handleDragStart);
+        gameContainer.addEventListener('click', suppressClickAfterDrag, true);
+        gameContainer.addEventListener('contextmenu', handleContextMenu);
+        document.addEventListener('pointermove', handleDragMove);
+        document.addEventListener('pointerup', handleDragEnd);
+        document.addEventListener('pointercancel', cancelDrag);
+        document.addEventListener('keydown', handleRotateKey);
+    };
+
+    // Removes the listeners on the container and the page; those on the rebuilt markup go with it
+    const removeEventListeners = () => {
+        gameContainer?.removeEventListener('boardAttack', handleBoardAttack);
+        gameContainer?.removeEventListener('boardHover', handleBoardHover);
+        gameContainer?.removeEventListener('boardLeave', handleBoardLeave);
+        gameContainer?.removeEventListener('shipPlacement', handleShipPlacement);
+        gameContainer?.removeEventListener('pointerdown', handleDragStart);
+        gameContainer?.removeEventListener('click', suppressClickAfterDrag, true);
+        gameContainer?.removeEventListener('contextmenu', handleContextMenu);
+        document.removeEventListener('pointermove', handleDragMove);
+        document.removeEventListener('pointerup', handleDragEnd);
+        document.removeEventListener('pointercancel', cancelDrag);
+        document.removeEventListener('keydown', handleRotateKey);
+    };
+
+    /**
+     * Removes the game's UI and every listener it added, on the page and on the engine, leaving the container empty for reuse.
+     * A destroyed game stops reacting to its engine, so it cannot be shown again
+     * @method destroy
+     * @returns {void}
+     *
+     * @example
+     * tutorialGame.destroy(); // The page's other games keep running
+     */
+    const destroy = () => {
+        clearTimeout(computerAttackTimer);
+        networkSubscriptions.forEach(unsubscribe => unsubscribe());
+        networkSubscriptions = [];
+        engineSubscriptions.forEach(unsubscribe => unsubscribe());
+        engineSubscriptions.length = 0;
+        cancelDrag();
+        closeReplay();
+        closeStats();
+        removeEventListeners();
+
+        if (gameContainer) {
+            gameContainer.innerHTML = '';
+            gameContainer.classList.remove('game-container', 'passing-device', 'solo-game');
+        }
+        gameContainer = null;
+        statusElement = null;
+        player1ScoreElement = null;
+        player2ScoreElement = null;
+    };
+
+    //==============================================
+    // HOT-SEAT METHODS
+    //==============================================
+
+    /**
+     * Hides both fleets until the next player confirms they have the device
+     * @private
+     * @param {Object} nextPlayer - Player taking over the device
+     * @param {string} message - What just happened, shown above the hand-over prompt
+     * @returns {void}
+     */
+    const showPassScreen = (nextPlayer, message) => {
+        pendingPlayer = nextPlayer;
+        aimedShots = [];
+        clearSelection();
+        updateBoardInteractivity();
+        if (!gameContainer) return;
+
+        // Empty the grids rather than hiding them so no ship is left in the page
+        getElement('player1-board').innerHTML = '';
+        getElement('player2-board').innerHTML = '';
+        getElement('pass-device')?.remove();
+
+        const passScreen = document.createElement('div');
+        passScreen.dataset.role = 'pass-device';
+        passScreen.classList.add('pass-device');
+        passScreen.innerHTML = `
+            <p>${message}</p>
+            <p>Pass the device to ${nextPlayer.name}.</p>
+            <button data-role="pass-device-ready">I'm ${nextPlayer.name}</button>
+        `;
+        gameContainer.querySelector('.game-boards').after(passScreen);
+        gameContainer.classList.add('passing-device');
+        updateStatusDisplay(`Waiting for ${nextPlayer.name}`);
+
+        getElement('pass-device-ready').addEventListener('click', handlePassReady);
+    };
+
+    // Shows the fleet of the player who just took the device
+    const handlePassReady = () => {
+        if (!pendingPlayer) return;
 
-        document.getElementById('start-game').addEventListener('click', startGame);
-        document.getElementById('reset-game').addEventListener('click', resetGame);
-        document.getElementById('shuffle-ships').addEventListener('click', shuffleShips);
-        document.getElementById('rotate-ship').addEventListener('click', rotateShip);
+        activePlayer = pendingPlayer;
+        pendingPlayer = null;
+        getElement('pass-device')?.remove();
+        gameContainer.classList.remove('passing-device');
+
+        renderBoards();
+        syncShipInventory();
+        updatePlacementButtons();
+        updateBoardInteractivity();
+        refreshHeatMap();
+        updateStatusDisplay();
     };
 
     //==============================================
@@ -490,6 +1143,7 @@ export function Game(player1, player2) {
 
         if (!isPlayerBoard(gameboard)) return;
 
+        hoveredCell = { row, col };
         showShipPreview(row, col, gameboard);
     };
 
@@ -501,80 +1155,423 @@ export function Game(player1, player2) {
 
         if (!isPlayerBoard(gameboard)) return;
 
+        hoveredCell = null;
         clearShipPreview(gameboard);
     };
 
-    // Handles ship placement click events
+    // Handles ship placement click events (clicking a placed ship with nothing selected picks it up)
     const handleShipPlacement = (event) => {
-        if (!isPlacingShip || !selectedShip) return;
-
         const { row, col, gameboard } = event.detail;
 
         if (!isPlayerBoard(gameboard)) return;
 
-        try {
-            const ship = Ship(selectedShip.typeKey);
-            gameboard.placeShip(ship, row, col, currentOrientation);
+        if (!isPlacingShip || !selectedShip) {
+            pickUpShip(row, col);
+            return;
+        }
 
-            clearShipPreview(gameboard);
-            const shipElement = document.querySelector(`[data-type="${selectedShip.typeKey}"]`);
-            if (shipElement) {
-                shipElement.classList.add('placed');                
-            }
+        placeSelectedShip(row, col);
+    };
 
-            selectedShip = null;
-            isPlacingShip = false;
-            player1Board.updateDisplay();
+    // Places the selected ship at a cell, keeping it selected if the spot is invalid
+    const placeSelectedShip = (row, col) => {
+        try {
+            engine.placeShip(getOwnBoard(), selectedShip.typeKey, row, col, currentOrientation);
+
+            clearShipPreview(getOwnBoard());
+            clearSelection();
         } catch (error) {
             console.error('Error placing ship:', error);
             updateStatusDisplay(error.message);
-            clearShipPreview(gameboard);
+            clearShipPreview(getOwnBoard());
         }
     };
 
     // Handles board attack click events
     const handleBoardAttack = (event) => {
-        const { row, col, gameboard } = event.detail;
+        const { row, col, boardElement } = event.detail;
+        const { gameState } = getGameState();
 
         if (gameState !== 'playing') {
             updateStatusDisplay('Game is not currently playing');
             return;
         }
 
-        if (gameboard === player1Board) {
+        // The fleet on show is always drawn in the player 1 board, whoever is at the device
+        if (getElement('player1-board').contains(boardElement)) {
             updateStatusDisplay('Cannot attack your own board');
             return;
         }
 
+        if (isNetwork) {
+            sendNetworkAttack(row, col);
+            return;
+        }
+
+        if (engine.isSalvo()) {
+            aimShot(row, col);
+            return;
+        }
+
         try {
-            const result = makeGameAttack(row, col);
+            const attacker = getGameState().currentPlayer;
+            const announcement = describeAttack(makeGameAttack(row, col));
 
-            if (winner) {
+            if (getGameState().winner) {
                 updateStatusDisplay();
                 return;
             }
 
-            updateStatusDisplay(`${getGameState().currentPlayer.name} ${result}!`);
-            updateScoreDisplay();
+            if (engine.isSolo()) {
+                updateStatusDisplay(`${announcement} ${getTurnStatus()}`);
+                return;
+            }
+
+            // A bonus shot keeps the turn, and the device, with the attacker
+            if (getGameState().currentPlayer === attacker) {
+                updateStatusDisplay(`${announcement} ${attacker.name} fires again`);
+                return;
+            }
 
-            if (getGameState().currentPlayer.type === 'computer' && gameState === 'playing') {
-                setTimeout(() => {
-                    const computerResult = generateComputerAttack();
-                    
-                    if (winner) {
-                        updateStatusDisplay();
-                        return;
-                    }
+            if (isHotSeat) {
+                showPassScreen(getGameState().currentPlayer, announcement);
+                return;
+            }
+
+            updateStatusDisplay(announcement);
+            scheduleComputerAttack();
+        } catch (error) {
+            updateStatusDisplay(error.message);
+        }
+    };
+
+    // Lets the computer reply after a short delay when it is its turn
+    const scheduleComputerAttack = () => {
+        if (getGameState().currentPlayer.type !== 'computer' || getGameState().gameState !== 'playing') return;
+
+        computerAttackTimer = setTimeout(() => {
+            // The game may have been reset or restored during the delay
+            if (getGameState().currentPlayer.type !== 'computer' || getGameState().gameState !== 'playing') return;
+
+            if (engine.isSalvo()) {
+                const shots = engine.generateComputerSalvo();
+                updateStatusDisplay(getGameState().winner ? undefined : `${describeSalvo(player2, shots)}. ${getTurnStatus()}`);
+                return;
+            }
+
+            const attack = generateComputerAttack();
+            
+            if (attack.gameOver) {
+                updateStatusDisplay();
+                return;
+            }
+
+            updateStatusDisplay(describeAttack(attack));
+            scheduleComputerAttack(); // Fires again after a bonus shot
+        }, 1000);
+    };
+
+    //==============================================
+    // SALVO METHODS
+    //==============================================
+
+    // Aims a shot of the volley at a cell, or takes the aim back off it, and fires once every shot is aimed
+    const aimShot = (row, col) => {
+        const index = aimedShots.findIndex(shot => shot.x === row && shot.y === col);
+        if (index === -1) aimedShots.push({ x: row, y: col });
+        else aimedShots.splice(index, 1);
+
+        renderAimedShots();
+        if (aimedShots.length < engine.getShotsPerTurn()) updateStatusDisplay();
+        else fireSalvo();
+    };
+
+    // Fires the aimed volley and reveals all of its results at once
+    const fireSalvo = () => {
+        const targets = aimedShots;
+        aimedShots = [];
+
+        try {
+            const attacker = getGameState().currentPlayer;
+            const shots = engine.makeSalvoAttack(targets);
+
+            if (getGameState().winner) {
+                updateStatusDisplay();
+                return;
+            }
 
-                    updateStatusDisplay(`Computer ${computerResult}!`);
-                    updateScoreDisplay();
-                }, 1000);
+            if (isHotSeat) {
+                showPassScreen(getGameState().currentPlayer, `${describeSalvo(attacker, shots)}.`);
+                return;
             }
+
+            updateStatusDisplay(`${describeSalvo(attacker, shots)}. ${getTurnStatus()}`);
+            scheduleComputerAttack();
         } catch (error) {
+            renderAimedShots();
             updateStatusDisplay(error.message);
         }
     };
 
+    // Marks the cells aimed at on the target board
+    const renderAimedShots = () => {
+        queryAll('[data-role="player2-board"] .aimed').forEach(cell => cell.classList.remove('aimed'));
+        aimedShots.forEach(({ x, y }) => {
+            query(`[data-role="player2-board"] [data-row="${x}"][data-col="${y}"]`)?.classList.add('aimed');
+        });
+    };
+
+    // Summarises a volley's results, e.g. "Player 1 fired 3 shots: 1 sunk, 2 miss - sank the Cruiser"
+    const describeSalvo = (attacker, shots) => {
+        const counts = {};
+        shots.forEach(({ status }) => {
+            counts[status] = (counts[status] ?? 0) + 1;
+        });
+        const results = ['sunk', 'hit', 'miss'].filter(result => counts[result]).map(result => `${counts[result]} ${result}`);
+        const sunkNames = shots.filter(shot => shot.sunkShip).map(shot => `the ${shot.sunkShip.name}`);
+        const sinking = sunkNames.length > 0 ? ` - sank ${sunkNames.join(' and ')}` : '';
+
+        return `${attacker.name} fired ${shots.length} shots: ${results.join(', ')}${sinking}`;
+    };
+
+    // Announces a single attack, naming the ship it sank, e.g. "You sank the Cruiser!"
+    const describeAttack = ({ attacker, status, sunkShip }) => {
+        if (!sunkShip) return `${attacker.name} ${status}!`;
+        if (isHotSeat) return `${attacker.name} sank the ${sunkShip.name}!`;
+        return attacker === player1 ? `You sank the ${sunkShip.name}!` : `${attacker.name} sank your ${sunkShip.name}!`;
+    };
+
+    // Names the daily challenge being played, marking attempts after the one stored for the day as replays
+    const getChallengeLabel = () => {
+        if (!isChallenge) return '';
+        return `Daily challenge ${challengeDate}${loadChallengeResults()[challengeDate] ? ' (replay)' : ''} - `;
+    };
+
+    // Names the player to move, with the shots left to aim in a salvo game or the shots fired and left in a solo one
+    const getTurnStatus = () => {
+        const { currentPlayer } = getGameState();
+        if (engine.isSolo()) {
+            const { shots } = engine.getMatchStats(player1);
+            const remaining = engine.getShotsRemaining();
+            return `${getChallengeLabel()}${shots} shot${shots === 1 ? '' : 's'} fired${remaining === null ? '' : ` - ${remaining} left`}`;
+        }
+        if (!engine.isSalvo()) return `${currentPlayer.name}'s turn`;
+
+        return `${currentPlayer.name}'s turn - ${engine.getShotsPerTurn() - aimedShots.length} shots remaining`;
+    };
+
+    //==============================================
+    // NETWORK METHODS
+    //==============================================
+
+    // Sends the placed fleet to the server, which keeps it hidden from the opponent
+    const sendFleet = () => {
+        if (fleetState !== 'editing' || isSeatTaken) return;
+        if (!engine.areAllShipsPlaced(player1Board)) {
+            updateStatusDisplay('Please place all ships before starting the game');
+            return;
+        }
+
+        fleetState = 'sent';
+        clearSelection();
+        updatePlacementButtons();
+        player2.sendFleet(player1Board.getShips().map(ship => ({ type: ship.type, ...player1Board.getShipPlacement(ship) })));
+        updateStatusDisplay(`Fleet sent - waiting for ${player2.name}`);
+    };
+
+    // Sends an attack for the server to resolve against the hidden opponent fleet
+    const sendNetworkAttack = (row, col) => {
+        if (isAttackPending || isSeatTaken || getGameState().currentPlayer !== player1) return;
+
+        isAttackPending = true;
+        updateBoardInteractivity();
+        player2.sendAttack(row, col);
+    };
+
+    // Locks placement once the server has the fleet; a reloaded tab gets its fleet back from the server
+    const handleFleetAccepted = ({ ships }) => {
+        if (player1Board.getShips().length === 0) {
+            ships.forEach(({ type, x, y, orientation }) => engine.placeShip(player1Board, type, x, y, orientation));
+        }
+
+        fleetState = 'accepted';
+        clearSelection();
+        updatePlacementButtons();
+    };
+
+    // Starts the game with whoever the server picked to fire first
+    const handleNetworkGameStarted = ({ yourTurn }) => {
+        engine.startGame(yourTurn ? player1 : player2);
+        updateStatusDisplay();
+    };
+
+    // Applies an attack result from the server, whichever side fired
+    const handleNetworkAttack = ({ by, x, y, result, sunkShip, winner }) => {
+        if (by === 'you') isAttackPending = false;
+        const attack = by === 'you'
+            ? engine.applyAttackResult(x, y, result, { sunkShip, gameOver: winner === 'you' })
+            : engine.makeGameAttack(x, y);
+
+        const firesAgain = getGameState().currentPlayer === attack.attacker ? ` ${attack.attacker.name} fires again` : '';
+        updateStatusDisplay(winner ? undefined : `${describeAttack(attack)}${firesAgain}`);
+    };
+
+    // Shows a rejected message and unlocks whatever was waiting on the server
+    const handleNetworkError = ({ message }) => {
+        isAttackPending = false;
+        if (fleetState === 'sent') fleetState = 'editing';
+        updatePlacementButtons();
+        updateBoardInteractivity();
+        updateStatusDisplay(message);
+    };
+
+    // Stops this tab from playing once another tab has taken its seat
+    const handleSeatTaken = () => {
+        isSeatTaken = true;
+        clearSelection();
+        updatePlacementButtons();
+        updateBoardInteractivity();
+        updateStatusDisplay('This game was opened in another tab');
+    };
+
+    // Shows the game status again once the opponent is back
+    const handleOpponentJoined = () => {
+        if (getGameState().gameState === 'playing') updateStatusDisplay();
+        else updateStatusDisplay(`${player2.name} joined`);
+    };
+
+    // Listens to the multiplayer server through the network player
+    const setupNetworkHandlers = () => {
+        networkSubscriptions = [
+            player2.on('fleetAccepted', handleFleetAccepted),
+            player2.on('gameStarted', handleNetworkGameStarted),
+            player2.on('attack', handleNetworkAttack),
+            player2.on('error', handleNetworkError),
+            player2.on('opponentJoined', handleOpponentJoined),
+            player2.on('waiting', () => updateStatusDisplay(`Waiting for ${player2.name}`)),
+            player2.on('opponentLeft', () => updateStatusDisplay(`${player2.name} left - waiting for them to rejoin`)),
+            player2.on('disconnected', () => updateStatusDisplay('Connection lost - reconnecting...')),
+            player2.on('replaced', handleSeatTaken),
+        ];
+    };
+
+    if (isNetwork) setupNetworkHandlers();
+
+    //==============================================
+    // DRAG AND DROP METHODS
+    //==============================================
+
+    // Remembers a press on an inventory ship or a placed ship as a possible drag
+    const handleDragStart = (event) => {
+        suppressNextClick = false;
+        if (event.button > 0 || isPlacementLocked()) return;
+
+        const shipItem = event.target.closest('.ship-item');
+        const cell = event.target.closest('[data-role="player1-board"] .grid-cell');
+        const start = { startX: event.clientX, startY: event.clientY, isDragging: false };
+
+        if (shipItem && !shipItem.classList.contains('placed')) {
+            dragState = { source: 'inventory', shipItem, ...start };
+        } else if (cell && getOwnBoard().getShipAt(Number(cell.dataset.row), Number(cell.dataset.col))) {
+            dragState = { source: 'board', row: Number(cell.dataset.row), col: Number(cell.dataset.col), ...start };
+        }
+    };
+
+    // Follows the pointer with a placement preview once it has moved far enough
+    const handleDragMove = (event) => {
+        if (!dragState) return;
+
+        if (!dragState.isDragging) {
+            const distance = Math.hypot(event.clientX - dragState.startX, event.clientY - dragState.startY);
+            if (distance < DRAG_THRESHOLD) return;
+            beginDrag();
+        }
+
+        if (!selectedShip) return;
+        event.preventDefault();
+
+        const cell = getPlayerCellAtPointer(event);
+        if (cell) {
+            hoveredCell = { row: Number(cell.dataset.row), col: Number(cell.dataset.col) };
+            showShipPreview(hoveredCell.row, hoveredCell.col, getOwnBoard());
+        } else {
+            hoveredCell = null;
+            clearShipPreview(getOwnBoard());
+        }
+    };
+
+    // Selects the dragged ship, lifting it off the board when it was already placed
+    const beginDrag = () => {
+        const { source, shipItem, row, col } = dragState;
+        dragState.isDragging = true;
+
+        if (source === 'inventory') selectShipForPlacement(shipItem.dataset.shipId, shipItem.dataset.type, fleet[shipItem.dataset.type]);
+        else pickUpShip(row, col);
+
+        document.body.classList.add('dragging-ship');
+    };
+
+    // Drops the dragged ship on the cell under the pointer
+    const handleDragEnd = (event) => {
+        if (!dragState) return;
+
+        const { isDragging } = dragState;
+        endDrag();
+        if (!isDragging) return; // A plain click, handled by the click listeners
+
+        // The click that follows the release must not pick the dropped ship straight back up
+        suppressNextClick = true;
+
+        const cell = getPlayerCellAtPointer(event);
+        if (cell && selectedShip) placeSelectedShip(Number(cell.dataset.row), Number(cell.dataset.col));
+        else clearShipPreview(getOwnBoard()); // Dropped off the board: the ship stays selected for a click placement
+    };
+
+    // Abandons a drag interrupted by the browser, leaving the ship selected
+    const cancelDrag = () => {
+        if (!dragState) return;
+        endDrag();
+        clearShipPreview(getOwnBoard());
+    };
+
+    // Clears the drag state
+    const endDrag = () => {
+        dragState = null;
+        hoveredCell = null;
+        document.body.classList.remove('dragging-ship');
+    };
+
+    // Swallows the click fired by releasing a drag
+    const suppressClickAfterDrag = (event) => {
+        if (!suppressNextClick) return;
+        suppressNextClick = false;
+        event.stopPropagation();
+    };
+
+    // Rotates the selected ship with the R key
+    const handleRotateKey = (event) => {
+        if (event.key !== 'r' && event.key !== 'R') return;
+        if (event.target.closest?.('textarea, input')) return;
+        if (!isPlacingShip || !selectedShip) return;
+        rotateShip();
+    };
+
+    // Rotates the selected ship on right-click instead of opening the context menu
+    const handleContextMenu = (event) => {
+        if (!isPlacingShip || !selectedShip) return;
+        event.preventDefault();
+        rotateShip();
+    };
+
+    // Gets the player board cell under the pointer; touch pointers stay targeted at the element first pressed
+    const getPlayerCellAtPointer = (event) => {
+        const element = document.elementFromPoint
+            ? document.elementFromPoint(event.clientX, event.clientY)
+            : event.target;
+        const cell = element?.closest?.('[data-role="player1-board"] .grid-cell');
+        return cell && gameContainer?.contains(cell) ? cell : null;
+    };
+
     //==============================================
     // SHIP PREVIEW METHODS
     //==============================================
@@ -591,7 +1588,10 @@ export function Game(player1, player2) {
         clearShipPreview(gameboard);
 
         const coordinates = [];
-        let hasOverlap = false;
+        const size = gameboard.getGridSize();
+
+        // The board applies the same bounds, overlap and adjacency rules as the placement itself
+        const placementError = gameboard.getPlacementError(selectedShip, row, col, currentOrientation);
 
         // Calculate ship coordinates based on orientation
         for (let i = 0; i < selectedShip.length; i++) {
@@ -599,19 +1599,17 @@ export function Game(player1, player2) {
             const y = currentOrientation === 'horizontal' ? col + i : col;
 
             coordinates.push({ x, y });
-
-            // Check if coordinates are valid and not overlapping
-            if (x >= 10 || y >= 10 || x < 0 || y < 0) hasOverlap = true;
-            else if (gameboard.getShipAt(x, y) !== null) hasOverlap = true;            
         }
 
         coordinates.forEach( ({ x, y }) => {
-            if (x >= 0 && x < 10 && y >= 0 && y < 10) {
-                const cell = document.querySelector(`#player1-board [data-row="${x}"][data-col="${y}"]`);
+            if (x >= 0 && x < size && y >= 0 && y < size) {
+                const cell = query(`[data-role="player1-board"] [data-row="${x}"][data-col="${y}"]`);
                 if (cell) {
                     cell.classList.add('ship-preview');
-                    if (hasOverlap) cell.classList.add('ship-preview-invalid');
-                    else {
+                    if (placementError) {
+                        cell.classList.add('ship-preview-invalid');
+                        cell.title = placementError;
+                    } else {
                         cell.style.backgroundColor = selectedShip.color;
                         cell.style.opacity = '0.7';
                     }
@@ -622,13 +1620,14 @@ export function Game(player1, player2) {
 
     // Clears ship placement preview
     const clearShipPreview = (gameboard) => {
-        const previewCells = document.querySelectorAll('#player1-board .ship-preview');
+        const previewCells = queryAll('[data-role="player1-board"] .ship-preview');
         previewCells.forEach(cell => {
             cell.classList.remove('ship-preview', 'ship-preview-invalid');
+            cell.removeAttribute('title');
             cell.style.backgroundColor = '';
             cell.style.opacity = '';
         });
-        player1Board.updateDisplay();
+        getOwnBoard().updateDisplay();
     };
 
     //==============================================
@@ -637,19 +1636,30 @@ export function Game(player1, player2) {
 
     // Checks if a gameboard belongs to the player
     const isPlayerBoard = (gameboard) => {
-        // Compare the gameboard methods to determine if it's player1Board
-        return gameboard === player1Board || 
-            (gameboard.getGridSize && gameboard.getGridSize() === player1Board.getGridSize());
+        // Compare the gameboard methods to determine if it's the board on show
+        return gameboard === getOwnBoard() || 
+            (gameboard.getGridSize && gameboard.getGridSize() === getOwnBoard().getGridSize());
     };
 
+    // Checks if the fleet on show can no longer be edited
+    const isPlacementLocked = () => getGameState().gameState === 'playing' || getGameState().winner !== null || fleetState !== 'editing' || isSeatTaken;
+
+    // Gets the fleet of the player at the device (always player 1 against the computer)
+    const getOwnBoard = () => (activePlayer === player1 ? player1Board : player2Board);
+
+    // Gets the board the player at the device fires at
+    const getTargetBoard = () => (activePlayer === player1 ? player2Board : player1Board);
+
     // Updates board interactivity based on current game state and player
     const updateBoardInteractivity = () => {
-        if (gameState !== 'playing') {
-            player2Board.disableBoard();
+        const { gameState, currentPlayer } = getGameState();
+
+        if (gameState !== 'playing' || isSeatTaken) {
+            getTargetBoard().disableBoard();
             return;
         }
-        if (currentPlayer === player1) player2Board.enableBoard();
-        else player2Board.disableBoard();
+        if (currentPlayer === activePlayer && !pendingPlayer && !isAttackPending) getTargetBoard().enableBoard();
+        else getTargetBoard().disableBoard();
     };
 
     //==============================================
@@ -669,11 +1679,16 @@ export function Game(player1, player2) {
     const updateStatusDisplay = (message) => {
         if (!statusElement) return;
 
+        const { gameState, winner } = getGameState();
+
         if (message) statusElement.textContent = message;
         else {
-            if (winner) statusElement.textContent = `🎉 ${winner.name} wins! 🎉`;
-            else if (gameState === 'playing') statusElement.textContent = `${getGameState().currentPlayer.name}'s turn`;
-            else statusElement.textContent = 'Place your ships to start the game';                                    
+            if (winner === player1 && engine.isSolo()) statusElement.textContent = `🎉 Fleet sunk in ${engine.getMatchStats(player1).shots} shots! 🎉`;
+            else if (winner && engine.isSolo()) statusElement.textContent = 'Out of shots - the fleet survived';
+            else if (winner) statusElement.textContent = `🎉 ${winner.name} wins! 🎉`;
+            else if (gameState === 'playing') statusElement.textContent = getTurnStatus();
+            else if (isHotSeat) statusElement.textContent = `${activePlayer.name}, place your ships - ${PLACEMENT_RULE_HINTS[placementRule]}`;
+            else statusElement.textContent = `Place your ships to start the game - ${PLACEMENT_RULE_HINTS[placementRule]}`;
         }
     };
 
@@ -690,19 +1705,83 @@ export function Game(player1, player2) {
         if (player2ScoreElement) player2ScoreElement.textContent = player2.score;
     };
 
+    // Renders one player's shooting figures and the opponent ships they have sunk
+    const renderMatchStats = (player, element) => {
+        const { shots, hits, misses, accuracy, hitStreak, shipsSunk, shipsRemaining, fleetTracker } = engine.getMatchStats(player);
+        const opponent = player === player1 ? player2 : player1;
+        const ships = fleetTracker.map(ship => `
+            <li class="${ship.sunk ? 'sunk' : ''}" data-tracked-ship="${ship.id}">${ship.name} (${ship.length})</li>
+        `).join('');
+
+        element.innerHTML = `
+            <h4>${player.name}</h4>
+            <dl>
+                <dt>Shots</dt><dd data-stat="shots">${shots}</dd>
+                <dt>Hits</dt><dd data-stat="hits">${hits}</dd>
+                <dt>Misses</dt><dd data-stat="misses">${misses}</dd>
+                <dt>Accuracy</dt><dd data-stat="accuracy">${accuracy === null ? '-' : `${Math.round(accuracy * 100)}%`}</dd>
+                <dt>Hit streak</dt><dd data-stat="streak">${hitStreak}</dd>
+                <dt>Ships sunk</dt><dd data-stat="sunk">${shipsSunk}</dd>
+                <dt>Ships remaining</dt><dd data-stat="remaining">${shipsRemaining}</dd>
+            </dl>
+            <h5>${opponent.name}'s fleet</h5>
+            <ul class="fleet-tracker">${ships}</ul>
+        `;
+    };
+
+    // Refreshes the live statistics of both players from the engine
+    const updateMatchStats = () => {
+        const player1Stats = getElement('player1-stats');
+        const player2Stats = getElement('player2-stats');
+        if (player1Stats) renderMatchStats(player1, player1Stats);
+        if (player2Stats) renderMatchStats(player2, player2Stats);
+    };
+
+    // Lists the enemy ship types under the target board, crossing out a type once none of it is afloat
+    const updateEnemyFleet = () => {
+        const enemyFleet = getElement('enemy-fleet');
+        if (!enemyFleet) return;
+
+        const afloat = {};
+        engine.getMatchStats(activePlayer).fleetTracker.forEach(({ typeKey, sunk }) => {
+            afloat[typeKey] = afloat[typeKey] ?? { total: 0, remaining: 0 };
+            afloat[typeKey].total++;
+            if (!sunk) afloat[typeKey].remaining++;
+        });
+
+        enemyFleet.innerHTML = Object.entries(afloat).map(([typeKey, { total, remaining }]) => `
+            <li class="${remaining === 0 ? 'sunk' : ''}" data-fleet-type="${typeKey}">
+                ${fleet[typeKey].name}${total > 1 ? ` ${remaining}/${total}` : ''}
+            </li>
+        `).join('');
+    };
+
     // Return public API
     return {
         getPlayer1,
         getPlayer2,
         getPlayer1Board,
         getPlayer2Board,
+        getFleet,
+        getEngine,
         startGame,
         getGameState,
         generateComputerAttack,
         makeGameAttack,
         resetGame,
+        shuffleShips,
+        exportLayout,
+        importLayout,
+        resumeGame,
+        showReplay,
+        showStats,
+        getSeed,
+        getSeedLink,
+        on,
+        off,
 
         initializeGameUI,
+        destroy,
         updateStatusDisplay,
         updateScoreDisplay,
     };
@@ -1,7 +1,29 @@
+import { DEFAULT_GRID_SIZE, MIN_GRID_SIZE, MAX_GRID_SIZE, PLACEMENT_RULES, DEFAULT_PLACEMENT_RULE } from '../../utils/constants.js';
+
+// Neighbouring cells each adjacency rule keeps free of other ships
+const ORTHOGONAL_NEIGHBOURS = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+const DIAGONAL_NEIGHBOURS = [[-1, -1], [-1, 1], [1, -1], [1, 1]];
+const RULE_NEIGHBOURS = {
+    'no-touch': [...ORTHOGONAL_NEIGHBOURS, ...DIAGONAL_NEIGHBOURS],
+    'corner-touch': ORTHOGONAL_NEIGHBOURS,
+    'touching': [],
+};
+
+// Rejection messages for ships that break the adjacency rule
+const RULE_ERRORS = {
+    'no-touch': 'Ships cannot touch, not even diagonally',
+    'corner-touch': 'Ships cannot touch side by side, only at the corners',
+};
+
 /**
- * Creates a gameboard object with grid management, ship placement, and attack handling capabilities
+ * Creates a gameboard object with grid management, ship placement, and attack handling capabilities.
+ * Grid logic never touches the DOM; rendering happens only through createGrid and updateDisplay.
  * @function Gameboard
+ * @param {number} [gridSize=10] - Number of rows and columns (between 8 and 20)
+ * @param {Object} [options={}] - Board rules
+ * @param {string} [options.placementRule='no-touch'] - Adjacency rule enforced on every placement ('no-touch', 'corner-touch' or 'touching')
  * @returns {Object} Gameboard object with grid management and DOM manipulation methods
+ * @throws {Error} When gridSize is not an integer within the supported range or the placement rule is unknown
  * 
  * @example
  * const playerBoard = Gameboard();
@@ -10,26 +32,43 @@
  * 
  * @example
  * const result = computerBoard.receiveAttack(5, 5);
- * if (result === 'hit') {
- *   console.log('Ship hit!');
+ * if (result.status === 'hit') {
+ *   console.log(`Hit the ${result.ship.type}!`);
  * }
+ * 
+ * @example
+ * const smallBoard = Gameboard(8);
+ * console.log(smallBoard.getGridSize()); // 8
+ * 
+ * @example
+ * const looseBoard = Gameboard(10, { placementRule: 'touching' });
+ * looseBoard.canPlaceShip(Ship('destroyer'), 1, 0, 'horizontal'); // true next to a ship on row 0
  */
-export function Gameboard() {
+export function Gameboard(gridSize = DEFAULT_GRID_SIZE, { placementRule = DEFAULT_PLACEMENT_RULE } = {}) {
+    // Input validation
+    if (!Number.isInteger(gridSize) || gridSize < MIN_GRID_SIZE || gridSize > MAX_GRID_SIZE) {
+        throw new Error(`Invalid grid size: ${gridSize}`);
+    }
+    if (!PLACEMENT_RULES.includes(placementRule)) throw new Error(`Invalid placement rule: ${placementRule}`);
+
     //==============================================
     // CONSTANTS & PRIVATE STATE
     //==============================================
-    const GRID_SIZE = 10;
+    const GRID_SIZE = gridSize;
 
     // Private state
     const grid = Array(GRID_SIZE).fill(null).map(() => Array(GRID_SIZE).fill(null));
     const attackedCoordinates = new Set();
     const ships = [];    
+    const shipPlacements = new Map();
+    const reportedHits = new Set(); // Hits reported on hidden ships (an online opponent's board) before they sink
 
     //==============================================
     // DOM STATE
     //==============================================
     let gridElement = null;
     let isPlayerBoard = false;
+    let heatMap = null;
 
     // Helper functions
     const isValidCoordinate = (x, y) => { return x >= 0 && x < GRID_SIZE && y >= 0 && y < GRID_SIZE; };
@@ -42,6 +81,9 @@ export function Gameboard() {
     // Gets the size of the game grid
     const getGridSize = () => GRID_SIZE;
 
+    // Gets the adjacency rule enforced on placements
+    const getPlacementRule = () => placementRule;
+
     // Gets the ship at specified coordinates
     const getShipAt = (x, y) => {
         if (!isValidCoordinate(x, y)) return null;
@@ -53,10 +95,75 @@ export function Gameboard() {
         return attackedCoordinates.has(coordinateKey(x, y));
     };  
 
+    // Gets every ship placed on the board
+    const getShips = () => [...ships];
+
+    // Gets the origin and orientation a ship was placed with
+    const getShipPlacement = (ship) => {
+        const placement = shipPlacements.get(ship);
+        return placement ? { ...placement } : null;
+    };
+
+    /**
+     * Gets what an opponent can see at a cell, without revealing unhit ships
+     * @method getCellState
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {string} Cell state ('unknown', 'miss', 'hit', 'sunk')
+     * 
+     * @example
+     * if (gameboard.getCellState(4, 4) === 'hit') console.log('Unresolved hit');
+     */
+    const getCellState = (x, y) => {
+        if (!isAttacked(x, y)) return 'unknown';
+
+        const ship = getShipAt(x, y);
+        if (ship === null) return reportedHits.has(coordinateKey(x, y)) ? 'hit' : 'miss';
+        return ship.isSunk() ? 'sunk' : 'hit';
+    };
+
+    // Gets the lengths of ships still afloat (public knowledge once sinkings are announced)
+    const getRemainingShipLengths = () => {
+        return ships.filter(ship => !ship.isSunk()).map(ship => ship.length);
+    };
+
     //==============================================
     // SHIP PLACEMENT METHODS
     //==============================================
 
+    /**
+     * Explains why a ship cannot go at a position under this board's bounds, overlap and adjacency rules
+     * @method getPlacementError
+     * @param {Object} ship - Ship (or any object with a length) to check
+     * @param {number} x - Starting X coordinate
+     * @param {number} y - Starting Y coordinate
+     * @param {string} orientation - Ship orientation ('horizontal' or 'vertical')
+     * @returns {string|null} Rejection message, or null when the placement is allowed
+     * 
+     * @example
+     * const error = gameboard.getPlacementError(Ship('cruiser'), 0, 8, 'horizontal');
+     * console.log(error); // 'Ship placement out of bounds'
+     */
+    const getPlacementError = (ship, x, y, orientation) => {
+        const cells = Array.from({ length: ship.length }, (_, i) => ({
+            x: orientation === 'vertical' ? x + i : x,
+            y: orientation === 'horizontal' ? y + i : y,
+        }));
+
+        if (!cells.every(cell => isValidCoordinate(cell.x, cell.y))) return 'Ship placement out of bounds';
+        if (cells.some(cell => grid[cell.x][cell.y] !== null)) return 'Ships cannot overlap';
+
+        const touchesShip = cells.some(cell => RULE_NEIGHBOURS[placementRule].some(([dx, dy]) => {
+            return getShipAt(cell.x + dx, cell.y + dy) !== null;
+        }));
+        if (touchesShip) return RULE_ERRORS[placementRule];
+
+        return null;
+    };
+
+    // Checks if a ship could be placed without breaking any rule
+    const canPlaceShip = (ship, x, y, orientation) => getPlacementError(ship, x, y, orientation) === null;
+
     /**
      * Places a ship on the gameboard at specified coordinates
      * @method placeShip
@@ -64,7 +171,7 @@ export function Gameboard() {
      * @param {number} x - Starting X coordinate
      * @param {number} y - Starting Y coordinate
      * @param {string} orientation - Ship orientation ('horizontal' or 'vertical')
-     * @throws {Error} When ship placement is invalid (out of bounds or overlapping)
+     * @throws {Error} When ship placement is invalid (out of bounds, overlapping or breaking the adjacency rule)
      * 
      * @example
      * const ship = Ship('carrier');
@@ -78,20 +185,9 @@ export function Gameboard() {
      * }
      */
     const placeShip = (ship, x, y, orientation) => {
-        // Validate bounds
-        if (orientation === 'horizontal') {
-            if (y + ship.length > GRID_SIZE) throw new Error('Ship placement out of bounds');
-        } else if (orientation === 'vertical') {
-            if (x + ship.length > GRID_SIZE) throw new Error('Ship placement out of bounds');
-        }
-
-        // Check for overlapping ships    
-        for (let i = 0; i < ship.length; i++) {
-            const checkX = orientation === 'vertical' ? x + i : x;
-            const checkY = orientation === 'horizontal' ? y + i : y;
-
-            if (grid[checkX][checkY] !== null) throw new Error('Ships cannot overlap');
-        }
+        // Validate bounds, overlap and adjacency
+        const error = getPlacementError(ship, x, y, orientation);
+        if (error) throw new Error(error);
 
         // Place the ship
         for (let i = 0; i < ship.length; i++) {
@@ -103,26 +199,67 @@ export function Gameboard() {
 
         // Add ship to the ships array for tracking
         ships.push(ship);
+        shipPlacements.set(ship, { x, y, orientation });
+    };
+
+    /**
+     * Removes a placed ship from the gameboard
+     * @method removeShip
+     * @param {Object} ship - Ship object to remove
+     * @returns {{x: number, y: number, orientation: string}} The placement the ship had
+     * @throws {Error} When the ship is not on this board
+     * 
+     * @example
+     * const placement = gameboard.removeShip(gameboard.getShipAt(0, 0));
+     */
+    const removeShip = (ship) => {
+        const placement = shipPlacements.get(ship);
+        if (!placement) throw new Error('Ship is not on this board');
+
+        for (let i = 0; i < ship.length; i++) {
+            const clearX = placement.orientation === 'vertical' ? placement.x + i : placement.x;
+            const clearY = placement.orientation === 'horizontal' ? placement.y + i : placement.y;
+
+            grid[clearX][clearY] = null;
+        }
+
+        ships.splice(ships.indexOf(ship), 1);
+        shipPlacements.delete(ship);
+        return { ...placement };
     };
 
     //==============================================
     // ATTACK COORDINATION METHODS
     //==============================================
 
+    // Identifies a ship by its type and its order among the board's ships of that type, e.g. 'cruiser-0'
+    const getShipId = (ship) => `${ship.type}-${ships.filter(placed => placed.type === ship.type).indexOf(ship)}`;
+
+    // Builds the result of an attack; the board cannot know the winner, so it is left for the attacker to fill in
+    const createAttackResult = (status, x, y, ship = null, gameOver = allShipsSunk()) => ({
+        status,
+        x,
+        y,
+        ship: ship ? { type: ship.type, id: getShipId(ship) } : null,
+        gameOver,
+        winner: null,
+    });
+
     /**
      * Processes an attack on the gameboard
      * @method receiveAttack
      * @param {number} x - X coordinate to attack
      * @param {number} y - Y coordinate to attack
-     * @returns {string} Attack result ('hit', 'miss', 'sunk', 'already attacked')
+     * @returns {Object} Attack result: status ('hit', 'miss', 'sunk', 'already attacked'), coordinates,
+     * the ship hit ({ type, id } or null), whether every ship is now sunk, and winner (null at board level)
      * @throws {Error} When attack coordinates are out of bounds
      * 
      * @example
      * const result = gameboard.receiveAttack(5, 5);
-     * switch (result) {
+     * switch (result.status) {
      *   case 'hit': console.log('Ship hit!'); break;
      *   case 'miss': console.log('Missed!'); break;
-     *   case 'sunk': console.log('Ship sunk!'); break;
+     *   case 'sunk': console.log(`Sunk the ${result.ship.type}!`); break;
      * }
      */
     const receiveAttack = (x, y) => {
@@ -131,25 +268,60 @@ export function Gameboard() {
 
         // Check for duplicate attack
         const coordKey = coordinateKey(x, y);
-        if (attackedCoordinates.has(coordKey)) return 'already attacked';
+        if (attackedCoordinates.has(coordKey)) return createAttackResult('already attacked', x, y);
 
         // Mark as attacked
         attackedCoordinates.add(coordKey);        
 
         // Check if hit
         const ship = grid[x][y];
-        if (ship === null) {
-            updateDisplay();
-            return 'miss';
-        } 
+        if (ship === null) return createAttackResult('miss', x, y);
 
         // Hit the ship
         ship.hit();
-        updateDisplay();
 
         // Check if sunk
-        if (ship.isSunk()) return 'sunk';        
-        return 'hit';
+        if (ship.isSunk()) return createAttackResult('sunk', x, y, ship);
+        return createAttackResult('hit', x, y, ship);
+    };
+
+    /**
+     * Records an attack resolved elsewhere on a board whose ships are hidden, such as an online opponent's
+     * @method recordAttackResult
+     * @param {number} x - X coordinate attacked
+     * @param {number} y - Y coordinate attacked
+     * @param {string} result - Reported result ('hit', 'miss', 'sunk')
+     * @param {Object} [sunkShip=null] - Ship sunk by this attack and its revealed placement: { ship, x, y, orientation }
+     * @param {boolean} [gameOver=false] - Whether the attack won the game, which a partly hidden board cannot tell
+     * @returns {Object} Attack result as from receiveAttack, with the reported status or 'already attacked';
+     * only a sunk ship is identified
+     * @throws {Error} When attack coordinates are out of bounds
+     * 
+     * @example
+     * opponentBoard.recordAttackResult(4, 4, 'hit');
+     * opponentBoard.recordAttackResult(4, 5, 'sunk', { ship: Ship('destroyer'), x: 4, y: 4, orientation: 'horizontal' });
+     */
+    const recordAttackResult = (x, y, result, sunkShip = null, gameOver = false) => {
+        if (!isValidCoordinate(x, y)) throw new Error('Attack coordinates out of bounds');
+
+        const coordKey = coordinateKey(x, y);
+        if (attackedCoordinates.has(coordKey)) return createAttackResult('already attacked', x, y, null, gameOver);
+
+        attackedCoordinates.add(coordKey);
+        if (result === 'hit' || result === 'sunk') reportedHits.add(coordKey);
+        if (sunkShip) revealShip(sunkShip);
+
+        return createAttackResult(result, x, y, sunkShip?.ship ?? null, gameOver);
+    };
+
+    // Places a sunk ship where it was revealed and moves the hits reported on it onto the ship
+    const revealShip = ({ ship, x, y, orientation }) => {
+        placeShip(ship, x, y, orientation);
+
+        for (let i = 0; i < ship.length; i++) {
+            const coordKey = coordinateKey(orientation === 'vertical' ? x + i : x, orientation === 'horizontal' ? y + i : y);
+            if (reportedHits.delete(coordKey)) ship.hit();
+        }
     };
 
     //==============================================
@@ -170,8 +342,60 @@ export function Gameboard() {
         }
 
         attackedCoordinates.clear();
+        reportedHits.clear();
         ships.length = 0;
-        updateDisplay();
+        shipPlacements.clear();
+    };
+
+    //==============================================
+    // PERSISTENCE METHODS
+    //==============================================
+
+    /**
+     * Captures ship placements, per-ship hits and attacked coordinates as plain data
+     * @method serialize
+     * @returns {Object} JSON-safe board state
+     * 
+     * @example
+     * localStorage.setItem('board', JSON.stringify(gameboard.serialize()));
+     */
+    const serialize = () => {
+        return {
+            gridSize: GRID_SIZE,
+            ships: ships.map(ship => ({
+                type: ship.type,
+                ...shipPlacements.get(ship),
+                hits: ship.getHits(),
+            })),
+            attacked: [...attackedCoordinates],
+        };
+    };
+
+    /**
+     * Replaces the board contents with a previously serialized state
+     * @method deserialize
+     * @param {Object} state - Board state produced by serialize
+     * @param {Function} createShip - Builds a fresh ship for a type key
+     * @returns {void}
+     * @throws {Error} When the state does not fit this board or its hits are inconsistent
+     * 
+     * @example
+     * gameboard.deserialize(savedState, typeKey => Ship(typeKey, fleet));
+     */
+    const deserialize = (state, createShip) => {
+        if (!state || state.gridSize !== GRID_SIZE) throw new Error('Saved board does not match grid size');
+
+        resetBoard();
+        state.ships.forEach(({ type, x, y, orientation }) => placeShip(createShip(type), x, y, orientation));
+
+        // Replaying the attacks restores every ship's hits
+        state.attacked.forEach(key => {
+            const [x, y] = key.split(',').map(Number);
+            receiveAttack(x, y);
+        });
+
+        const hitsMatch = state.ships.every(({ hits }, index) => hits === undefined || ships[index].getHits() === hits);
+        if (!hitsMatch) throw new Error('Saved board has inconsistent ship hits');
     };
 
     //==============================================
@@ -179,9 +403,10 @@ export function Gameboard() {
     //==============================================
 
     /**
-     * Creates and renders the gameboard grid in the specified container
+     * Creates and renders the gameboard grid in the specified container. Board events
+     * (shipPlacement, boardHover, boardLeave, boardAttack) are dispatched on the grid and bubble up from it.
      * @method createGrid
-     * @param {string} containerID - ID of the container element
+     * @param {string|HTMLElement} containerID - Container element, or its ID
      * @param {boolean} [playerBoard=false] - Whether this is a player board
      * @returns {HTMLElement} The created grid element
      * @throws {Error} When container is not found
@@ -191,13 +416,14 @@ export function Gameboard() {
      */
     const createGrid = (containerID, playerBoard = false) => {
         isPlayerBoard = playerBoard;
-        const container = document.getElementById(containerID);
+        const container = typeof containerID === 'string' ? document.getElementById(containerID) : containerID;
         if (!container) throw new Error(`Container ${containerID} not found`);
 
         gridElement = document.createElement('div');
         gridElement.classList.add('gameboard-grid');
+        gridElement.style.setProperty('--grid-size', GRID_SIZE);
 
-        // Create 10x10 grid cells
+        // Create GRID_SIZE x GRID_SIZE grid cells
         for (let row = 0; row < GRID_SIZE; row++) {
             for (let col = 0; col < GRID_SIZE; col++) {
                 const cell = document.createElement('div');
@@ -237,6 +463,7 @@ export function Gameboard() {
         const col = parseInt(event.target.dataset.col);
 
         const placementEvent = new CustomEvent('shipPlacement', {
+            bubbles: true,
             detail: {
                 row,
                 col,
@@ -244,7 +471,7 @@ export function Gameboard() {
                 boardElement: gridElement,
             }
         });
-        document.dispatchEvent(placementEvent);
+        gridElement.dispatchEvent(placementEvent);
     };
 
     // Handles cell hover events for ship placement preview
@@ -253,6 +480,7 @@ export function Gameboard() {
         const col = parseInt(event.target.dataset.col);
 
         const hoverEvent = new CustomEvent('boardHover', {
+            bubbles: true,
             detail: {
                 row,
                 col,
@@ -260,7 +488,7 @@ export function Gameboard() {
                 boardElement: gridElement,                
             }
         });
-        document.dispatchEvent(hoverEvent);
+        gridElement.dispatchEvent(hoverEvent);
     };
 
     // Handles cell leave events for ship placement preview
@@ -269,6 +497,7 @@ export function Gameboard() {
         const col = parseInt(event.target.dataset.col);
 
         const leaveEvent = new CustomEvent('boardLeave', {
+            bubbles: true,
             detail: {
                 row,
                 col,
@@ -276,7 +505,7 @@ export function Gameboard() {
                 boardElement: gridElement,                
             }
         });
-        document.dispatchEvent(leaveEvent);
+        gridElement.dispatchEvent(leaveEvent);
     };
 
     // Handles attack clicks on opponent board
@@ -289,16 +518,29 @@ export function Gameboard() {
 
         // Emit custom event for attack
         const attackEvent = new CustomEvent('boardAttack', {
-            detail: { row, col, board: this }
+            bubbles: true,
+            detail: {
+                row,
+                col,
+                gameboard: getGameboardReference(),
+                boardElement: gridElement,
+            }
         });
-        document.dispatchEvent(attackEvent);
+        gridElement.dispatchEvent(attackEvent);
     };
 
     // Gets a reference object for external use
     const getGameboardReference = () => {
         return {
             getGridSize,
+            getPlacementRule,
             getShipAt,
+            getShips,
+            getShipPlacement,
+            getCellState,
+            getRemainingShipLengths,
+            getPlacementError,
+            canPlaceShip,
             placeShip,
             receiveAttack,
             allShipsSunk,
@@ -321,6 +563,8 @@ export function Gameboard() {
     const updateDisplay = () => {
         if (!gridElement) return;
 
+        const maxHeat = heatMap ? Math.max(1, ...heatMap.flat()) : 1;
+
         for (let row = 0; row < GRID_SIZE; row++) {
             for (let col = 0; col < GRID_SIZE; col++) {
                 const cell = getCellElement(row, col);
@@ -351,14 +595,38 @@ export function Gameboard() {
                             cell.classList.add('sunk');
                             cell.innerHTML = '<span class="material-symbols-outlined">mode_heat</span>';
                         } else cell.innerHTML = '<span class="material-symbols-outlined">close_small</span>';
+                    } else if (reportedHits.has(coordinateKey(row, col))) {
+                        cell.classList.add('hit');
+                        cell.innerHTML = '<span class="material-symbols-outlined">close_small</span>';
                     } else cell.classList.add('miss');
                 } else {
                     if (!isPlayerBoard) cell.style.backgroundColor = '';
                 }
+
+                // Shade unattacked cells by their share of the hottest cell
+                const heat = heatMap && !attacked ? heatMap[row][col] / maxHeat : 0;
+                cell.classList.toggle('heat-overlay', heat > 0);
+                if (heat > 0) cell.style.setProperty('--heat', heat.toFixed(2));
+                else cell.style.removeProperty('--heat');
             }
         }
     };
 
+    /**
+     * Sets or clears the probability heat-map overlay shown on unattacked cells
+     * @method setHeatMap
+     * @param {Array<Array<number>>|null} map - Grid of weights (e.g. from computeProbabilityMap), or null to hide
+     * @returns {void}
+     * 
+     * @example
+     * gameboard.setHeatMap(computeProbabilityMap(gameboard));
+     * gameboard.setHeatMap(null); // Hide the overlay
+     */
+    const setHeatMap = (map) => {
+        heatMap = map;
+        updateDisplay();
+    };
+
     /**
      * Highlights a specific cell with a CSS class temporarily
      * @method highlightCell
@@ -440,14 +708,26 @@ export function Gameboard() {
     // Return the public API
     return {
         getGridSize,
+        getPlacementRule,
         getShipAt,
+        getShips,
+        getShipPlacement,
+        getCellState,
+        getRemainingShipLengths,
+        getPlacementError,
+        canPlaceShip,
         placeShip,
+        removeShip,
         receiveAttack,
+        recordAttackResult,
         allShipsSunk,
         isAttacked,
+        serialize,
+        deserialize,
 
         createGrid,
         updateDisplay,
+        setHeatMap,
         highlightCell,
         showShipPlacement,
         resetBoard,
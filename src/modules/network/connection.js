@@ -0,0 +1,189 @@
+// Reconnect delays grow from the first to the last, then stay at the last
+const RECONNECT_DELAYS = [500, 1000, 2000, 5000];
+const SESSION_KEY_PREFIX = 'battleship:session:';
+
+// Gets sessionStorage when the browser allows it, so a reloaded tab can rejoin its seat
+const getSessionStorage = () => {
+    try {
+        return typeof sessionStorage !== 'undefined' ? sessionStorage : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Creates a WebSocket connection to the multiplayer server that rejoins its seat after drops
+ * @function Connection
+ * @param {string} url - Server URL, e.g. 'ws://localhost:8081'
+ * @param {Object} [options={}] - Connection options
+ * @param {Function} [options.WebSocket=globalThis.WebSocket] - WebSocket constructor (injectable for tests)
+ * @returns {Object} Connection object with join, send, on/off and close methods
+ * @throws {Error} When no WebSocket implementation is available
+ *
+ * @example
+ * const connection = Connection('ws://localhost:8081');
+ * connection.on('attack', message => console.log(message.result));
+ * connection.join('lunch', { gridSize: 10 });
+ */
+export function Connection(url, options = {}) {
+    //==============================================
+    // INPUT VALIDATION
+    //==============================================
+    const WebSocketImpl = options.WebSocket ?? globalThis.WebSocket;
+    if (typeof WebSocketImpl !== 'function') throw new Error('WebSocket is not available');
+
+    //==============================================
+    // CONNECTION STATE
+    //==============================================
+    let socket = null;
+    let room = null;
+    let settings = null;
+    let token = null;
+    let lastSeq = 0; // Sequence number of the last game event received, so a rejoin only replays what was missed
+    let reconnectAttempt = 0;
+    let reconnectTimer = null;
+    let isClosed = false;
+    const outbox = [];
+    const handlers = new Map();
+
+    //==============================================
+    // EVENT METHODS
+    //==============================================
+
+    /**
+     * Registers a handler for a message type from the server, or a connection event
+     * ('connected', 'disconnected')
+     * @method on
+     * @param {string} type - Message type
+     * @param {Function} handler - Receives the message object
+     * @returns {Function} Function that removes the handler
+     *
+     * @example
+     * const off = connection.on('waiting', () => showWaiting());
+     */
+    const on = (type, handler) => {
+        if (!handlers.has(type)) handlers.set(type, new Set());
+        handlers.get(type).add(handler);
+        return () => off(type, handler);
+    };
+
+    // Removes a handler registered with on
+    const off = (type, handler) => {
+        handlers.get(type)?.delete(handler);
+    };
+
+    // Calls every handler registered for a message type
+    const emit = (message) => {
+        handlers.get(message.type)?.forEach(handler => handler(message));
+    };
+
+    //==============================================
+    // SOCKET METHODS
+    //==============================================
+
+    /**
+     * Joins a room, taking a free seat or rejoining the seat this tab held before
+     * @method join
+     * @param {string} roomId - Room both players agree on
+     * @param {Object} [gameSettings={}] - Grid size, fleet and placement rule; the room keeps the first player's
+     * @returns {void}
+     *
+     * @example
+     * connection.join('lunch', { gridSize: 10, placementRule: 'no-touch' });
+     */
+    const join = (roomId, gameSettings = {}) => {
+        room = roomId;
+        settings = gameSettings;
+        token = getSessionStorage()?.getItem(SESSION_KEY_PREFIX + room) ?? null;
+        isClosed = false;
+        open();
+    };
+
+    // Opens the socket and announces the seat to take
+    const open = () => {
+        socket = new WebSocketImpl(url);
+        socket.addEventListener('open', handleOpen);
+        socket.addEventListener('message', handleMessage);
+        socket.addEventListener('close', handleClose);
+    };
+
+    // Joins the room and flushes messages queued while offline
+    const handleOpen = () => {
+        reconnectAttempt = 0;
+        socket.send(JSON.stringify({ type: 'join', room, token, lastSeq, settings }));
+        while (outbox.length > 0) socket.send(outbox.shift());
+        emit({ type: 'connected' });
+    };
+
+    // Parses a server message, remembering the seat token and the last event seen.
+    // Once another tab takes the seat over, the connection stops for good instead of taking it back
+    const handleMessage = (event) => {
+        let message;
+        try {
+            message = JSON.parse(event.data);
+        } catch (error) {
+            return; // Not a game message
+        }
+
+        if (message.type === 'joined') {
+            token = message.token;
+            getSessionStorage()?.setItem(SESSION_KEY_PREFIX + room, token);
+        }
+        if (message.type === 'replaced') {
+            isClosed = true;
+            clearTimeout(reconnectTimer);
+        }
+        if (message.seq !== undefined) {
+            if (message.seq <= lastSeq) return; // Already applied before a reconnect
+            lastSeq = message.seq;
+        }
+
+        emit(message);
+    };
+
+    // Schedules a reconnect unless the connection was closed on purpose
+    const handleClose = () => {
+        socket = null;
+        if (isClosed) return;
+
+        emit({ type: 'disconnected' });
+        const delay = RECONNECT_DELAYS[Math.min(reconnectAttempt, RECONNECT_DELAYS.length - 1)];
+        reconnectAttempt++;
+        reconnectTimer = setTimeout(open, delay);
+    };
+
+    /**
+     * Sends a message to the server, queueing it while the connection is down
+     * @method send
+     * @param {Object} message - Message with a type
+     * @returns {void}
+     *
+     * @example
+     * connection.send({ type: 'attack', x: 4, y: 4 });
+     */
+    const send = (message) => {
+        const data = JSON.stringify(message);
+        if (socket && socket.readyState === WebSocketImpl.OPEN) socket.send(data);
+        else outbox.push(data);
+    };
+
+    // Closes the connection for good and forgets the seat
+    const close = () => {
+        isClosed = true;
+        clearTimeout(reconnectTimer);
+        socket?.close();
+        if (room) getSessionStorage()?.removeItem(SESSION_KEY_PREFIX + room);
+    };
+
+    const isConnected = () => socket !== null && socket.readyState === WebSocketImpl.OPEN;
+
+    // Return public API
+    return {
+        join,
+        send,
+        close,
+        isConnected,
+        on,
+        off,
+    };
+}
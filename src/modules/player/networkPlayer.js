@@ -0,0 +1,76 @@
+/**
+ * Creates the local stand-in for an opponent playing from another browser through the multiplayer server.
+ * Attacks by the local player are sent through it, and the server's results come back through it.
+ * @function NetworkPlayer
+ * @param {string} name - The opponent's display name
+ * @param {Object} connection - Connection to the multiplayer server
+ * @returns {Object} Player-compatible object of type 'network'
+ * @throws {Error} When name is invalid or the connection is missing
+ *
+ * @example
+ * const opponent = NetworkPlayer('Opponent', Connection('ws://localhost:8081'));
+ * const game = Game(Player('You', 'human'), opponent);
+ * opponent.join('lunch');
+ */
+export function NetworkPlayer(name, connection) {
+    // Input validation
+    if (!name || typeof name !== 'string') throw new Error('Invalid player name');
+    if (!connection || typeof connection.send !== 'function') throw new Error('Invalid connection');
+
+    // Private state
+    let score = 0;
+
+    /**
+     * Applies an attack the opponent made remotely to the local board
+     * @method makeAttack
+     * @param {number} x - X coordinate attacked
+     * @param {number} y - Y coordinate attacked
+     * @param {Object} gameboard - The local player's gameboard
+     * @returns {Object} Attack result from the gameboard, with this player as winner when it sank the last ship
+     *
+     * @example
+     * engine.makeGameAttack(x, y); // Calls opponent.makeAttack when it is the opponent's turn
+     */
+    const makeAttack = (x, y, gameboard) => {
+        const result = gameboard.receiveAttack(x, y);
+        if (result.status === 'hit' || result.status === 'sunk') score++;
+        return { ...result, winner: result.gameOver ? player : null };
+    };
+
+    // Network players choose their attacks in the remote browser
+    const generateAttack = () => {
+        throw new Error('Network players attack from their own browser');
+    };
+
+    // Joins a room on the server
+    const join = (room, settings) => connection.join(room, settings);
+
+    // Sends the local fleet layout for the server to validate and keep hidden from the opponent
+    const sendFleet = (ships) => connection.send({ type: 'placeFleet', ships });
+
+    // Sends the local player's attack to the server, which replies with the result
+    const sendAttack = (x, y) => connection.send({ type: 'attack', x, y });
+
+    const resetScore = () => {
+        score = 0;
+    };
+
+    // Return the public API
+    const player = {
+        name,
+        type: 'network',
+        level: null,
+        get score() { return score; },
+        resetScore,
+        makeAttack,
+        generateAttack,
+        join,
+        sendFleet,
+        sendAttack,
+        on: connection.on,
+        off: connection.off,
+        serialize: () => ({ name, type: 'network', level: null, score, strategy: null }),
+        deserialize: (state) => { score = state.score ?? 0; },
+    };
+    return player;
+}
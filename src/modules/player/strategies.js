@@ -0,0 +1,293 @@
+import { computeProbabilityMap, hasUnresolvedHits } from '../../utils/probability.js';
+
+//==============================================
+// SHARED HELPERS
+//==============================================
+
+// Picks a random unattacked cell
+const randomTarget = (gameboard, random = Math.random) => {
+    const gridSize = gameboard.getGridSize();
+    let x, y;
+    do {
+        x = Math.floor(random() * gridSize);
+        y = Math.floor(random() * gridSize);
+    } while (gameboard.isAttacked(x, y));
+
+    return { x, y };
+};
+
+/**
+ * Creates the "easy" AI strategy that fires at uniformly random unattacked cells
+ * @function RandomStrategy
+ * @param {Function} [random=Math.random] - Random source returning floats in [0, 1), seed it for repeatable play
+ * @returns {Object} Strategy object with generateAttack, recordResult and reset methods
+ *
+ * @example
+ * const computer = Player('AI', 'computer', RandomStrategy());
+ */
+export function RandomStrategy(random = Math.random) {
+    return {
+        level: 'easy',
+        generateAttack: gameboard => randomTarget(gameboard, random),
+        recordResult: () => {},
+        reset: () => {},
+        setRandom: (nextRandom) => { random = nextRandom; },
+        serialize: () => null,
+        deserialize: () => {},
+    };
+}
+
+/**
+ * Creates the "medium" AI strategy that fires randomly until a hit, then hunts along the ship's line
+ * @function HuntTargetStrategy
+ * @param {Function} [random=Math.random] - Random source for the shots fired while no ship is being hunted
+ * @returns {Object} Strategy object with generateAttack, recordResult, reset and hunt state getters
+ *
+ * @example
+ * const computer = Player('AI', 'computer', HuntTargetStrategy());
+ * console.log(computer.isHunting); // false until the first hit
+ */
+export function HuntTargetStrategy(random = Math.random) {
+    // Hunt state
+    let lastHit = null;
+    let targetQueue = [];
+    let isHunting = false;
+    let hitHistory = [];
+    let huntDirection = null;
+
+    /**
+     * Updates the hunt state after an attack resolves
+     * @method recordResult
+     * @param {number} x - X coordinate attacked
+     * @param {number} y - Y coordinate attacked
+     * @param {string} result - Attack result ('hit', 'miss', 'sunk', 'already attacked')
+     * @param {Object} gameboard - Target gameboard
+     * @returns {void}
+     */
+    const recordResult = (x, y, result, gameboard) => {
+        if (result === 'hit') {
+            const currentHit = { x, y };
+            lastHit = currentHit;
+            hitHistory.push(currentHit);
+            isHunting = true;
+
+            // If we have multiple hits, try to determine line direction
+            if (hitHistory.length === 1) {
+                // First hit, generate surrounding targets
+                const surrounding = getSurroundingCoordinates(x, y, gameboard.getGridSize());
+                targetQueue = surrounding.filter(coord => !gameboard.isAttacked(coord.x, coord.y));
+            } else if (hitHistory.length === 2) {
+                const direction = determineDirection(hitHistory[0], hitHistory[1]);
+                if (direction) {
+                    huntDirection = direction;
+                    targetQueue = [];
+
+                    const forwardTargets = getDirectionalTargets(currentHit, direction, gameboard);
+                    const backwardTargets = getDirectionalTargets(hitHistory[0], {
+                        dx: -direction.dx,
+                        dy: -direction.dy
+                    }, gameboard);
+
+                    targetQueue = [...forwardTargets, ...backwardTargets].filter(coord => !gameboard.isAttacked(coord.x, coord.y));
+                }
+            } else {
+                if (huntDirection) {
+                    const newTargets = getDirectionalTargets(currentHit, huntDirection, gameboard);
+                    targetQueue = [...targetQueue, ...newTargets].filter(coord => !gameboard.isAttacked(coord.x, coord.y));
+                }
+            }
+        } else if (result === 'sunk') {
+            // Ship sunk, reset hunting state
+            reset();
+        }
+    };
+
+    /**
+     * Picks the next target from the hunt queue, falling back to a random shot
+     * @method generateAttack
+     * @param {Object} gameboard - Target gameboard to analyze
+     * @returns {{x: number, y: number}} Coordinates to attack
+     */
+    const generateAttack = (gameboard) => {
+        if (isHunting && targetQueue.length > 0) {
+            // Remove invalid targets - those already attacked
+            targetQueue = targetQueue.filter(target => !gameboard.isAttacked(target.x, target.y));
+
+            if (targetQueue.length > 0) return targetQueue.shift(); // Return first target in queue
+            else reset();
+        }
+
+        return randomTarget(gameboard, random);
+    };
+
+    /**
+     * Gets surrounding coordinates for a given position
+     * @private
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number} gridSize - Size of the target grid
+     * @returns {Array<{x: number, y: number}>} Array of valid surrounding coordinates
+     */
+    const getSurroundingCoordinates = (x, y, gridSize) => {
+        const directions = [
+            { x: x -1, y }, // Up
+            { x: x + 1, y },  // Down
+            { x, y: y -1 }, // Left
+            { x, y: y + 1 }   // Right
+        ];
+
+        return directions.filter(coord =>
+            coord.x >= 0 && coord.x < gridSize &&
+            coord.y >= 0 && coord.y < gridSize
+        );
+    };
+
+    /**
+     * Gets targets in a specific direction from a starting hit
+     * @private
+     * @param {Object} startHit - Starting hit coordinates
+     * @param {Object} direction - Direction object with dx, dy properties
+     * @param {Object} gameboard - Target gameboard
+     * @returns {Array<{x: number, y: number}>} Array of target coordinates
+     */
+    const getDirectionalTargets = (startHit, direction, gameboard) => {
+        const targets = [];
+        const gridSize = gameboard.getGridSize();
+        let currentX = startHit.x;
+        let currentY = startHit.y;
+
+        while (true) {
+            currentX += direction.dx;
+            currentY += direction.dy;
+
+            if (currentX < 0 || currentX >= gridSize || currentY < 0 || currentY >= gridSize) break;
+
+            if (gameboard.isAttacked(currentX, currentY)) break; // Stop if already attacked
+            targets.push({ x: currentX, y: currentY });
+        }
+        return targets;
+    };
+
+    /**
+     * Determines direction between two hits
+     * @private
+     * @param {Object} hit1 - First hit coordinates
+     * @param {Object} hit2 - Second hit coordinates
+     * @returns {Object|null} Direction object or null if not a valid line
+     */
+    const determineDirection = (hit1, hit2) => {
+        if (hit1.x === hit2.x) return hit2.y > hit1.y ? { dx: 0, dy: 1 } : { dx: 0, dy: -1 }; // Vertical
+        else if (hit1.y === hit2.y) return hit2.x > hit1.x ? { dx: 1, dy: 0 } : { dx: -1, dy: 0 }; // Horizontal
+        return null; // Not a valid line
+    };
+
+    // Swaps the random source, e.g. for one seeded from a shared game
+    const setRandom = (nextRandom) => {
+        random = nextRandom;
+    };
+
+    // Clears the hunt state
+    const reset = () => {
+        lastHit = null;
+        targetQueue = [];
+        isHunting = false;
+        hitHistory = [];
+        huntDirection = null;
+    };
+
+    // Captures the hunt state as plain data
+    const serialize = () => {
+        return { lastHit, targetQueue: [...targetQueue], isHunting, hitHistory: [...hitHistory], huntDirection };
+    };
+
+    // Restores a hunt state captured by serialize
+    const deserialize = (state) => {
+        reset();
+        if (!state) return;
+
+        lastHit = state.lastHit ?? null;
+        targetQueue = [...(state.targetQueue ?? [])];
+        isHunting = Boolean(state.isHunting);
+        hitHistory = [...(state.hitHistory ?? [])];
+        huntDirection = state.huntDirection ?? null;
+    };
+
+    return {
+        level: 'medium',
+        generateAttack,
+        recordResult,
+        reset,
+        setRandom,
+        serialize,
+        deserialize,
+        get lastHit() { return lastHit; },
+        get targetQueue() { return [...targetQueue]; },
+        get isHunting() { return isHunting; },
+        get hitHistory() { return [...hitHistory]; },
+        get huntDirection() { return huntDirection; },
+    };
+}
+
+/**
+ * Creates the "hard" AI strategy that fires at the likeliest cell of a probability-density heat map,
+ * restricted to a checkerboard parity of the smallest remaining ship while no hit is unresolved
+ * @function ProbabilityStrategy
+ * @param {Function} [random=Math.random] - Random source used to break ties between equally likely cells
+ * @returns {Object} Strategy object with generateAttack, recordResult and reset methods
+ *
+ * @example
+ * const computer = Player('AI', 'computer', ProbabilityStrategy());
+ */
+export function ProbabilityStrategy(random = Math.random) {
+    /**
+     * Picks the highest-density cell, breaking ties randomly
+     * @method generateAttack
+     * @param {Object} gameboard - Target gameboard exposing getCellState and getRemainingShipLengths
+     * @returns {{x: number, y: number}} Coordinates to attack
+     */
+    const generateAttack = (gameboard) => {
+        const map = computeProbabilityMap(gameboard);
+        const lengths = gameboard.getRemainingShipLengths();
+
+        // While hunting, only cells on the smallest ship's parity can be the first hit on every ship
+        const parity = hasUnresolvedHits(gameboard) || lengths.length === 0 ? 1 : Math.min(...lengths);
+        const candidates = collectBestCells(map, (x, y) => (x + y) % parity === 0);
+        const targets = candidates.length > 0 ? candidates : collectBestCells(map, () => true);
+
+        if (targets.length === 0) return randomTarget(gameboard, random);
+        return targets[Math.floor(random() * targets.length)];
+    };
+
+    // Gets every cell sharing the highest positive weight among those passing the filter
+    const collectBestCells = (map, filter) => {
+        let best = 0;
+        let cells = [];
+
+        map.forEach((row, x) => row.forEach((weight, y) => {
+            if (weight <= 0 || !filter(x, y)) return;
+            if (weight > best) {
+                best = weight;
+                cells = [{ x, y }];
+            } else if (weight === best) cells.push({ x, y });
+        }));
+
+        return cells;
+    };
+
+    return {
+        level: 'hard',
+        generateAttack,
+        recordResult: () => {},
+        reset: () => {},
+        setRandom: (nextRandom) => { random = nextRandom; },
+        serialize: () => null,
+        deserialize: () => {},
+    };
+}
+
+// Strategy factories by difficulty level
+export const AI_STRATEGIES = {
+    easy: RandomStrategy,
+    medium: HuntTargetStrategy,
+    hard: ProbabilityStrategy,
+};
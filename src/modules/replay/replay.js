@@ -0,0 +1,247 @@
+import { Gameboard } from '../gameboard/gameboard.js';
+import { Ship } from '../ship/ship.js';
+
+// Delay between moves at 1x playback speed
+const BASE_STEP_DELAY = 1000;
+const PLAYBACK_SPEEDS = [0.5, 1, 2, 4];
+
+/**
+ * Creates a replay of a finished game that can step forward and backward through its moves
+ * @function Replay
+ * @param {Object} record - Game record from GameEngine.getGameRecord
+ * @returns {Object} Replay object with stepping, playback and viewer methods
+ * @throws {Error} When the record is missing its layouts or moves
+ *
+ * @example
+ * const replay = Replay(engine.getGameRecord());
+ * replay.stepForward();
+ * console.log(replay.getCurrentMove()); // { turn: 1, attacker: 'player1', x: 4, y: 4, ... }
+ *
+ * @example
+ * replay.createViewer('replay-container');
+ * replay.play();
+ */
+export function Replay(record) {
+    //==============================================
+    // INPUT VALIDATION
+    //==============================================
+    if (!record || !Array.isArray(record.layouts) || !Array.isArray(record.moves)) {
+        throw new Error('Invalid game record');
+    }
+
+    //==============================================
+    // REPLAY STATE
+    //==============================================
+    const { gridSize, fleet, placementRule, moves, playerNames = ['Player 1', 'Player 2'] } = record;
+    const boards = [Gameboard(gridSize, { placementRule }), Gameboard(gridSize, { placementRule })];
+    let position = 0; // Number of moves applied
+    let speed = 1;
+    let playTimer = null;
+
+    //==============================================
+    // DOM REFERENCES
+    //==============================================
+    let viewerElement = null;
+    let moveLabelElement = null;
+    let playButton = null;
+
+    //==============================================
+    // STEPPING METHODS
+    //==============================================
+
+    // Rebuilds both boards from the starting layouts
+    const resetBoards = () => {
+        boards.forEach((board, index) => {
+            board.resetBoard();
+            record.layouts[index].forEach(({ type, x, y, orientation }) => {
+                board.placeShip(Ship(type, fleet), x, y, orientation);
+            });
+        });
+    };
+
+    // Applies one recorded move to the board it targeted. An online game only records the opponent ships
+    // that were sunk, so a hit on any other ship is replayed from its recorded result
+    const applyMove = (move) => {
+        const targetBoard = move.attacker === 'player1' ? boards[1] : boards[0];
+        if (move.result !== 'miss' && !targetBoard.getShipAt(move.x, move.y)) targetBoard.recordAttackResult(move.x, move.y, move.result);
+        else targetBoard.receiveAttack(move.x, move.y);
+    };
+
+    /**
+     * Jumps to the state after a given number of moves
+     * @method goTo
+     * @param {number} index - Number of moves to apply (clamped to the game length)
+     * @returns {number} The new position
+     *
+     * @example
+     * replay.goTo(replay.getMoveCount()); // Final position
+     */
+    const goTo = (index) => {
+        const target = Math.max(0, Math.min(index, moves.length));
+
+        // Attacks cannot be undone, so stepping back replays from the start
+        if (target < position) {
+            resetBoards();
+            position = 0;
+        }
+        while (position < target) applyMove(moves[position++]);
+
+        render();
+        return position;
+    };
+
+    const stepForward = () => goTo(position + 1);
+    const stepBackward = () => goTo(position - 1);
+
+    // Gets the last applied move, or null at the start
+    const getCurrentMove = () => (position > 0 ? { ...moves[position - 1] } : null);
+    const getPosition = () => position;
+    const getMoveCount = () => moves.length;
+    const getBoards = () => [...boards];
+
+    //==============================================
+    // PLAYBACK METHODS
+    //==============================================
+
+    /**
+     * Steps forward automatically at the current speed until the end or pause
+     * @method play
+     * @returns {void}
+     *
+     * @example
+     * replay.setSpeed(2);
+     * replay.play();
+     */
+    const play = () => {
+        if (playTimer) return;
+        if (position >= moves.length) goTo(0);
+
+        playTimer = setInterval(() => {
+            stepForward();
+            if (position >= moves.length) pause();
+        }, BASE_STEP_DELAY / speed);
+        render();
+    };
+
+    // Stops automatic playback
+    const pause = () => {
+        clearInterval(playTimer);
+        playTimer = null;
+        render();
+    };
+
+    const isPlaying = () => playTimer !== null;
+
+    // Changes playback speed, restarting the timer if playing
+    const setSpeed = (newSpeed) => {
+        if (!PLAYBACK_SPEEDS.includes(newSpeed)) throw new Error(`Unsupported replay speed: ${newSpeed}`);
+        speed = newSpeed;
+        if (isPlaying()) {
+            pause();
+            play();
+        }
+    };
+
+    //==============================================
+    // DOM METHODS
+    //==============================================
+
+    /**
+     * Renders both boards and playback controls in the specified container
+     * @method createViewer
+     * @param {string|HTMLElement} containerID - Container element, or its ID
+     * @returns {HTMLElement} The viewer element
+     * @throws {Error} When container is not found
+     *
+     * @example
+     * replay.createViewer('replay-container');
+     */
+    const createViewer = (containerID) => {
+        const container = typeof containerID === 'string' ? document.getElementById(containerID) : containerID;
+        if (!container) throw new Error(`Container ${containerID} not found`);
+
+        viewerElement = document.createElement('div');
+        viewerElement.classList.add('replay-viewer');
+        viewerElement.innerHTML = `
+            <div class="replay-boards">
+                <div class="board-container">
+                    <h4>${playerNames[0]}</h4>
+                    <div data-role="replay-board-1"></div>
+                </div>
+                <div class="board-container">
+                    <h4>${playerNames[1]}</h4>
+                    <div data-role="replay-board-2"></div>
+                </div>
+            </div>
+            <p class="replay-move"></p>
+            <div class="replay-controls">
+                <button data-action="back"><span class="material-symbols-outlined">skip_previous</span></button>
+                <button data-action="play"><span class="material-symbols-outlined">play_arrow</span></button>
+                <button data-action="forward"><span class="material-symbols-outlined">skip_next</span></button>
+                <select data-action="speed">
+                    ${PLAYBACK_SPEEDS.map(option => `<option value="${option}" ${option === speed ? 'selected' : ''}>${option}x</option>`).join('')}
+                </select>
+            </div>
+        `;
+        container.appendChild(viewerElement);
+
+        // Reveal every ship; replay boards are for viewing only
+        boards[0].createGrid(viewerElement.querySelector('[data-role="replay-board-1"]'), true);
+        boards[1].createGrid(viewerElement.querySelector('[data-role="replay-board-2"]'), true);
+        boards.forEach(board => board.disableBoard());
+
+        moveLabelElement = viewerElement.querySelector('.replay-move');
+        playButton = viewerElement.querySelector('[data-action="play"]');
+
+        viewerElement.querySelector('[data-action="back"]').addEventListener('click', stepBackward);
+        viewerElement.querySelector('[data-action="forward"]').addEventListener('click', stepForward);
+        playButton.addEventListener('click', () => (isPlaying() ? pause() : play()));
+        viewerElement.querySelector('[data-action="speed"]').addEventListener('change', (event) => {
+            setSpeed(Number(event.target.value));
+        });
+
+        render();
+        return viewerElement;
+    };
+
+    // Removes the viewer and stops playback
+    const destroyViewer = () => {
+        pause();
+        viewerElement?.remove();
+        viewerElement = null;
+    };
+
+    // Refreshes boards, move label and play button
+    const render = () => {
+        if (!viewerElement) return;
+
+        boards.forEach(board => board.updateDisplay());
+
+        const move = getCurrentMove();
+        moveLabelElement.textContent = move
+            ? `Move ${position}/${moves.length}: ${move.attacker === 'player1' ? playerNames[0] : playerNames[1]} fired at (${move.x}, ${move.y}) - ${move.result}`
+            : `Move 0/${moves.length}`;
+        playButton.querySelector('.material-symbols-outlined').textContent = isPlaying() ? 'pause' : 'play_arrow';
+    };
+
+    resetBoards();
+
+    // Return public API
+    return {
+        goTo,
+        stepForward,
+        stepBackward,
+        getCurrentMove,
+        getPosition,
+        getMoveCount,
+        getBoards,
+
+        play,
+        pause,
+        isPlaying,
+        setSpeed,
+
+        createViewer,
+        destroyViewer,
+    };
+}
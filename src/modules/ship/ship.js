@@ -4,6 +4,7 @@ import { SHIP_TYPES } from '../../utils/constants.js';
  * Creates a ship object with specified type and properties
  * @function Ship
  * @param {string} typeKey - The ship type key (carrier, battleship, cruiser, submarine, destroyer)
+ * @param {Object} [shipTypes=SHIP_TYPES] - Ship type table to look the key up in (e.g. a custom fleet)
  * @returns {Object} Immutable ship object with methods and properties
  * @throws {Error} When typeKey is invalid or empty
  * 
@@ -17,9 +18,13 @@ import { SHIP_TYPES } from '../../utils/constants.js';
  * destroyer.hit();
  * destroyer.hit();
  * console.log(destroyer.isSunk()); // true (destroyer length is 2)
+ * 
+ * @example
+ * const boat = Ship('torpedoBoat', FLEET_PRESETS.russian);
+ * console.log(boat.length); // 1
  */
-export function Ship(typeKey) {
-    const type = SHIP_TYPES[typeKey];
+export function Ship(typeKey, shipTypes = SHIP_TYPES) {
+    const type = Object.hasOwn(shipTypes, typeKey) ? shipTypes[typeKey] : null;
     if (!type) throw new Error(`Invalid ship type: ${typeKey}`);
     const length = type.length;    
 
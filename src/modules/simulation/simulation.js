@@ -0,0 +1,202 @@
+import { GameEngine } from '../engine/engine.js';
+import { Player } from '../player/player.js';
+import { AI_STRATEGIES } from '../player/strategies.js';
+import { createRandom, generateSeed } from '../../utils/random.js';
+
+// z-score of a two-sided 95% confidence interval
+const Z_95 = 1.96;
+
+// A game still running after this many turns per board cell is treated as stuck
+const MAX_TURNS_PER_CELL = 4;
+
+// Percentiles reported for shots to win
+const PERCENTILES = [10, 25, 75, 90, 95];
+
+// Averages a list of numbers, or null when it is empty
+const average = values => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+// Gets a percentile of sorted values, interpolating between the nearest ranks
+const percentile = (sorted, p) => {
+    if (sorted.length === 0) return null;
+
+    const rank = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+// Gets the Wilson score interval of a proportion, which stays inside [0, 1] even near 0% or 100%
+const wilsonInterval = (successes, trials) => {
+    if (trials === 0) return null;
+
+    const rate = successes / trials;
+    const denominator = 1 + (Z_95 ** 2) / trials;
+    const centre = rate + (Z_95 ** 2) / (2 * trials);
+    const margin = Z_95 * Math.sqrt((rate * (1 - rate)) / trials + (Z_95 ** 2) / (4 * trials ** 2));
+    return [(centre - margin) / denominator, (centre + margin) / denominator];
+};
+
+// Gets the normal-approximation interval of a mean, or null with fewer than two values
+const meanInterval = (values, mean) => {
+    if (values.length < 2) return null;
+
+    const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1);
+    const margin = Z_95 * Math.sqrt(variance / values.length);
+    return [mean - margin, mean + margin];
+};
+
+/**
+ * Summarizes a list of shots-to-win counts
+ * @function summarizeShots
+ * @param {Array<number>} shots - Shots each win took
+ * @returns {Object} Count, mean with its 95% confidence interval, median, min, max and percentiles (p10 to p95);
+ * figures are null when there are no wins
+ *
+ * @example
+ * summarizeShots([40, 50, 60]).median; // 50
+ */
+export function summarizeShots(shots) {
+    const sorted = [...shots].sort((a, b) => a - b);
+    const mean = average(sorted);
+
+    return {
+        count: sorted.length,
+        mean,
+        meanCI: meanInterval(sorted, mean),
+        median: percentile(sorted, 50),
+        min: sorted[0] ?? null,
+        max: sorted.at(-1) ?? null,
+        ...Object.fromEntries(PERCENTILES.map(p => [`p${p}`, percentile(sorted, p)])),
+    };
+}
+
+// Gets an AI strategy factory by level
+const getStrategy = (level) => {
+    const createStrategy = AI_STRATEGIES[level];
+    if (!createStrategy) throw new Error(`Unknown AI strategy: ${level}`);
+    return createStrategy;
+};
+
+/**
+ * Plays one headless game between two computer players, both fleets placed randomly
+ * @function simulateMatch
+ * @param {string} levelA - Strategy of player A ('easy', 'medium' or 'hard')
+ * @param {string} levelB - Strategy of player B
+ * @param {Object} [options={}] - Match configuration
+ * @param {Function} [options.random=Math.random] - Random source shared by fleet placement and both strategies
+ * @param {boolean} [options.bFirst=false] - Whether player B takes the first turn
+ * @param {Object} [options.rules={}] - GameEngine options (gridSize, fleet, placementRule, shotsPerTurn, bonusShot)
+ * @returns {{winner: string, shots: number, turns: number}} Winning side ('A' or 'B'), the shots it fired and the turns played
+ * @throws {Error} When a strategy is unknown, the rules are invalid or the game never ends
+ *
+ * @example
+ * const { winner, shots } = simulateMatch('hard', 'medium', { random: createRandom(7) });
+ */
+export function simulateMatch(levelA, levelB, options = {}) {
+    const { random = Math.random, bFirst = false, rules = {} } = options;
+
+    const playerA = Player('A', 'computer', getStrategy(levelA)(random));
+    const playerB = Player('B', 'computer', getStrategy(levelB)(random));
+    const engine = GameEngine(playerA, playerB, { ...rules, random });
+
+    engine.shuffleShips(engine.getPlayer1Board());
+    engine.startGame(bFirst ? playerB : playerA);
+
+    const maxTurns = engine.getPlayer1Board().getGridSize() ** 2 * MAX_TURNS_PER_CELL;
+    while (engine.getGameState().gameState === 'playing') {
+        if (engine.getGameState().turnCount > maxTurns) throw new Error(`Game did not finish within ${maxTurns} turns`);
+
+        if (engine.isSalvo()) engine.generateComputerSalvo();
+        else engine.generateComputerAttack();
+    }
+
+    const { winner, turnCount } = engine.getGameState();
+    return { winner: winner.name, shots: engine.getMatchStats(winner).shots, turns: turnCount };
+}
+
+/**
+ * Pits two AI strategies against each other over many games and reports how each fared;
+ * the first turn alternates so neither side keeps the opening advantage
+ * @function runSimulation
+ * @param {Object} [options={}] - Simulation configuration
+ * @param {number} [options.games=1000] - Games to play
+ * @param {number|string} [options.seed] - Seed making the run reproducible; a fresh one is picked and reported when omitted
+ * @param {Array<string>} [options.strategies=['hard', 'medium']] - Strategies of players A and B
+ * @param {Object} [options.rules={}] - GameEngine options shared by every game
+ * @returns {Object} Report with the seed, games played, rules and, per player, wins, win rate with its 95% Wilson interval
+ * and a shots-to-win summary
+ * @throws {Error} When the game count is not a positive integer, a strategy is unknown or the rules are invalid
+ *
+ * @example
+ * const report = runSimulation({ games: 5000, seed: 42, strategies: ['hard', 'easy'] });
+ * console.log(report.players[0].winRate); // 0.99
+ */
+export function runSimulation(options = {}) {
+    const { games = 1000, seed = generateSeed(), strategies = ['hard', 'medium'], rules = {} } = options;
+    if (!Number.isInteger(games) || games < 1) throw new Error(`Invalid game count: ${games}`);
+    if (!Array.isArray(strategies) || strategies.length !== 2) throw new Error('Two strategies are required');
+    strategies.forEach(getStrategy);
+
+    const random = createRandom(seed);
+    const shots = { A: [], B: [] };
+
+    for (let game = 0; game < games; game++) {
+        const result = simulateMatch(strategies[0], strategies[1], { random, bFirst: game % 2 === 1, rules });
+        shots[result.winner].push(result.shots);
+    }
+
+    return {
+        seed,
+        games,
+        rules: { ...rules },
+        players: ['A', 'B'].map((name, index) => ({
+            name,
+            strategy: strategies[index],
+            wins: shots[name].length,
+            winRate: shots[name].length / games,
+            winRateCI: wilsonInterval(shots[name].length, games),
+            shotsToWin: summarizeShots(shots[name]),
+        })),
+    };
+}
+
+// Columns of the CSV report, one row per player
+const CSV_COLUMNS = [
+    ['player', player => player.name],
+    ['strategy', player => player.strategy],
+    ['games', (player, report) => report.games],
+    ['seed', (player, report) => report.seed],
+    ['wins', player => player.wins],
+    ['win_rate', player => player.winRate],
+    ['win_rate_ci_low', player => player.winRateCI?.[0]],
+    ['win_rate_ci_high', player => player.winRateCI?.[1]],
+    ['shots_mean', player => player.shotsToWin.mean],
+    ['shots_mean_ci_low', player => player.shotsToWin.meanCI?.[0]],
+    ['shots_mean_ci_high', player => player.shotsToWin.meanCI?.[1]],
+    ['shots_median', player => player.shotsToWin.median],
+    ['shots_min', player => player.shotsToWin.min],
+    ['shots_max', player => player.shotsToWin.max],
+    ...PERCENTILES.map(p => [`shots_p${p}`, player => player.shotsToWin[`p${p}`]]),
+];
+
+// Formats a CSV cell, leaving missing figures empty and rounding to four decimal places
+const formatCell = (value) => {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number' && !Number.isInteger(value)) return String(Math.round(value * 10000) / 10000);
+    return /[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value);
+};
+
+/**
+ * Formats a simulation report as CSV with a header row and one row per player
+ * @function toCSV
+ * @param {Object} report - Report from runSimulation
+ * @returns {string} CSV text ending in a newline
+ *
+ * @example
+ * fs.writeFileSync('hard-vs-medium.csv', toCSV(runSimulation({ seed: 1 })));
+ */
+export function toCSV(report) {
+    const header = CSV_COLUMNS.map(([name]) => name).join(',');
+    const rows = report.players.map(player => CSV_COLUMNS.map(([, getValue]) => formatCell(getValue(player, report))).join(','));
+    return `${[header, ...rows].join('\n')}\n`;
+}
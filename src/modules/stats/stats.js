@@ -0,0 +1,222 @@
+// Recent form is measured over this many of a profile's latest games
+const RECENT_GAMES = 10;
+
+const isShot = move => move.result !== 'already attacked';
+const isHitResult = result => result === 'hit' || result === 'sunk';
+
+// Averages a list of numbers, or null when it is empty
+const average = values => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+// Gets hits over shots across a set of games, or null before any shot
+const getAccuracy = (games) => {
+    const shots = games.reduce((sum, game) => sum + game.shots, 0);
+    const hits = games.reduce((sum, game) => sum + game.hits, 0);
+    return shots > 0 ? hits / shots : null;
+};
+
+// Formats a 0-1 ratio as a whole percentage
+const formatPercent = value => (value === null ? '-' : `${Math.round(value * 100)}%`);
+
+// Formats an average to one decimal place
+const formatNumber = value => (value === null ? '-' : String(Math.round(value * 10) / 10));
+
+/**
+ * Reduces a finished game to the per-player figures a profile keeps
+ * @function summarizeGame
+ * @param {Object} record - Game record from GameEngine.getGameRecord
+ * @param {string} playerKey - Player the summary is for ('player1' or 'player2')
+ * @param {Date} [date=new Date()] - When the game finished
+ * @returns {Object} Summary with date, result, shots, hits and the shot on which each ship type was sunk
+ *
+ * @example
+ * const summary = summarizeGame(engine.getGameRecord(), 'player1');
+ * console.log(summary.won, summary.shots); // true 47
+ */
+export function summarizeGame(record, playerKey, date = new Date()) {
+    const shots = record.moves.filter(move => move.attacker === playerKey && isShot(move));
+    const sinks = {};
+
+    shots.forEach((move, index) => {
+        if (move.result !== 'sunk' || !move.sunkShipType) return;
+        sinks[move.sunkShipType] = [...(sinks[move.sunkShipType] ?? []), index + 1];
+    });
+
+    return {
+        date: date.toISOString(),
+        opponent: record.playerNames[playerKey === 'player1' ? 1 : 0],
+        gridSize: record.gridSize,
+        won: record.winner === playerKey,
+        shots: shots.length,
+        hits: shots.filter(move => isHitResult(move.result)).length,
+        sinks,
+    };
+}
+
+/**
+ * Computes a profile's statistics from its game summaries
+ * @function computeProfileStats
+ * @param {Array<Object>} games - Summaries from summarizeGame, oldest first
+ * @returns {Object} Games played, won and lost, accuracy, average shots to win, fastest win, recent accuracy
+ * and the average shot on which each ship type was sunk
+ *
+ * @example
+ * const stats = computeProfileStats(loadProfiles()['Alice'].games);
+ * console.log(stats.accuracy); // 0.42
+ */
+export function computeProfileStats(games) {
+    const wins = games.filter(game => game.won);
+    const sinkShots = {};
+    games.forEach(game => Object.entries(game.sinks).forEach(([typeKey, shots]) => {
+        sinkShots[typeKey] = [...(sinkShots[typeKey] ?? []), ...shots];
+    }));
+
+    return {
+        gamesPlayed: games.length,
+        wins: wins.length,
+        losses: games.length - wins.length,
+        accuracy: getAccuracy(games),
+        recentAccuracy: getAccuracy(games.slice(-RECENT_GAMES)),
+        averageShotsToWin: average(wins.map(game => game.shots)),
+        fastestWin: wins.length > 0 ? Math.min(...wins.map(game => game.shots)) : null,
+        sinkTiming: Object.fromEntries(Object.entries(sinkShots).map(([typeKey, shots]) => [typeKey, average(shots)])),
+    };
+}
+
+/**
+ * Creates a panel comparing the statistics of every stored profile
+ * @function StatsPanel
+ * @param {Object<string, {games: Array<Object>}>} profiles - Profiles by name, as from loadProfiles
+ * @param {Object} [fleet={}] - Ship types, used to name ships in the sink timings
+ * @returns {Object} Panel object with render, export and teardown methods
+ *
+ * @example
+ * const panel = StatsPanel(loadProfiles(), engine.getFleet());
+ * panel.createPanel('stats-container');
+ */
+export function StatsPanel(profiles, fleet = {}) {
+    //==============================================
+    // PANEL STATE
+    //==============================================
+    const names = Object.keys(profiles).sort();
+    let panelElement = null;
+
+    // Gets the statistics of every profile by name
+    const getStats = () => Object.fromEntries(names.map(name => [name, computeProfileStats(profiles[name].games)]));
+
+    /**
+     * Serializes every profile's statistics and game history for sharing
+     * @method exportJSON
+     * @returns {string} Pretty-printed JSON with a stats and games entry per profile
+     *
+     * @example
+     * navigator.clipboard.writeText(panel.exportJSON());
+     */
+    const exportJSON = () => {
+        const stats = getStats();
+        const exported = Object.fromEntries(names.map(name => [name, { stats: stats[name], games: profiles[name].games }]));
+        return JSON.stringify(exported, null, 2);
+    };
+
+    // Offers the exported JSON as a file download
+    const downloadJSON = () => {
+        if (typeof URL.createObjectURL !== 'function') return;
+
+        const url = URL.createObjectURL(new Blob([exportJSON()], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'battleship-stats.json';
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    //==============================================
+    // DOM METHODS
+    //==============================================
+
+    /**
+     * Renders the comparison table and per-profile sink timings in the specified container
+     * @method createPanel
+     * @param {string|HTMLElement} containerID - Container element, or its ID
+     * @returns {HTMLElement} The panel element
+     * @throws {Error} When container is not found
+     *
+     * @example
+     * panel.createPanel('stats-container');
+     */
+    const createPanel = (containerID) => {
+        const container = typeof containerID === 'string' ? document.getElementById(containerID) : containerID;
+        if (!container) throw new Error(`Container ${containerID} not found`);
+
+        const stats = getStats();
+        panelElement = document.createElement('div');
+        panelElement.classList.add('stats-panel');
+
+        if (names.length === 0) {
+            panelElement.innerHTML = '<p class="stats-empty">No finished games yet.</p>';
+            container.appendChild(panelElement);
+            return panelElement;
+        }
+
+        const rows = names.map(name => {
+            const { gamesPlayed, wins, losses, accuracy, recentAccuracy, averageShotsToWin, fastestWin } = stats[name];
+            return `
+                <tr data-profile="${name}">
+                    <th scope="row">${name}</th>
+                    <td>${gamesPlayed}</td>
+                    <td>${wins}</td>
+                    <td>${losses}</td>
+                    <td>${formatPercent(accuracy)}</td>
+                    <td>${formatPercent(recentAccuracy)}</td>
+                    <td>${formatNumber(averageShotsToWin)}</td>
+                    <td>${fastestWin ?? '-'}</td>
+                </tr>
+            `;
+        }).join('');
+
+        const timings = names.map(name => {
+            const entries = Object.entries(stats[name].sinkTiming);
+            if (entries.length === 0) return '';
+
+            const items = entries.map(([typeKey, shot]) => `<li>${fleet[typeKey]?.name ?? typeKey}: shot ${formatNumber(shot)}</li>`).join('');
+            return `<div class="stats-timing"><h5>${name} - average shot to sink</h5><ul>${items}</ul></div>`;
+        }).join('');
+
+        panelElement.innerHTML = `
+            <table class="stats-table">
+                <thead>
+                    <tr>
+                        <th scope="col">Profile</th>
+                        <th scope="col">Played</th>
+                        <th scope="col">Won</th>
+                        <th scope="col">Lost</th>
+                        <th scope="col">Accuracy</th>
+                        <th scope="col">Last ${RECENT_GAMES}</th>
+                        <th scope="col">Avg shots to win</th>
+                        <th scope="col">Fastest win</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <div class="stats-timings">${timings}</div>
+            <button class="stats-export" data-action="export"><span class="material-symbols-outlined">download</span> Export JSON</button>
+        `;
+        container.appendChild(panelElement);
+
+        panelElement.querySelector('[data-action="export"]').addEventListener('click', downloadJSON);
+        return panelElement;
+    };
+
+    // Removes the panel
+    const destroyPanel = () => {
+        panelElement?.remove();
+        panelElement = null;
+    };
+
+    // Return public API
+    return {
+        getStats,
+        exportJSON,
+        createPanel,
+        destroyPanel,
+    };
+}
@@ -4,4 +4,37 @@ export const SHIP_TYPES = {
     cruiser: { name: 'Cruiser', length: 3, color: 'var(--color-green)' },
     submarine: { name: 'Submarine', length: 3, color: 'var(--color-blue-light)' },
     destroyer: { name: 'Destroyer', length: 2, color: 'var(--color-blue-dark)' }
-};
\ No newline at end of file
+};
+
+export const DEFAULT_GRID_SIZE = 10;
+export const MIN_GRID_SIZE = 8;
+export const MAX_GRID_SIZE = 20;
+
+// Ship adjacency rules: 'no-touch' keeps ships one cell apart, 'corner-touch' lets them meet diagonally,
+// 'touching' only forbids overlap
+export const PLACEMENT_RULES = ['no-touch', 'corner-touch', 'touching'];
+export const DEFAULT_PLACEMENT_RULE = 'no-touch';
+
+// Bonus shot rules: 'hit' keeps the turn after any hit (sinking included), 'sunk' only after sinking a ship
+export const BONUS_SHOT_RULES = ['none', 'hit', 'sunk'];
+export const DEFAULT_BONUS_SHOT_RULE = 'none';
+
+// Solo puzzle tiers: a bigger board and a tighter budget each step. Against the hard AI's shots to win with the
+// classic fleet (hard vs hard in `npm run simulate`), easy and medium leave about ten shots over its 95th percentile
+// (37 and 51) and hard sits between its 75th and 95th (about 58 and 69)
+export const SOLO_TIERS = {
+    easy: { gridSize: 8, shotBudget: 45 },
+    medium: { gridSize: 10, shotBudget: 60 },
+    hard: { gridSize: 12, shotBudget: 65 }
+};
+
+// Fleet configurations: each ship type may set a count (defaults to 1)
+export const FLEET_PRESETS = {
+    classic: SHIP_TYPES,
+    russian: {
+        battleship: { name: 'Battleship', length: 4, color: 'var(--color-red)', count: 1 },
+        cruiser: { name: 'Cruiser', length: 3, color: 'var(--color-yellow)', count: 2 },
+        destroyer: { name: 'Destroyer', length: 2, color: 'var(--color-green)', count: 3 },
+        torpedoBoat: { name: 'Torpedo Boat', length: 1, color: 'var(--color-blue-light)', count: 4 }
+    }
+};
@@ -0,0 +1,53 @@
+/**
+ * Validates a fleet configuration and fills in default counts
+ * @function normalizeFleet
+ * @param {Object} fleet - Ship types keyed by type, each with name, length, color and optional count
+ * @returns {Object} Frozen fleet with every ship type's count resolved
+ * @throws {Error} When the fleet is empty or a ship type is malformed
+ * 
+ * @example
+ * const fleet = normalizeFleet({ destroyer: { name: 'Destroyer', length: 2, color: 'red', count: 2 } });
+ * console.log(fleet.destroyer.count); // 2
+ */
+export function normalizeFleet(fleet) {
+    if (!fleet || typeof fleet !== 'object' || Object.keys(fleet).length === 0) {
+        throw new Error('Fleet must contain at least one ship type');
+    }
+
+    const normalized = {};
+
+    Object.entries(fleet).forEach(([typeKey, shipType]) => {
+        const { name, length, color = 'var(--color-blue-dark)', count = 1 } = shipType || {};
+
+        if (!name || typeof name !== 'string') throw new Error(`Invalid ship name for type: ${typeKey}`);
+        if (!Number.isInteger(length) || length < 1) throw new Error(`Invalid ship length for type: ${typeKey}`);
+        if (!Number.isInteger(count) || count < 1) throw new Error(`Invalid ship count for type: ${typeKey}`);
+
+        normalized[typeKey] = Object.freeze({ name, length, color, count });
+    });
+
+    return Object.freeze(normalized);
+}
+
+/**
+ * Expands a fleet into one entry per ship to build, in fleet order
+ * @function getFleetShips
+ * @param {Object} fleet - Normalized fleet configuration
+ * @returns {Array<{id: string, typeKey: string}>} Ship entries with a unique id per copy
+ * 
+ * @example
+ * getFleetShips(fleet); // [{ id: 'destroyer-0', typeKey: 'destroyer' }, { id: 'destroyer-1', typeKey: 'destroyer' }]
+ */
+export function getFleetShips(fleet) {
+    return Object.keys(fleet).flatMap(typeKey => {
+        return Array.from({ length: fleet[typeKey].count ?? 1 }, (_, index) => ({
+            id: `${typeKey}-${index}`,
+            typeKey,
+        }));
+    });
+}
+
+// Counts the grid cells a fleet occupies
+export function getFleetCellCount(fleet) {
+    return Object.values(fleet).reduce((total, shipType) => total + shipType.length * (shipType.count ?? 1), 0);
+}
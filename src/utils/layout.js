@@ -0,0 +1,191 @@
+// Orientation letters of the compact text format
+const ORIENTATION_CODES = { horizontal: 'h', vertical: 'v' };
+
+// One ship in the compact text format, e.g. carrier:0,0h
+const TEXT_ENTRY_PATTERN = /^([\w-]+):(\d+),(\d+)([hv])$/i;
+
+// Grid cells with no ship
+const WATER = '.';
+
+// Letters tried for a ship type once its own name has none left
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * Lists the ships of a board with the origin and orientation each was placed with
+ * @function getLayout
+ * @param {Object} gameboard - Board to read
+ * @returns {Array<{type: string, x: number, y: number, orientation: string}>} One entry per ship, in placement order
+ *
+ * @example
+ * getLayout(engine.getPlayer1Board()); // [{ type: 'carrier', x: 0, y: 0, orientation: 'horizontal' }, ...]
+ */
+export function getLayout(gameboard) {
+    return gameboard.getShips().map(ship => ({ type: ship.type, ...gameboard.getShipPlacement(ship) }));
+}
+
+/**
+ * Picks the letter each ship type is drawn with in the grid format: the first letter of its name
+ * not already taken by an earlier type, so the classic fleet gets C, B, R, S and D
+ * @function getShipLetters
+ * @param {Object} fleet - Ship types keyed by type
+ * @returns {Object<string, string>} Upper-case letter by ship type
+ * @throws {Error} When the fleet has more types than there are letters
+ *
+ * @example
+ * getShipLetters(SHIP_TYPES).cruiser; // 'R'
+ */
+export function getShipLetters(fleet) {
+    const letters = {};
+    const used = new Set();
+
+    Object.entries(fleet).forEach(([typeKey, { name }]) => {
+        const letter = [...name.toUpperCase(), ...ALPHABET].find(char => ALPHABET.includes(char) && !used.has(char));
+        if (!letter) throw new Error('Fleet has too many ship types to draw as a grid');
+
+        letters[typeKey] = letter;
+        used.add(letter);
+    });
+
+    return letters;
+}
+
+// Draws a layout as rows of space-separated cells, a ship's letter on each of its cells and water elsewhere
+const formatGrid = (layout, { gridSize, fleet }) => {
+    if (!gridSize || !fleet) throw new Error('The grid format needs the grid size and fleet');
+
+    const letters = getShipLetters(fleet);
+    const rows = Array.from({ length: gridSize }, () => Array(gridSize).fill(WATER));
+    layout.forEach(({ type, x, y, orientation }) => {
+        for (let i = 0; i < fleet[type].length; i++) {
+            rows[orientation === 'vertical' ? x + i : x][orientation === 'horizontal' ? y + i : y] = letters[type];
+        }
+    });
+
+    return rows.map(row => row.join(' ')).join('\n');
+};
+
+/**
+ * Writes a layout as text to trade or keep as a fixture
+ * @function formatLayout
+ * @param {Array<Object>} layout - Layout from getLayout
+ * @param {string} [format='text'] - 'text' for one compact type:x,y[h|v] token per ship, 'json', or 'grid' for an ASCII board
+ * @param {Object} [board={}] - Board the grid format draws
+ * @param {number} [board.gridSize] - Rows and columns of the grid
+ * @param {Object} [board.fleet] - Ship types, giving each ship's length and letter
+ * @returns {string} Formatted layout
+ * @throws {Error} When the format is unknown, or the grid format lacks the grid size or fleet
+ *
+ * @example
+ * formatLayout(getLayout(board)); // 'carrier:0,0h battleship:2,0h ...'
+ *
+ * @example
+ * formatLayout(getLayout(board), 'grid', { gridSize: 10, fleet: engine.getFleet() });
+ * // C C C C C . . . . .
+ * // . . . . . . . . . .
+ * // B B B B . . . . . .
+ */
+export function formatLayout(layout, format = 'text', board = {}) {
+    if (format === 'text') {
+        return layout.map(({ type, x, y, orientation }) => `${type}:${x},${y}${ORIENTATION_CODES[orientation]}`).join(' ');
+    }
+    if (format === 'json') return JSON.stringify(layout);
+    if (format === 'grid') return formatGrid(layout, board);
+
+    throw new Error(`Unknown layout format: ${format}`);
+}
+
+// Checks one entry of a JSON layout has a type, whole-number origin and orientation
+const parseJSONEntry = (entry) => {
+    const { type, x, y, orientation } = entry ?? {};
+    if (typeof type !== 'string' || !Number.isInteger(x) || !Number.isInteger(y) || !ORIENTATION_CODES[orientation]) {
+        throw new Error(`Invalid layout entry: ${JSON.stringify(entry)}`);
+    }
+    return { type, x, y, orientation };
+};
+
+// Reads a JSON array of ships
+const parseJSON = (text) => {
+    let layout;
+    try {
+        layout = JSON.parse(text);
+    } catch {
+        throw new Error('Layout is not valid JSON');
+    }
+
+    if (!Array.isArray(layout)) throw new Error('Layout must be a list of ships');
+    return layout.map(parseJSONEntry);
+};
+
+// Reads whitespace-separated type:x,y[h|v] tokens
+const parseText = (text) => text.split(/\s+/).map(token => {
+    const match = TEXT_ENTRY_PATTERN.exec(token);
+    if (!match) throw new Error(`Invalid layout entry: ${token}`);
+
+    const [, type, x, y, code] = match;
+    return { type, x: Number(x), y: Number(y), orientation: code.toLowerCase() === 'v' ? 'vertical' : 'horizontal' };
+});
+
+// Reads an ASCII board, cells separated by spaces or written side by side, into straight runs of each ship letter.
+// A run as long as several ships of its type is split into them; runs that could go either way are rejected
+const parseGrid = (text, fleet) => {
+    const rows = text.split('\n').map(line => line.trim()).filter(Boolean)
+        .map(line => (/\s/.test(line) ? line.split(/\s+/) : [...line]).map(cell => cell.toUpperCase()));
+    if (rows.some(row => row.length !== rows.length)) throw new Error('Layout grid must have as many rows as columns');
+
+    const types = Object.fromEntries(Object.entries(getShipLetters(fleet)).map(([typeKey, letter]) => [letter, typeKey]));
+    const visited = new Set();
+    const layout = [];
+
+    const runLength = (x, y, dx, dy) => {
+        let length = 0;
+        while (rows[x + dx * length]?.[y + dy * length] === rows[x][y] && !visited.has(`${x + dx * length},${y + dy * length}`)) length++;
+        return length;
+    };
+
+    rows.forEach((row, x) => row.forEach((cell, y) => {
+        if (cell === WATER || visited.has(`${x},${y}`)) return;
+
+        const type = Object.hasOwn(types, cell) ? types[cell] : null;
+        if (!type) throw new Error(`Unknown ship letter in layout: ${cell}`);
+
+        const across = runLength(x, y, 0, 1);
+        const down = runLength(x, y, 1, 0);
+        if (across > 1 && down > 1) throw new Error(`Ships meeting at ${x},${y} cannot be told apart`);
+
+        const orientation = down > 1 ? 'vertical' : 'horizontal';
+        const length = Math.max(across, down);
+        const shipLength = fleet[type].length;
+        if (length % shipLength !== 0) throw new Error(`${fleet[type].name} at ${x},${y} is ${length} cells long, not ${shipLength}`);
+
+        for (let i = 0; i < length; i++) visited.add(orientation === 'vertical' ? `${x + i},${y}` : `${x},${y + i}`);
+        for (let start = 0; start < length; start += shipLength) {
+            layout.push({ type, x: orientation === 'vertical' ? x + start : x, y: orientation === 'horizontal' ? y + start : y, orientation });
+        }
+    }));
+
+    return layout;
+};
+
+/**
+ * Reads a layout written in any format formatLayout produces, telling them apart by their first characters.
+ * Only the layout's shape and ship types are checked here; GameEngine.loadLayout checks it against the fleet counts and placement rule
+ * @function parseLayout
+ * @param {string} text - Layout as JSON, compact text or an ASCII grid
+ * @param {Object} fleet - Ship types, needed to read the grid format's letters and lengths
+ * @returns {Array<{type: string, x: number, y: number, orientation: string}>} Ships to place
+ * @throws {Error} When the layout is empty, malformed or names a ship type the fleet does not have
+ *
+ * @example
+ * engine.loadLayout(engine.getPlayer1Board(), parseLayout('carrier:0,0h battleship:2,0h', engine.getFleet()));
+ */
+export function parseLayout(text, fleet) {
+    const trimmed = String(text ?? '').trim();
+    if (!trimmed) throw new Error('Layout is empty');
+
+    if (!trimmed.startsWith('[') && !trimmed.includes(':')) return parseGrid(trimmed, fleet);
+
+    const layout = trimmed.startsWith('[') ? parseJSON(trimmed) : parseText(trimmed);
+    const unknown = layout.find(({ type }) => !Object.hasOwn(fleet, type));
+    if (unknown) throw new Error(`Unknown ship type in layout: ${unknown.type}`);
+    return layout;
+}
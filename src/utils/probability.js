@@ -0,0 +1,66 @@
+// Placements covering an unresolved hit are this many times likelier than open-water placements
+const HIT_WEIGHT = 50;
+
+/**
+ * Builds a probability-density heat map of where the remaining ships could be
+ * @function computeProbabilityMap
+ * @param {Object} gameboard - Opponent board exposing getGridSize, getCellState and getRemainingShipLengths
+ * @returns {Array<Array<number>>} Grid of placement weights; attacked cells are always 0
+ *
+ * @example
+ * const map = computeProbabilityMap(enemyBoard);
+ * console.log(map[4][4]); // Number of weighted ship placements covering (4, 4)
+ */
+export function computeProbabilityMap(gameboard) {
+    const size = gameboard.getGridSize();
+    const map = Array(size).fill(null).map(() => Array(size).fill(0));
+
+    gameboard.getRemainingShipLengths().forEach(length => {
+        for (let x = 0; x < size; x++) {
+            for (let y = 0; y < size; y++) {
+                ['horizontal', 'vertical'].forEach(orientation => {
+                    const cells = getPlacementCells(x, y, length, orientation, size);
+                    if (!cells) return;
+
+                    // Misses and sunk ships rule a placement out; unresolved hits make it likelier
+                    let hitsCovered = 0;
+                    for (const cell of cells) {
+                        const state = gameboard.getCellState(cell.x, cell.y);
+                        if (state === 'miss' || state === 'sunk') return;
+                        if (state === 'hit') hitsCovered++;
+                    }
+
+                    const weight = hitsCovered > 0 ? HIT_WEIGHT * hitsCovered : 1;
+                    cells.forEach(cell => {
+                        if (gameboard.getCellState(cell.x, cell.y) === 'unknown') map[cell.x][cell.y] += weight;
+                    });
+                });
+            }
+        }
+    });
+
+    return map;
+}
+
+// Checks whether the board still has hits that belong to unsunk ships
+export function hasUnresolvedHits(gameboard) {
+    const size = gameboard.getGridSize();
+    for (let x = 0; x < size; x++) {
+        for (let y = 0; y < size; y++) {
+            if (gameboard.getCellState(x, y) === 'hit') return true;
+        }
+    }
+    return false;
+}
+
+// Gets the cells a ship would cover, or null when it would leave the board
+const getPlacementCells = (x, y, length, orientation, size) => {
+    const cells = [];
+    for (let i = 0; i < length; i++) {
+        const cellX = orientation === 'vertical' ? x + i : x;
+        const cellY = orientation === 'horizontal' ? y + i : y;
+        if (cellX >= size || cellY >= size) return null;
+        cells.push({ x: cellX, y: cellY });
+    }
+    return cells;
+};
@@ -0,0 +1,44 @@
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32), a drop-in for Math.random
+ * whose sequence is the same every time for the same seed
+ * @function createRandom
+ * @param {number|string} seed - Integer seed, or any string (hashed to an integer)
+ * @returns {Function} Generator returning floats in [0, 1)
+ * @throws {Error} When the seed is neither a finite number nor a string
+ *
+ * @example
+ * const random = createRandom(42);
+ * random(); // Same first value on every run seeded with 42
+ *
+ * @example
+ * const daily = createRandom('2026-10-19');
+ */
+export function createRandom(seed) {
+    let state = hashSeed(seed);
+
+    return () => {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Reduces a seed to a 32-bit integer; digit strings (as read from a URL) count as numbers, others are hashed with FNV-1a
+function hashSeed(seed) {
+    if (typeof seed === 'string' && /^\d+$/.test(seed)) return hashSeed(Number(seed));
+    if (typeof seed === 'number' && Number.isFinite(seed)) return Math.trunc(seed) >>> 0;
+    if (typeof seed !== 'string') throw new Error(`Invalid random seed: ${seed}`);
+
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < seed.length; i++) {
+        hash ^= seed.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Picks a fresh seed for a run that was not given one, so it can be reported and replayed
+export function generateSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
@@ -0,0 +1,171 @@
+const SAVED_GAME_KEY = 'battleship:savedGame';
+const PROFILES_KEY = 'battleship:profiles';
+const CHALLENGES_KEY = 'battleship:challenges';
+
+// Profiles keep this many of their most recent games
+const MAX_PROFILE_GAMES = 500;
+
+// Daily challenge results are kept for this many of the most recent dates
+const MAX_CHALLENGE_RESULTS = 365;
+
+// Gets localStorage when the browser allows it (private modes and Node do not)
+const getStorage = () => {
+    try {
+        return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Gets the key a save slot is stored under; games without a slot share the plain key
+const getSavedGameKey = slot => (slot ? `${SAVED_GAME_KEY}:${slot}` : SAVED_GAME_KEY);
+
+/**
+ * Saves a serialized game to localStorage
+ * @function saveGame
+ * @param {Object} state - Game state from GameEngine.serialize
+ * @param {string|null} [slot=null] - Save slot, so games sharing a page keep separate saves
+ * @returns {boolean} True if the game was stored
+ *
+ * @example
+ * saveGame(engine.serialize(), 'game-container');
+ */
+export function saveGame(state, slot = null) {
+    const storage = getStorage();
+    if (!storage) return false;
+
+    try {
+        storage.setItem(getSavedGameKey(slot), JSON.stringify(state));
+        return true;
+    } catch (error) {
+        return false; // Quota exceeded or storage disabled
+    }
+}
+
+/**
+ * Loads a saved game from localStorage
+ * @function loadGame
+ * @param {string|null} [slot=null] - Save slot the game was saved under
+ * @returns {Object|null} Saved game state, or null when there is none or it is unreadable
+ *
+ * @example
+ * const saved = loadGame('game-container');
+ * if (saved) engine.deserialize(saved);
+ */
+export function loadGame(slot = null) {
+    const storage = getStorage();
+    if (!storage) return null;
+
+    try {
+        const saved = storage.getItem(getSavedGameKey(slot));
+        return saved ? JSON.parse(saved) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Removes a slot's saved game from localStorage
+export function clearSavedGame(slot = null) {
+    getStorage()?.removeItem(getSavedGameKey(slot));
+}
+
+/**
+ * Loads every player profile's game history from localStorage
+ * @function loadProfiles
+ * @returns {Object<string, {games: Array<Object>}>} Profiles by name; empty when there are none or they are unreadable
+ *
+ * @example
+ * const { games } = loadProfiles()['Alice'] ?? { games: [] };
+ */
+export function loadProfiles() {
+    const storage = getStorage();
+    if (!storage) return {};
+
+    try {
+        const saved = storage.getItem(PROFILES_KEY);
+        return saved ? JSON.parse(saved) : {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Adds a finished game to a profile's history, dropping the oldest games past the limit
+ * @function recordProfileGame
+ * @param {string} name - Profile name
+ * @param {Object} summary - Game summary from summarizeGame
+ * @returns {boolean} True if the game was stored
+ *
+ * @example
+ * recordProfileGame('Alice', summarizeGame(engine.getGameRecord(), 'player1'));
+ */
+export function recordProfileGame(name, summary) {
+    const storage = getStorage();
+    if (!storage) return false;
+
+    const profiles = loadProfiles();
+    const games = [...(profiles[name]?.games ?? []), summary].slice(-MAX_PROFILE_GAMES);
+
+    try {
+        storage.setItem(PROFILES_KEY, JSON.stringify({ ...profiles, [name]: { games } }));
+        return true;
+    } catch (error) {
+        return false; // Quota exceeded or storage disabled
+    }
+}
+
+// Removes every profile from localStorage
+export function clearProfiles() {
+    getStorage()?.removeItem(PROFILES_KEY);
+}
+
+/**
+ * Loads every stored daily challenge result from localStorage
+ * @function loadChallengeResults
+ * @returns {Object<string, Object>} Results by challenge date (YYYY-MM-DD); empty when there are none or they are unreadable
+ *
+ * @example
+ * const today = loadChallengeResults()[getChallengeDate()];
+ */
+export function loadChallengeResults() {
+    const storage = getStorage();
+    if (!storage) return {};
+
+    try {
+        const saved = storage.getItem(CHALLENGES_KEY);
+        return saved ? JSON.parse(saved) : {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Stores a daily challenge result unless that date already has one, so only the first attempt counts
+ * @function recordChallengeResult
+ * @param {Object} result - Result from summarizeChallenge
+ * @returns {Object|null} The result kept for that date, or null when storage is unavailable
+ *
+ * @example
+ * const official = recordChallengeResult(summarizeChallenge(engine.getGameRecord(), '2026-10-19'));
+ */
+export function recordChallengeResult(result) {
+    const storage = getStorage();
+    if (!storage) return null;
+
+    const results = loadChallengeResults();
+    if (results[result.date]) return results[result.date];
+
+    // Dates sort as text, so the oldest fall off the front
+    const kept = Object.entries({ ...results, [result.date]: result }).sort(([a], [b]) => a.localeCompare(b)).slice(-MAX_CHALLENGE_RESULTS);
+    try {
+        storage.setItem(CHALLENGES_KEY, JSON.stringify(Object.fromEntries(kept)));
+        return result;
+    } catch (error) {
+        return null; // Quota exceeded or storage disabled
+    }
+}
+
+// Removes every daily challenge result from localStorage
+export function clearChallengeResults() {
+    getStorage()?.removeItem(CHALLENGES_KEY);
+}
@@ -0,0 +1,70 @@
+// <reference types="jest" />
+// Jest test for the daily challenge and its stored results
+
+import { getChallengeDate, getChallengeSeed, summarizeChallenge, formatChallengeShare } from '../src/modules/challenge/challenge.js';
+import { loadChallengeResults, recordChallengeResult, clearChallengeResults } from '../src/utils/storage.js';
+
+// Builds a solo game record from player 1's shot results
+const createRecord = (results, winner = 'player1') => ({
+  gridSize: 10,
+  playerNames: ['Alice', 'Player 2'],
+  moves: results.map((result, index) => ({ turn: index + 1, attacker: 'player1', x: 0, y: index, result, sunkShipType: null })),
+  winner,
+});
+
+describe('Daily Challenge:', () => {
+  describe('Dates and Seeds:', () => {
+    test('uses the local calendar date', () => {
+      expect(getChallengeDate(new Date(2026, 9, 19, 23, 30))).toBe('2026-10-19');
+      expect(getChallengeDate(new Date(2026, 0, 5))).toBe('2026-01-05');
+    });
+
+    test('derives one seed per date and rejects malformed dates', () => {
+      expect(getChallengeSeed('2026-10-19')).toBe(getChallengeSeed('2026-10-19'));
+      expect(getChallengeSeed('2026-10-19')).not.toBe(getChallengeSeed('2026-10-20'));
+      expect(() => getChallengeSeed('19/10/2026')).toThrow('Invalid challenge date: 19/10/2026');
+    });
+  });
+
+  describe('Results:', () => {
+    test('summarizes player 1 shots, skipping repeated cells', () => {
+      const result = summarizeChallenge(createRecord(['miss', 'hit', 'already attacked', 'sunk']), '2026-10-19');
+
+      expect(result).toEqual({ date: '2026-10-19', won: true, shots: 3, hits: 2, pattern: 'mhs' });
+    });
+
+    test('shares the shots in firing order, ten to a line', () => {
+      const result = { date: '2026-10-19', won: true, shots: 12, hits: 3, pattern: 'mmmmhhmmmmms' };
+
+      expect(formatChallengeShare(result)).toBe([
+        'Battleship Daily 2026-10-19',
+        'Fleet sunk in 12 shots (25% hits)',
+        '⬜⬜⬜⬜🟧🟧⬜⬜⬜⬜',
+        '⬜🟥',
+      ].join('\n'));
+    });
+  });
+
+  describe('Storage:', () => {
+    beforeEach(() => {
+      localStorage.clear();
+    });
+
+    test('keeps only the first result of each date', () => {
+      const first = { date: '2026-10-19', won: true, shots: 50, hits: 17, pattern: 'h' };
+      const replay = { ...first, shots: 30 };
+
+      expect(recordChallengeResult(first)).toBe(first);
+      expect(recordChallengeResult(replay)).toEqual(first);
+      expect(loadChallengeResults()).toEqual({ '2026-10-19': first });
+
+      clearChallengeResults();
+      expect(loadChallengeResults()).toEqual({});
+    });
+
+    test('ignores unreadable results', () => {
+      localStorage.setItem('battleship:challenges', '{oops');
+      expect(loadChallengeResults()).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,782 @@
+/**
+ * @jest-environment node
+ */
+// <reference types="jest" />
+// Jest test for the headless game engine (runs without a DOM)
+
+import { jest } from '@jest/globals';
+import { GameEngine } from '../src/modules/engine/engine.js';
+import { Player } from '../src/modules/player/player.js';
+import { ProbabilityStrategy } from '../src/modules/player/strategies.js';
+import { Ship } from '../src/modules/ship/ship.js';
+import { FLEET_PRESETS } from '../src/utils/constants.js';
+import { createRandom } from '../src/utils/random.js';
+
+describe('GameEngine Factory:', () => {
+  let engine;
+  let player1;
+  let player2;
+
+  beforeEach(() => {
+    player1 = Player('Player 1', 'human');
+    player2 = Player('Player 2', 'computer');
+    engine = GameEngine(player1, player2);
+  });
+
+  test('runs without a document', () => {
+    expect(typeof document).toBe('undefined');
+  });
+
+  describe('Setup:', () => {
+    test('requires two players', () => {
+      expect(() => GameEngine(player1)).toThrow('Two players are required');
+    });
+
+    test('places fleet ships through the engine', () => {
+      const ship = engine.placeShip(engine.getPlayer1Board(), 'carrier', 0, 0, 'horizontal');
+
+      expect(ship.type).toBe('carrier');
+      expect(engine.getPlayer1Board().getShipAt(0, 4)).toBe(ship);
+    });
+
+    test('rejects ships beyond the fleet count', () => {
+      engine.placeShip(engine.getPlayer1Board(), 'destroyer', 0, 0, 'horizontal');
+
+      expect(() => engine.placeShip(engine.getPlayer1Board(), 'destroyer', 2, 0, 'horizontal'))
+        .toThrow('All Destroyer ships are already placed');
+    });
+
+    test('tracks placement of the configured fleet', () => {
+      const russianEngine = GameEngine(player1, player2, { fleet: FLEET_PRESETS.russian });
+      const board = russianEngine.getPlayer1Board();
+
+      russianEngine.placeShip(board, 'battleship', 0, 0, 'horizontal');
+      expect(russianEngine.areAllShipsPlaced()).toBe(false);
+
+      russianEngine.shuffleShips(board);
+      expect(russianEngine.areAllShipsPlaced()).toBe(true);
+    });
+
+    test('places fleets from an injected random source', () => {
+      const layout = (seed) => {
+        const seeded = GameEngine(player1, player2, { random: createRandom(seed) });
+        seeded.shuffleShips();
+        return seeded.getPlayer1Board().serialize();
+      };
+
+      expect(layout(7)).toEqual(layout(7));
+      expect(layout(7)).not.toEqual(layout(8));
+      expect(() => GameEngine(player1, player2, { random: 0.5 })).toThrow('Random source must be a function');
+    });
+
+    test('refuses to start before all ships are placed', () => {
+      expect(() => engine.startGame()).toThrow('Please place all ships before starting the game');
+      expect(engine.getGameState().gameState).toBe('not playing');
+    });
+  });
+
+  describe('Placement Rules:', () => {
+    // Checks that no two different ships occupy neighbouring cells, including diagonals
+    const shipsTouch = (board) => {
+      const size = board.getGridSize();
+      for (let x = 0; x < size; x++) {
+        for (let y = 0; y < size; y++) {
+          const ship = board.getShipAt(x, y);
+          if (!ship) continue;
+          for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+              const neighbour = board.getShipAt(x + dx, y + dy);
+              if (neighbour && neighbour !== ship) return true;
+            }
+          }
+        }
+      }
+      return false;
+    };
+
+    test('applies the no-touch rule to manual placement by default', () => {
+      const board = engine.getPlayer1Board();
+      engine.placeShip(board, 'carrier', 0, 0, 'horizontal');
+
+      expect(engine.getPlacementRule()).toBe('no-touch');
+      expect(() => engine.placeShip(board, 'destroyer', 1, 5, 'horizontal')).toThrow('Ships cannot touch, not even diagonally');
+    });
+
+    test('keeps randomly placed fleets apart on both boards', () => {
+      const russianEngine = GameEngine(player1, player2, { gridSize: 8, fleet: FLEET_PRESETS.russian });
+      russianEngine.shuffleShips(russianEngine.getPlayer1Board());
+      russianEngine.startGame();
+
+      expect(shipsTouch(russianEngine.getPlayer1Board())).toBe(false);
+      expect(shipsTouch(russianEngine.getPlayer2Board())).toBe(false);
+    });
+
+    test('passes a custom rule to both boards', () => {
+      const looseEngine = GameEngine(player1, player2, { placementRule: 'touching' });
+      looseEngine.placeShip(looseEngine.getPlayer1Board(), 'carrier', 0, 0, 'horizontal');
+
+      expect(() => looseEngine.placeShip(looseEngine.getPlayer1Board(), 'destroyer', 1, 0, 'horizontal')).not.toThrow();
+      expect(looseEngine.getPlayer2Board().getPlacementRule()).toBe('touching');
+      expect(() => GameEngine(player1, player2, { placementRule: 'loose' })).toThrow('Invalid placement rule: loose');
+    });
+
+    test('reports fleets that cannot be laid out under the rule', () => {
+      const crowdedEngine = GameEngine(player1, player2, {
+        gridSize: 8,
+        fleet: { carrier: { name: 'Carrier', length: 5, color: 'red', count: 8 } },
+      });
+
+      expect(() => crowdedEngine.shuffleShips()).toThrow('Fleet does not fit on the board with the no-touch rule');
+    });
+  });
+
+  describe('Placement Undo/Redo:', () => {
+    let board;
+
+    beforeEach(() => {
+      board = engine.getPlayer1Board();
+    });
+
+    test('undoes and redoes placements in order', () => {
+      engine.placeShip(board, 'carrier', 0, 0, 'horizontal');
+      engine.placeShip(board, 'destroyer', 5, 5, 'vertical');
+
+      expect(engine.undoPlacement()).toBe(true);
+      expect(board.getShipAt(5, 5)).toBeNull();
+      expect(board.getShipAt(0, 0).type).toBe('carrier');
+
+      expect(engine.redoPlacement()).toBe(true);
+      expect(board.getShipAt(6, 5).type).toBe('destroyer');
+    });
+
+    test('picks a ship back up and can undo the pick-up', () => {
+      engine.placeShip(board, 'cruiser', 3, 3, 'horizontal');
+      const { ship, placement } = engine.removeShip(board, 3, 4);
+
+      expect(ship.type).toBe('cruiser');
+      expect(placement).toEqual({ x: 3, y: 3, orientation: 'horizontal' });
+      expect(board.getShips()).toHaveLength(0);
+
+      engine.undoPlacement();
+      expect(board.getShipAt(3, 5).type).toBe('cruiser');
+    });
+
+    test('keeps other placements when undoing one', () => {
+      engine.placeShip(board, 'carrier', 0, 0, 'horizontal');
+      engine.placeShip(board, 'battleship', 2, 0, 'horizontal');
+      engine.placeShip(board, 'cruiser', 4, 0, 'horizontal');
+      engine.undoPlacement();
+
+      expect(board.getShips().map(ship => ship.type)).toEqual(['carrier', 'battleship']);
+    });
+
+    test('discards redo history after a new placement', () => {
+      engine.placeShip(board, 'carrier', 0, 0, 'horizontal');
+      engine.undoPlacement();
+      engine.placeShip(board, 'destroyer', 5, 5, 'horizontal');
+
+      expect(engine.canRedoPlacement()).toBe(false);
+      expect(engine.redoPlacement()).toBe(false);
+    });
+
+    test('has nothing to undo after shuffling or starting', () => {
+      engine.placeShip(board, 'carrier', 0, 0, 'horizontal');
+      engine.shuffleShips(board);
+      expect(engine.canUndoPlacement()).toBe(false);
+
+      engine.startGame();
+      const { x, y } = board.getShipPlacement(board.getShips()[0]);
+      expect(() => engine.removeShip(board, x, y)).toThrow('Ships cannot be moved during the game');
+    });
+
+    test('rejects picking up an empty cell', () => {
+      expect(() => engine.removeShip(board, 9, 9)).toThrow('No ship at these coordinates');
+    });
+
+    test('keeps a separate history for each board', () => {
+      const otherBoard = engine.getPlayer2Board();
+      engine.placeShip(board, 'carrier', 0, 0, 'horizontal');
+      engine.placeShip(otherBoard, 'carrier', 4, 4, 'horizontal');
+
+      expect(engine.undoPlacement(board)).toBe(true);
+      expect(otherBoard.getShipAt(4, 4).type).toBe('carrier');
+      expect(engine.canUndoPlacement(board)).toBe(false);
+      expect(engine.canUndoPlacement(otherBoard)).toBe(true);
+    });
+  });
+
+  describe('Two Human Players:', () => {
+    let opponent;
+    let hotSeatEngine;
+
+    beforeEach(() => {
+      opponent = Player('Player 2', 'human');
+      hotSeatEngine = GameEngine(player1, opponent);
+    });
+
+    test('requires both human fleets before starting', () => {
+      hotSeatEngine.shuffleShips(hotSeatEngine.getPlayer1Board());
+
+      expect(() => hotSeatEngine.startGame()).toThrow('Player 2 must place all ships before starting the game');
+      expect(hotSeatEngine.getPlayer2Board().getShips()).toHaveLength(0);
+    });
+
+    test('keeps the human fleet placed by player 2', () => {
+      hotSeatEngine.shuffleShips(hotSeatEngine.getPlayer1Board());
+      hotSeatEngine.shuffleShips(hotSeatEngine.getPlayer2Board());
+      const layout = hotSeatEngine.getPlayer2Board().serialize();
+
+      hotSeatEngine.startGame();
+
+      expect(hotSeatEngine.getPlayer2Board().serialize()).toEqual(layout);
+    });
+
+    test('lets each player attack only the other board', () => {
+      hotSeatEngine.shuffleShips(hotSeatEngine.getPlayer1Board());
+      hotSeatEngine.shuffleShips(hotSeatEngine.getPlayer2Board());
+      hotSeatEngine.startGame();
+
+      hotSeatEngine.makeGameAttack(0, 0);
+      hotSeatEngine.makeGameAttack(1, 1);
+
+      expect(hotSeatEngine.getPlayer2Board().isAttacked(0, 0)).toBe(true);
+      expect(hotSeatEngine.getPlayer1Board().isAttacked(1, 1)).toBe(true);
+      expect(hotSeatEngine.getPlayer1Board().isAttacked(0, 0)).toBe(false);
+      expect(() => hotSeatEngine.generateComputerAttack()).toThrow('Current player is not a computer');
+    });
+
+    test('applies attack results reported for a hidden opponent fleet', () => {
+      hotSeatEngine.shuffleShips(hotSeatEngine.getPlayer1Board());
+      hotSeatEngine.shuffleShips(hotSeatEngine.getPlayer2Board());
+      hotSeatEngine.startGame();
+      const hiddenBoard = hotSeatEngine.getPlayer2Board();
+      hiddenBoard.resetBoard();
+
+      hotSeatEngine.applyAttackResult(3, 3, 'hit');
+      expect(hiddenBoard.getCellState(3, 3)).toBe('hit');
+      expect(player1.score).toBe(1);
+      expect(hotSeatEngine.getGameState().currentPlayer).toBe(opponent);
+
+      hotSeatEngine.makeGameAttack(0, 0);
+      hotSeatEngine.applyAttackResult(3, 4, 'sunk', { sunkShip: { type: 'destroyer', x: 3, y: 3, orientation: 'horizontal' }, gameOver: true });
+      expect(hiddenBoard.getShipAt(3, 3).isSunk()).toBe(true);
+      expect(hotSeatEngine.getMoveHistory().at(-1)).toMatchObject({ attacker: 'player1', result: 'sunk', sunkShipType: 'destroyer' });
+      expect(hotSeatEngine.getGameState().winner).toBe(player1);
+    });
+
+    test('does not restore a computer game into a hot-seat game', () => {
+      engine.shuffleShips();
+      engine.startGame();
+
+      expect(() => hotSeatEngine.deserialize(engine.serialize())).toThrow('Saved game does not match this game configuration');
+    });
+  });
+
+  describe('Turns and Attacks:', () => {
+    beforeEach(() => {
+      engine.shuffleShips(engine.getPlayer1Board());
+      engine.startGame();
+    });
+
+    test('places the computer fleet when the game starts', () => {
+      expect(engine.areAllShipsPlaced(engine.getPlayer2Board())).toBe(true);
+      expect(engine.getGameState().gameState).toBe('playing');
+    });
+
+    test('alternates turns between attacks', () => {
+      engine.makeGameAttack(0, 0);
+      expect(engine.getGameState().currentPlayer).toBe(player2);
+
+      engine.generateComputerAttack();
+      expect(engine.getGameState().currentPlayer).toBe(player1);
+      expect(engine.getGameState().turnCount).toBe(2);
+    });
+
+    test('rejects computer attacks on a human turn', () => {
+      expect(() => engine.generateComputerAttack()).toThrow('Current player is not a computer');
+    });
+
+    test('plays a full computer-vs-computer game to a winner', () => {
+      const bot1 = Player('Bot 1', 'computer');
+      const bot2 = Player('Bot 2', 'computer');
+      const botEngine = GameEngine(bot1, bot2);
+
+      botEngine.shuffleShips(botEngine.getPlayer1Board());
+      botEngine.startGame();
+
+      while (botEngine.getGameState().gameState === 'playing') botEngine.generateComputerAttack();
+
+      expect([bot1, bot2]).toContain(botEngine.getGameState().winner);
+    });
+
+    test('clears boards and scores on reset', () => {
+      engine.makeGameAttack(0, 0);
+      engine.resetGame();
+
+      expect(engine.getGameState().turnCount).toBe(0);
+      expect(engine.getPlayer1Board().getShips()).toHaveLength(0);
+      expect(player1.score).toBe(0);
+    });
+  });
+
+  describe('Salvo:', () => {
+    let salvoEngine;
+
+    beforeEach(() => {
+      salvoEngine = GameEngine(player1, player2, { shotsPerTurn: 'ships' });
+      salvoEngine.shuffleShips(salvoEngine.getPlayer1Board());
+      salvoEngine.startGame();
+    });
+
+    test('rejects unsupported shot counts', () => {
+      expect(() => GameEngine(player1, player2, { shotsPerTurn: 0 })).toThrow('Invalid shots per turn: 0');
+      expect(() => GameEngine(player1, player2, { shotsPerTurn: 'all' })).toThrow('Invalid shots per turn: all');
+    });
+
+    test('fires one shot per unsunk ship and reveals the volley together', () => {
+      const events = [];
+      salvoEngine.subscribe(event => events.push(event));
+      const targets = [0, 2, 4, 6, 8].map(x => ({ x, y: 9 }));
+
+      expect(salvoEngine.getShotsPerTurn()).toBe(5);
+      const shots = salvoEngine.makeSalvoAttack(targets);
+
+      expect(shots.map(({ x, y }) => ({ x, y }))).toEqual(targets);
+      shots.forEach(shot => {
+        expect(shot).toMatchObject({ status: expect.stringMatching(/^(hit|miss|sunk)$/), attacker: player1, gameOver: false, winner: null });
+        expect(shot).toHaveProperty('sunkShip');
+      });
+      expect(events).toHaveLength(1);
+      expect(events[0]).toMatchObject({ type: 'salvo', attacker: player1, shots });
+      expect(salvoEngine.getGameState().currentPlayer).toBe(player2);
+      expect(salvoEngine.getMoveHistory().every(move => move.turn === 1)).toBe(true);
+    });
+
+    test('rejects an incomplete or repeated volley without firing any of it', () => {
+      expect(() => salvoEngine.makeSalvoAttack([{ x: 0, y: 0 }])).toThrow('A salvo needs exactly 5 shots');
+      expect(() => salvoEngine.makeSalvoAttack(Array(5).fill({ x: 0, y: 0 }))).toThrow('A salvo cannot fire at the same cell twice');
+      expect(() => salvoEngine.makeSalvoAttack([0, 1, 2, 3, 10].map(x => ({ x, y: 0 })))).toThrow('Attack coordinates out of bounds');
+      expect(salvoEngine.getPlayer2Board().isAttacked(0, 0)).toBe(false);
+    });
+
+    test('loses a shot for every sunk ship', () => {
+      const board = salvoEngine.getPlayer2Board();
+      const ship = board.getShips()[0];
+      const { x, y, orientation } = board.getShipPlacement(ship);
+      for (let i = 0; i < ship.length; i++) board.receiveAttack(orientation === 'vertical' ? x + i : x, orientation === 'horizontal' ? y + i : y);
+
+      expect(salvoEngine.getShotsPerTurn(player2)).toBe(4);
+    });
+
+    test('lets the computer fire a whole volley', () => {
+      const fixed = GameEngine(player1, player2, { shotsPerTurn: 3 });
+      fixed.shuffleShips(fixed.getPlayer1Board());
+      fixed.startGame(player2);
+
+      const shots = fixed.generateComputerSalvo();
+
+      expect(shots).toHaveLength(3);
+      expect(shots.every(({ x, y }) => fixed.getPlayer1Board().isAttacked(x, y))).toBe(true);
+      expect(fixed.getGameState().currentPlayer).toBe(player1);
+    });
+
+    test('does not restore a save from a different variant', () => {
+      engine.shuffleShips();
+      engine.startGame();
+
+      expect(() => salvoEngine.deserialize(engine.serialize())).toThrow('Saved game does not match this game configuration');
+    });
+  });
+
+  describe('Solo:', () => {
+    let solo;
+
+    beforeEach(() => {
+      solo = GameEngine(player1, player2, { solo: true, seed: 3 });
+    });
+
+    test('starts without a fleet of player 1 and keeps them firing', () => {
+      solo.startGame(player2);
+      solo.makeGameAttack(0, 0);
+      solo.makeGameAttack(0, 1);
+
+      expect(solo.isSolo()).toBe(true);
+      expect(solo.getGameState()).toMatchObject({ currentPlayer: player1, turnCount: 2 });
+      expect(solo.getMoveHistory().map(move => move.turn)).toEqual([1, 2]);
+      expect(() => solo.generateComputerAttack()).toThrow('Current player is not a computer');
+    });
+
+    test('ends once the computer fleet is sunk', () => {
+      solo.startGame();
+      const board = solo.getPlayer2Board();
+      let result;
+      for (let x = 0; x < 10; x++) {
+        for (let y = 0; y < 10; y++) {
+          if (board.getShipAt(x, y)) result = solo.makeGameAttack(x, y);
+        }
+      }
+
+      expect(result).toMatchObject({ gameOver: true, winner: player1 });
+      expect(solo.getMatchStats(player1).shots).toBe(17);
+    });
+
+    test('is lost once the shot budget runs out', () => {
+      const puzzle = GameEngine(player1, player2, { solo: true, seed: 3, shotBudget: 17 });
+      puzzle.startGame();
+      const board = puzzle.getPlayer2Board();
+      const water = [...Array(100).keys()].map(i => ({ x: Math.floor(i / 10), y: i % 10 })).filter(({ x, y }) => !board.getShipAt(x, y));
+
+      puzzle.makeGameAttack(water[0].x, water[0].y);
+      puzzle.makeGameAttack(water[0].x, water[0].y);
+      expect(puzzle.getShotsRemaining()).toBe(16);
+
+      water.slice(1, 16).forEach(({ x, y }) => puzzle.makeGameAttack(x, y));
+      const result = puzzle.makeGameAttack(water[16].x, water[16].y);
+      expect(result).toMatchObject({ gameOver: true, winner: player2 });
+      expect(puzzle.getShotsRemaining()).toBe(0);
+      expect(solo.getShotsRemaining()).toBeNull();
+    });
+
+    test('rejects budgets outside solo games or too small for the fleet', () => {
+      expect(() => GameEngine(player1, player2, { shotBudget: 40 })).toThrow('Only solo games have a shot budget');
+      expect(() => GameEngine(player1, player2, { solo: true, shotBudget: 16 })).toThrow('Invalid shot budget: 16');
+    });
+
+    test('needs a computer opponent and single shots', () => {
+      expect(() => GameEngine(player1, Player('Player 2', 'human'), { solo: true })).toThrow('Solo games are played against a computer fleet');
+      expect(() => GameEngine(player1, player2, { solo: true, shotsPerTurn: 2 })).toThrow('Solo games fire one shot at a time');
+    });
+  });
+
+  describe('Bonus Shots:', () => {
+    let opponent;
+
+    // Starts a two-human game under a bonus shot rule with a destroyer at (0, 0)-(0, 1) on player 2's board
+    const startBonusGame = (bonusShot) => {
+      const bonusEngine = GameEngine(player1, opponent, { bonusShot, placementRule: 'touching' });
+      bonusEngine.shuffleShips(bonusEngine.getPlayer1Board());
+      bonusEngine.placeShip(bonusEngine.getPlayer2Board(), 'destroyer', 0, 0, 'horizontal');
+      ['carrier', 'battleship', 'cruiser', 'submarine'].forEach((typeKey, index) => {
+        bonusEngine.placeShip(bonusEngine.getPlayer2Board(), typeKey, 2 + index * 2, 0, 'horizontal');
+      });
+      bonusEngine.startGame();
+      return bonusEngine;
+    };
+
+    beforeEach(() => {
+      opponent = Player('Player 2', 'human');
+    });
+
+    test('rejects unknown rules and salvo combinations', () => {
+      expect(() => GameEngine(player1, player2, { bonusShot: 'miss' })).toThrow('Invalid bonus shot rule: miss');
+      expect(() => GameEngine(player1, player2, { bonusShot: 'hit', shotsPerTurn: 2 })).toThrow('Bonus shots cannot be combined with salvo');
+    });
+
+    test('keeps the turn after a hit or a sink under the hit rule', () => {
+      const bonusEngine = startBonusGame('hit');
+
+      expect(bonusEngine.makeGameAttack(0, 0).status).toBe('hit');
+      expect(bonusEngine.getGameState().currentPlayer).toBe(player1);
+      expect(bonusEngine.makeGameAttack(0, 1).status).toBe('sunk');
+      expect(bonusEngine.getGameState().currentPlayer).toBe(player1);
+      expect(bonusEngine.getGameState().turnCount).toBe(0);
+
+      bonusEngine.makeGameAttack(9, 9);
+      expect(bonusEngine.getGameState().currentPlayer).toBe(opponent);
+      expect(bonusEngine.getMoveHistory().map(move => move.turn)).toEqual([1, 1, 1]);
+    });
+
+    test('only keeps the turn after a sink under the sunk rule', () => {
+      const bonusEngine = startBonusGame('sunk');
+
+      bonusEngine.makeGameAttack(0, 0);
+      expect(bonusEngine.getGameState().currentPlayer).toBe(opponent);
+
+      bonusEngine.makeGameAttack(9, 9);
+      bonusEngine.makeGameAttack(0, 1);
+      expect(bonusEngine.getGameState().currentPlayer).toBe(player1);
+    });
+
+    test('applies the rule to results reported by the server', () => {
+      const bonusEngine = startBonusGame('hit');
+
+      bonusEngine.applyAttackResult(5, 5, 'hit');
+      expect(bonusEngine.getGameState().currentPlayer).toBe(player1);
+    });
+  });
+
+  describe('Move History:', () => {
+    beforeEach(() => {
+      engine.shuffleShips(engine.getPlayer1Board());
+      engine.startGame();
+      engine.getPlayer2Board().resetBoard();
+      engine.getPlayer2Board().placeShip(Ship('destroyer'), 0, 0, 'horizontal');
+    });
+
+    test('records each attack with turn, attacker, coordinates and result', () => {
+      engine.makeGameAttack(5, 5);
+      const { x, y } = player2.generateAttack(engine.getPlayer1Board());
+      engine.makeGameAttack(x, y);
+
+      const [first, second] = engine.getMoveHistory();
+      expect(first).toEqual({ turn: 1, attacker: 'player1', x: 5, y: 5, result: 'miss', sunkShipType: null });
+      expect(second).toMatchObject({ turn: 2, attacker: 'player2', x, y });
+    });
+
+    test('records the type of a sunk ship', () => {
+      engine.makeGameAttack(0, 0);
+      engine.generateComputerAttack();
+      engine.makeGameAttack(0, 1);
+
+      expect(engine.getMoveHistory()[2]).toMatchObject({ result: 'sunk', sunkShipType: 'destroyer' });
+    });
+
+    test('returns the outcome of each attack with the winner once the game is won', () => {
+      expect(engine.makeGameAttack(0, 0)).toMatchObject({ status: 'hit', x: 0, y: 0, attacker: player1, gameOver: false, winner: null });
+      engine.generateComputerAttack();
+
+      const winningAttack = engine.makeGameAttack(0, 1);
+      expect(winningAttack).toMatchObject({ status: 'sunk', ship: { type: 'destroyer', id: 'destroyer-0' }, gameOver: true, winner: player1 });
+      expect(engine.getLastAttack()).toEqual(winningAttack);
+    });
+
+    test('keeps a finished game\'s fleets locked until reset', () => {
+      engine.makeGameAttack(0, 0);
+      engine.generateComputerAttack();
+      engine.makeGameAttack(0, 1);
+      const board = engine.getPlayer1Board();
+      const layout = board.serialize();
+      const { x, y } = board.getShipPlacement(board.getShips()[0]);
+
+      expect(() => engine.removeShip(board, x, y)).toThrow('Ships cannot be moved during the game');
+      expect(() => engine.placeShip(engine.getPlayer2Board(), 'carrier', 5, 0, 'horizontal')).toThrow('Ships cannot be placed during the game');
+      engine.shuffleShips(board);
+      expect(board.serialize()).toEqual(layout);
+      expect(engine.getGameRecord().layouts[0]).toHaveLength(5);
+
+      engine.resetGame();
+      expect(() => engine.placeShip(board, 'carrier', 0, 0, 'horizontal')).not.toThrow();
+    });
+
+    test('names the ship sunk by the last attack and the cells it covered', () => {
+      engine.makeGameAttack(0, 0);
+      expect(engine.getLastAttack()).toMatchObject({ attacker: player1, x: 0, y: 0, status: 'hit', sunkShip: null });
+
+      engine.generateComputerAttack();
+      engine.makeGameAttack(0, 1);
+      expect(engine.getLastAttack().sunkShip).toEqual({ type: 'destroyer', name: 'Destroyer', cells: [{ x: 0, y: 0 }, { x: 0, y: 1 }] });
+
+      engine.resetGame();
+      expect(engine.getLastAttack()).toBeNull();
+    });
+
+    test('clears history on reset', () => {
+      engine.makeGameAttack(5, 5);
+      engine.resetGame();
+
+      expect(engine.getMoveHistory()).toEqual([]);
+    });
+
+    test('derives match statistics and the fleet tracker from the moves', () => {
+      expect(engine.getMatchStats(player1)).toMatchObject({ shots: 0, accuracy: null, hitStreak: 0, shipsSunk: 0, shipsRemaining: 5 });
+
+      engine.makeGameAttack(5, 5);
+      engine.generateComputerAttack();
+      engine.makeGameAttack(0, 0);
+      engine.generateComputerAttack();
+      engine.makeGameAttack(0, 1);
+
+      const stats = engine.getMatchStats(player1);
+      expect(stats).toMatchObject({ shots: 3, hits: 2, misses: 1, hitStreak: 2, shipsSunk: 1, shipsRemaining: 4 });
+      expect(stats.accuracy).toBeCloseTo(2 / 3);
+      expect(stats.fleetTracker.filter(ship => ship.sunk).map(ship => ship.name)).toEqual(['Destroyer']);
+      expect(engine.getMatchStats(player2).shots).toBe(2);
+    });
+
+    test('exposes a game record with starting layouts', () => {
+      engine.makeGameAttack(0, 0);
+      const record = engine.getGameRecord();
+
+      expect(record.layouts[1]).toEqual([{ type: 'destroyer', x: 0, y: 0, orientation: 'horizontal' }]);
+      expect(record.moves).toHaveLength(1);
+      expect(record.playerNames).toEqual(['Player 1', 'Player 2']);
+    });
+  });
+
+  describe('Persistence:', () => {
+    test('round-trips a game in progress through JSON', () => {
+      engine.shuffleShips(engine.getPlayer1Board());
+      engine.startGame();
+      for (let i = 0; i < 10; i++) {
+        engine.makeGameAttack(i, i);
+        engine.generateComputerAttack();
+      }
+      engine.makeGameAttack(0, 9);
+
+      const saved = JSON.parse(JSON.stringify(engine.serialize()));
+      const restoredPlayer1 = Player('Player 1', 'human');
+      const restoredPlayer2 = Player('Player 2', 'computer');
+      const restored = GameEngine(restoredPlayer1, restoredPlayer2);
+      restored.deserialize(saved);
+
+      expect(restored.serialize()).toEqual(saved);
+      expect(restored.getGameState().currentPlayer).toBe(restoredPlayer2);
+      expect(restored.getGameState().turnCount).toBe(21);
+      expect(restoredPlayer2.score).toBe(player2.score);
+      expect(restoredPlayer2.hitHistory).toEqual(player2.hitHistory);
+      expect(restoredPlayer2.targetQueue).toEqual(player2.targetQueue);
+    });
+
+    test('restores ship orientation and per-ship hits', () => {
+      engine.placeShip(engine.getPlayer1Board(), 'carrier', 2, 3, 'vertical');
+      engine.getPlayer1Board().receiveAttack(3, 3);
+
+      const boardState = engine.serialize().boards[0];
+      expect(boardState.ships).toEqual([{ type: 'carrier', x: 2, y: 3, orientation: 'vertical', hits: 1 }]);
+      expect(boardState.attacked).toEqual(['3,3']);
+    });
+
+    test('rejects saves from another configuration', () => {
+      const saved = engine.serialize();
+      const smallEngine = GameEngine(player1, player2, { gridSize: 8 });
+
+      expect(() => smallEngine.deserialize(saved)).toThrow('Saved game does not match this game configuration');
+      expect(() => GameEngine(player1, player2, { placementRule: 'corner-touch' }).deserialize(saved))
+        .toThrow('Saved game does not match this game configuration');
+      expect(() => engine.deserialize({ ...saved, version: 0 })).toThrow('Unsupported saved game');
+    });
+  });
+
+  describe('Seeds:', () => {
+    // Plays a seeded game where player 1 fires along the rows, returning the computer fleet and every move
+    const playSeeded = (seed) => {
+      const seeded = GameEngine(Player('Player 1', 'human'), Player('Player 2', 'computer', ProbabilityStrategy()), { seed });
+      seeded.shuffleShips();
+      seeded.startGame();
+      for (let i = 0; i < 30; i++) {
+        seeded.makeGameAttack(Math.floor(i / 10), i % 10);
+        seeded.generateComputerAttack();
+      }
+      return { fleet: seeded.getPlayer2Board().serialize().ships, moves: seeded.getMoveHistory() };
+    };
+
+    test('replays the same computer fleet and shots', () => {
+      const first = playSeeded('shared');
+
+      expect(playSeeded('shared')).toEqual(first);
+      expect(playSeeded('other').fleet).not.toEqual(first.fleet);
+    });
+
+    test('keeps the computer fleet whatever the human shuffled', () => {
+      const seeded = GameEngine(player1, player2, { seed: 11 });
+      seeded.shuffleShips();
+      seeded.startGame();
+      const fleet = seeded.getPlayer2Board().serialize();
+
+      seeded.resetGame();
+      seeded.shuffleShips();
+      seeded.shuffleShips();
+      seeded.startGame();
+      expect(seeded.getPlayer2Board().serialize()).toEqual(fleet);
+    });
+
+    test('changes only between games and is saved with them', () => {
+      engine.setSeed('tuesday');
+      engine.shuffleShips();
+      engine.startGame();
+
+      expect(engine.getSeed()).toBe('tuesday');
+      expect(() => engine.setSeed(1)).toThrow('The seed cannot change during a game');
+      expect(engine.serialize().seed).toBe('tuesday');
+      expect(engine.getGameRecord().seed).toBe('tuesday');
+
+      const restored = GameEngine(Player('Player 1', 'human'), Player('Player 2', 'computer'));
+      restored.deserialize(JSON.parse(JSON.stringify(engine.serialize())));
+      expect(restored.getSeed()).toBe('tuesday');
+    });
+  });
+
+  describe('Layouts:', () => {
+    const LAYOUT = [
+      { type: 'carrier', x: 0, y: 0, orientation: 'horizontal' },
+      { type: 'battleship', x: 2, y: 0, orientation: 'horizontal' },
+      { type: 'cruiser', x: 4, y: 0, orientation: 'horizontal' },
+      { type: 'submarine', x: 6, y: 0, orientation: 'horizontal' },
+      { type: 'destroyer', x: 0, y: 9, orientation: 'vertical' },
+    ];
+
+    test('replaces a board\'s fleet and clears its placement history', () => {
+      const listener = jest.fn();
+      engine.subscribe(listener);
+      engine.shuffleShips();
+      engine.placeShip(engine.getPlayer2Board(), 'destroyer', 9, 0, 'horizontal');
+
+      engine.loadLayout(engine.getPlayer1Board(), LAYOUT);
+      expect(engine.getPlayer1Board().getShipAt(1, 9).type).toBe('destroyer');
+      expect(engine.areAllShipsPlaced()).toBe(true);
+      expect(engine.canUndoPlacement()).toBe(false);
+      expect(listener).toHaveBeenLastCalledWith({ type: 'fleetLoaded', gameboard: engine.getPlayer1Board() });
+    });
+
+    test('leaves the board untouched when any ship breaks the rules', () => {
+      engine.shuffleShips();
+      const fleet = engine.getPlayer1Board().serialize();
+      const touching = [...LAYOUT.slice(0, 4), { type: 'destroyer', x: 1, y: 0, orientation: 'horizontal' }];
+
+      expect(() => engine.loadLayout(engine.getPlayer1Board(), touching)).toThrow('Ships cannot touch, not even diagonally');
+      expect(() => engine.loadLayout(engine.getPlayer1Board(), LAYOUT.slice(1))).toThrow('Layout must place the whole fleet');
+      expect(() => engine.loadLayout(engine.getPlayer1Board(), [...LAYOUT, LAYOUT[4]])).toThrow('All Destroyer ships are already placed');
+      expect(() => engine.loadLayout(engine.getPlayer1Board(), [{ ...LAYOUT[0], type: 'canoe' }])).toThrow('Invalid ship type: canoe');
+      ['constructor', 'toString', '__proto__'].forEach(type => {
+        const extra = { type, x: 9, y: 0, orientation: 'horizontal' };
+        expect(() => engine.loadLayout(engine.getPlayer1Board(), [...LAYOUT, extra])).toThrow(`Invalid ship type: ${type}`);
+      });
+      expect(() => engine.loadLayout(engine.getPlayer1Board(), [{ ...LAYOUT[0], orientation: 'diagonal' }])).toThrow('Invalid orientation: diagonal');
+      expect(engine.getPlayer1Board().serialize()).toEqual(fleet);
+    });
+
+    test('keeps a loaded computer fleet for the next game only', () => {
+      engine.shuffleShips();
+      engine.loadLayout(engine.getPlayer2Board(), LAYOUT);
+      engine.startGame();
+      expect(engine.getPlayer2Board().getShipAt(1, 9).type).toBe('destroyer');
+      expect(() => engine.loadLayout(engine.getPlayer1Board(), LAYOUT)).toThrow('Ships cannot be placed during the game');
+
+      engine.resetGame();
+      engine.shuffleShips();
+      engine.startGame();
+      const board = engine.getPlayer2Board();
+      expect(board.getShips().map(ship => ({ type: ship.type, ...board.getShipPlacement(ship) }))).not.toEqual(LAYOUT);
+    });
+  });
+
+  describe('Subscriptions:', () => {
+    test('notifies listeners of attacks', () => {
+      const events = [];
+      engine.subscribe(event => events.push(event));
+      engine.shuffleShips(engine.getPlayer1Board());
+      engine.startGame();
+      const result = engine.makeGameAttack(3, 4);
+
+      expect(events.map(event => event.type)).toEqual(['fleetShuffled', 'gameStarted', 'attack']);
+      expect(events[2]).toEqual({
+        type: 'attack',
+        attacker: player1,
+        gameboard: engine.getPlayer2Board(),
+        x: 3,
+        y: 4,
+        result: result.status,
+        sunkShip: null
+      });
+    });
+
+    test('stops notifying after unsubscribe', () => {
+      const events = [];
+      const unsubscribe = engine.subscribe(event => events.push(event));
+      unsubscribe();
+      engine.shuffleShips(engine.getPlayer1Board());
+
+      expect(events).toHaveLength(0);
+    });
+  });
+});
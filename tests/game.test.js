@@ -1,9 +1,22 @@
 // <reference types="jest" />
 // Jest test for the game module
 
+import { jest } from '@jest/globals';
 import { Game } from '../src/modules/game/game.js';
 import { Player } from '../src/modules/player/player.js';
 import { Ship } from '../src/modules/ship/ship.js';
+import { FLEET_PRESETS } from '../src/utils/constants.js';
+import { loadChallengeResults } from '../src/utils/storage.js';
+
+// Finds an element of a game's UI by its data-role
+const byRole = (role, root = document) => root.querySelector(`[data-role="${role}"]`);
+
+// Places the classic fleet on every other row, apart enough for the no-touch rule on an 8x8 board
+const placeFleet = (board) => {
+  [['carrier', 0, 0], ['destroyer', 0, 6], ['battleship', 2, 0], ['cruiser', 4, 0], ['submarine', 6, 0]].forEach(([typeKey, x, y]) => {
+    board.placeShip(Ship(typeKey), x, y, 'horizontal');
+  });
+};
 
 describe('Game Factory:', () => {
   let game;
@@ -11,13 +24,7 @@ describe('Game Factory:', () => {
   let player2;
 
   beforeEach(() => {
-    document.body.innerHTML = `
-        <div class="ship-item placed" data-type="carrier"></div>
-        <div class="ship-item placed" data-type="battleship"></div>
-        <div class="ship-item placed" data-type="cruiser"></div>
-        <div class="ship-item placed" data-type="submarine"></div>
-        <div class="ship-item placed" data-type="destroyer"></div>        
-    `;
+    document.body.innerHTML = '';
 
     player1 = Player('Player 1', 'human');
     player2 = Player('Player 2', 'computer');
@@ -37,6 +44,17 @@ describe('Game Factory:', () => {
       expect(game.getPlayer2Board().getGridSize()).toBe(10);
     });
 
+    test('creates gameboards with a custom grid size', () => {
+      const largeGame = Game(player1, player2, { gridSize: 15 });
+
+      expect(largeGame.getPlayer1Board().getGridSize()).toBe(15);
+      expect(largeGame.getPlayer2Board().getGridSize()).toBe(15);
+    });
+
+    test('rejects unsupported grid sizes', () => {
+      expect(() => Game(player1, player2, { gridSize: 30 })).toThrow('Invalid grid size: 30');
+    });
+
     test('sets player 1 as the starting player', () => {
       expect(game.getGameState().currentPlayer).toBe(player1);
     });
@@ -66,11 +84,545 @@ describe('Game Factory:', () => {
     });
   });
 
+  describe('Custom Grid Size:', () => {
+    test('places computer ships within a small grid', () => {
+      const smallGame = Game(player1, player2, { gridSize: 8 });
+      placeFleet(smallGame.getPlayer1Board());
+      smallGame.startGame();
+
+      const board = smallGame.getPlayer2Board();
+      let occupiedCells = 0;
+      for (let x = 0; x < 8; x++) {
+        for (let y = 0; y < 8; y++) {
+          if (board.getShipAt(x, y) !== null) occupiedCells++;
+        }
+      }
+
+      expect(occupiedCells).toBe(17);
+    });
+
+    test('renders a grid matching the configured size', () => {
+      document.body.innerHTML = '<div id="game-container"></div>';
+      const largeGame = Game(player1, player2, { gridSize: 12 });
+      largeGame.initializeGameUI('game-container');
+
+      expect(document.querySelectorAll('[data-role="player1-board"] .grid-cell').length).toBe(144);
+      expect(document.querySelectorAll('[data-role="player2-board"] .grid-cell').length).toBe(144);
+    });
+  });
+
+  describe('Custom Fleets:', () => {
+    const countShips = (board) => {
+      const ships = new Set();
+      for (let x = 0; x < board.getGridSize(); x++) {
+        for (let y = 0; y < board.getGridSize(); y++) {
+          if (board.getShipAt(x, y) !== null) ships.add(board.getShipAt(x, y));
+        }
+      }
+      return [...ships];
+    };
+
+    test('uses the classic fleet by default', () => {
+      expect(Object.keys(game.getFleet())).toEqual(['carrier', 'battleship', 'cruiser', 'submarine', 'destroyer']);
+      expect(game.getFleet().carrier.count).toBe(1);
+    });
+
+    test('places every ship of a custom fleet randomly', () => {
+      const russianGame = Game(player1, player2, { fleet: FLEET_PRESETS.russian });
+      russianGame.shuffleShips();
+      russianGame.startGame();
+
+      const ships = countShips(russianGame.getPlayer2Board());
+      const lengths = ships.map(ship => ship.length).sort();
+
+      expect(russianGame.getGameState().gameState).toBe('playing');
+      expect(lengths).toEqual([1, 1, 1, 1, 2, 2, 2, 3, 3, 4]);
+    });
+
+    test('builds one inventory item per ship in the fleet', () => {
+      document.body.innerHTML = '<div id="game-container"></div>';
+      const customGame = Game(player1, player2, {
+        fleet: {
+          destroyer: { name: 'Destroyer', length: 2, color: 'red', count: 2 },
+          submarine: { name: 'Submarine', length: 3, color: 'blue', count: 4 },
+        }
+      });
+      customGame.initializeGameUI('game-container');
+
+      expect(document.querySelectorAll('.ship-item[data-type="destroyer"]').length).toBe(2);
+      expect(document.querySelectorAll('.ship-item[data-type="submarine"]').length).toBe(4);
+    });
+
+    test('requires the whole custom fleet before starting', () => {
+      const customGame = Game(player1, player2, {
+        fleet: { destroyer: { name: 'Destroyer', length: 2, color: 'red', count: 6 } }
+      });
+      placeFleet(customGame.getPlayer1Board());
+
+      customGame.startGame();
+      expect(customGame.getGameState().gameState).toBe('not playing');
+    });
+
+    test('rejects malformed fleets', () => {
+      expect(() => Game(player1, player2, { fleet: {} })).toThrow('Fleet must contain at least one ship type');
+      expect(() => Game(player1, player2, { fleet: { raft: { name: 'Raft', length: 0 } } })).toThrow('Invalid ship length for type: raft');
+      expect(() => Game(player1, player2, { fleet: { raft: { name: 'Raft', length: 2, count: 0 } } })).toThrow('Invalid ship count for type: raft');
+    });
+
+    test('rejects fleets that cannot fit on the board', () => {
+      const hugeFleet = { barge: { name: 'Barge', length: 8, color: 'red', count: 9 } };
+      expect(() => Game(player1, player2, { gridSize: 8, fleet: hugeFleet })).toThrow('Fleet does not fit on the board');
+    });
+  });
+
+  describe('Placement Editing:', () => {
+    const clickCell = (row, col) => {
+      document.querySelector(`[data-role="player1-board"] [data-row="${row}"][data-col="${col}"]`).click();
+    };
+
+    beforeEach(() => {
+      document.body.innerHTML = '<div id="game-container"></div>';
+      game.initializeGameUI('game-container');
+    });
+
+    test('undoes and redoes a manual placement from the controls', () => {
+      document.querySelector('[data-type="carrier"]').click();
+      clickCell(0, 0);
+
+      expect(document.querySelector('[data-type="carrier"]').classList.contains('placed')).toBe(true);
+      expect(byRole('undo-placement').disabled).toBe(false);
+
+      byRole('undo-placement').click();
+      expect(game.getPlayer1Board().getShipAt(0, 0)).toBeNull();
+      expect(document.querySelector('[data-type="carrier"]').classList.contains('placed')).toBe(false);
+
+      byRole('redo-placement').click();
+      expect(game.getPlayer1Board().getShipAt(0, 0).type).toBe('carrier');
+    });
+
+    test('picks up a placed ship and repositions it', () => {
+      document.querySelector('[data-type="cruiser"]').click();
+      clickCell(2, 2);
+      document.querySelector('[data-type="destroyer"]').click();
+      clickCell(6, 6);
+
+      clickCell(2, 3);
+      expect(game.getPlayer1Board().getShipAt(2, 2)).toBeNull();
+      expect(document.querySelector('[data-type="cruiser"]').classList.contains('selected')).toBe(true);
+      expect(document.querySelector('[data-type="cruiser"]').classList.contains('placed')).toBe(false);
+
+      clickCell(8, 0);
+      expect(game.getPlayer1Board().getShipAt(8, 2).type).toBe('cruiser');
+      expect(game.getPlayer1Board().getShipAt(6, 6).type).toBe('destroyer');
+    });
+  });
+
+  describe('Drag and Drop Placement:', () => {
+    const getCell = (row, col) => document.querySelector(`[data-role="player1-board"] [data-row="${row}"][data-col="${col}"]`);
+    const pointer = (type, target, clientX) => {
+      target.dispatchEvent(new MouseEvent(type, { bubbles: true, cancelable: true, clientX, clientY: 0, button: 0 }));
+    };
+
+    beforeEach(() => {
+      document.body.innerHTML = '<div id="game-container"></div>';
+      game.initializeGameUI('game-container');
+    });
+
+    test('drops a ship dragged from the inventory onto the board', () => {
+      pointer('pointerdown', document.querySelector('[data-type="cruiser"]'), 0);
+      pointer('pointermove', getCell(4, 2), 50);
+
+      expect(getCell(4, 4).classList.contains('ship-preview')).toBe(true);
+
+      pointer('pointerup', getCell(4, 2), 50);
+
+      expect(game.getPlayer1Board().getShipAt(4, 4).type).toBe('cruiser');
+      expect(document.querySelector('[data-type="cruiser"]').classList.contains('placed')).toBe(true);
+    });
+
+    test('rotates the dragged ship with the R key and right-click', () => {
+      pointer('pointerdown', document.querySelector('[data-type="destroyer"]'), 0);
+      pointer('pointermove', getCell(3, 3), 50);
+
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'r' }));
+      expect(getCell(4, 3).classList.contains('ship-preview')).toBe(true);
+      expect(getCell(3, 4).classList.contains('ship-preview')).toBe(false);
+
+      getCell(3, 3).dispatchEvent(new MouseEvent('contextmenu', { bubbles: true, cancelable: true }));
+      expect(getCell(3, 4).classList.contains('ship-preview')).toBe(true);
+
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'R' }));
+      pointer('pointerup', getCell(3, 3), 50);
+
+      expect(game.getPlayer1Board().getShipPlacement(game.getPlayer1Board().getShipAt(3, 3)).orientation).toBe('vertical');
+    });
+
+    test('moves a placed ship by dragging it', () => {
+      document.querySelector('[data-type="submarine"]').click();
+      getCell(0, 0).click();
+
+      pointer('pointerdown', getCell(0, 1), 0);
+      pointer('pointermove', getCell(6, 6), 50);
+      pointer('pointerup', getCell(6, 6), 50);
+      getCell(6, 6).click();
+
+      expect(game.getPlayer1Board().getShipAt(0, 0)).toBeNull();
+      expect(game.getPlayer1Board().getShipAt(6, 8).type).toBe('submarine');
+      expect(document.querySelector('[data-type="submarine"]').classList.contains('placed')).toBe(true);
+    });
+
+    test('previews and explains placements that break the adjacency rule', () => {
+      document.querySelector('[data-type="carrier"]').click();
+      getCell(0, 0).click();
+
+      pointer('pointerdown', document.querySelector('[data-type="destroyer"]'), 0);
+      pointer('pointermove', getCell(1, 2), 50);
+
+      expect(getCell(1, 2).classList.contains('ship-preview-invalid')).toBe(true);
+      expect(getCell(1, 2).title).toBe('Ships cannot touch, not even diagonally');
+
+      pointer('pointerup', getCell(1, 2), 50);
+
+      expect(game.getPlayer1Board().getShipAt(1, 2)).toBeNull();
+      expect(byRole('game-status').textContent).toBe('Ships cannot touch, not even diagonally');
+    });
+
+    test('treats a press without movement as a click', () => {
+      pointer('pointerdown', document.querySelector('[data-type="carrier"]'), 0);
+      pointer('pointerup', document.querySelector('[data-type="carrier"]'), 2);
+
+      expect(game.getPlayer1Board().getShips()).toHaveLength(0);
+      expect(document.body.classList.contains('dragging-ship')).toBe(false);
+    });
+  });
+
+  describe('Heat Map Overlay:', () => {
+    beforeEach(() => {
+      document.body.innerHTML = '<div id="game-container"></div>';
+      game.initializeGameUI('game-container');
+      game.shuffleShips();
+      game.startGame();
+    });
+
+    test('is hidden by default', () => {
+      expect(document.querySelectorAll('[data-role="player2-board"] .heat-overlay').length).toBe(0);
+    });
+
+    test('shades unattacked opponent cells when toggled on', () => {
+      byRole('toggle-heatmap').click();
+
+      const shaded = document.querySelectorAll('[data-role="player2-board"] .heat-overlay');
+      expect(shaded.length).toBe(100);
+      expect(byRole('toggle-heatmap').classList.contains('active')).toBe(true);
+    });
+
+    test('leaves attacked cells unshaded and updates after attacks', () => {
+      byRole('toggle-heatmap').click();
+      game.makeGameAttack(0, 0);
+
+      const attackedCell = document.querySelector('[data-role="player2-board"] [data-row="0"][data-col="0"]');
+      expect(attackedCell.classList.contains('heat-overlay')).toBe(false);
+      expect(document.querySelectorAll('[data-role="player1-board"] .heat-overlay').length).toBe(0);
+    });
+
+    test('clears the overlay when toggled off', () => {
+      byRole('toggle-heatmap').click();
+      byRole('toggle-heatmap').click();
+
+      expect(document.querySelectorAll('[data-role="player2-board"] .heat-overlay').length).toBe(0);
+    });
+  });
+
+  describe('Salvo Mode:', () => {
+    let salvoGame;
+
+    const target = (row, col) => document.querySelector(`[data-role="player2-board"] [data-row="${row}"][data-col="${col}"]`);
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      document.body.innerHTML = '<div id="game-container"></div>';
+      salvoGame = Game(player1, player2, { shotsPerTurn: 2 });
+      salvoGame.initializeGameUI('game-container');
+      salvoGame.shuffleShips();
+      salvoGame.startGame();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('shows the shots remaining while aiming and fires nothing until the volley is complete', () => {
+      expect(byRole('game-status').textContent).toBe("Player 1's turn - 2 shots remaining");
+
+      target(0, 0).click();
+      expect(target(0, 0).classList.contains('aimed')).toBe(true);
+      expect(salvoGame.getPlayer2Board().isAttacked(0, 0)).toBe(false);
+      expect(byRole('game-status').textContent).toBe("Player 1's turn - 1 shots remaining");
+
+      target(0, 0).click();
+      expect(target(0, 0).classList.contains('aimed')).toBe(false);
+      expect(byRole('game-status').textContent).toBe("Player 1's turn - 2 shots remaining");
+    });
+
+    test('reveals the whole volley at once and lets the computer reply with its own', () => {
+      target(0, 0).click();
+      target(9, 9).click();
+
+      expect(salvoGame.getPlayer2Board().isAttacked(0, 0)).toBe(true);
+      expect(salvoGame.getPlayer2Board().isAttacked(9, 9)).toBe(true);
+      expect(document.querySelectorAll('[data-role="player2-board"] .aimed')).toHaveLength(0);
+      expect(byRole('game-status').textContent).toMatch(/^Player 1 fired 2 shots: /);
+
+      jest.advanceTimersByTime(1000);
+      expect(salvoGame.getEngine().getMoveHistory().filter(move => move.attacker === 'player2')).toHaveLength(2);
+      expect(byRole('game-status').textContent).toMatch(/^Player 2 fired 2 shots: .*Player 1's turn - 2 shots remaining$/);
+    });
+  });
+
+  describe('Salvo Events:', () => {
+    test('announces each shot of a winning volley with the engine\'s results, the outcome on the last', () => {
+      const salvoGame = Game(player1, player2, { shotsPerTurn: 2 });
+      const attacks = [];
+      salvoGame.on('attack', attack => attacks.push(attack));
+      salvoGame.shuffleShips();
+      salvoGame.startGame();
+      salvoGame.getPlayer2Board().resetBoard();
+      salvoGame.getPlayer2Board().placeShip(Ship('destroyer'), 0, 0, 'horizontal');
+
+      const shots = salvoGame.getEngine().makeSalvoAttack([{ x: 0, y: 1 }, { x: 0, y: 0 }]);
+
+      expect(attacks).toEqual(shots);
+      expect(attacks[0]).toMatchObject({ attacker: player1, status: 'hit', gameOver: false, winner: null });
+      expect(attacks[1]).toMatchObject({ attacker: player1, status: 'sunk', sunkShip: { name: 'Destroyer' }, gameOver: true, winner: player1 });
+    });
+  });
+
+  describe('Bonus Shots:', () => {
+    let bonusGame;
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      document.body.innerHTML = '<div id="game-container"></div>';
+      bonusGame = Game(player1, player2, { bonusShot: 'hit' });
+      bonusGame.initializeGameUI('game-container');
+      bonusGame.shuffleShips();
+      bonusGame.startGame();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('lets the player fire again after a hit', () => {
+      const [ship] = bonusGame.getPlayer2Board().getShips();
+      const { x, y } = bonusGame.getPlayer2Board().getShipPlacement(ship);
+
+      document.querySelector(`[data-role="player2-board"] [data-row="${x}"][data-col="${y}"]`).click();
+
+      expect(bonusGame.getGameState().currentPlayer).toBe(player1);
+      expect(byRole('game-status').textContent).toBe('Player 1 hit! Player 1 fires again');
+    });
+
+    test('names the ship it sank and crosses it off the enemy fleet', () => {
+      const [ship] = bonusGame.getPlayer2Board().getShips();
+      const { x, y, orientation } = bonusGame.getPlayer2Board().getShipPlacement(ship);
+      const shipName = bonusGame.getFleet()[ship.type].name;
+
+      for (let i = 0; i < ship.length; i++) {
+        const row = orientation === 'vertical' ? x + i : x;
+        const col = orientation === 'horizontal' ? y + i : y;
+        document.querySelector(`[data-role="player2-board"] [data-row="${row}"][data-col="${col}"]`).click();
+      }
+
+      expect(byRole('game-status').textContent).toBe(`You sank the ${shipName}! Player 1 fires again`);
+      expect(document.querySelector(`[data-role="enemy-fleet"] [data-fleet-type="${ship.type}"]`).classList.contains('sunk')).toBe(true);
+      expect(document.querySelectorAll('[data-role="enemy-fleet"] li.sunk')).toHaveLength(1);
+    });
+
+    test('keeps the computer firing while it hits', () => {
+      // Player 1 misses on purpose, then every computer shot that hits earns another
+      const emptyTarget = [...Array(100).keys()].map(i => ({ x: Math.floor(i / 10), y: i % 10 }))
+        .find(({ x, y }) => !bonusGame.getPlayer2Board().getShipAt(x, y));
+      document.querySelector(`[data-role="player2-board"] [data-row="${emptyTarget.x}"][data-col="${emptyTarget.y}"]`).click();
+
+      while (bonusGame.getGameState().currentPlayer === player2 && bonusGame.getGameState().gameState === 'playing') {
+        jest.advanceTimersByTime(1000);
+      }
+
+      const computerMoves = bonusGame.getEngine().getMoveHistory().filter(move => move.attacker === 'player2');
+      expect(computerMoves.at(-1).result).toBe('miss');
+      expect(computerMoves.slice(0, -1).every(move => move.result !== 'miss')).toBe(true);
+    });
+  });
+
+  describe('Hot-Seat Mode:', () => {
+    let hotSeatGame;
+    let opponent;
+
+    const passDevice = () => byRole('pass-device-ready').click();
+    const shownShips = () => document.querySelectorAll('[data-role="player1-board"] .has-ship').length;
+
+    beforeEach(() => {
+      document.body.innerHTML = '<div id="game-container"></div>';
+      opponent = Player('Player 2', 'human');
+      hotSeatGame = Game(player1, opponent);
+      hotSeatGame.initializeGameUI('game-container');
+    });
+
+    test('runs a placement phase for each player with a hand-over in between', () => {
+      hotSeatGame.shuffleShips();
+      byRole('start-game').click();
+
+      expect(byRole('pass-device')).not.toBeNull();
+      expect(document.querySelectorAll('.grid-cell')).toHaveLength(0);
+
+      passDevice();
+      expect(byRole('player1-board-title').textContent).toBe("Player 2's Board");
+      expect(byRole('game-status').textContent).toContain('Player 2, place your ships');
+      expect(shownShips()).toBe(0);
+
+      byRole('shuffle-ships').click();
+      expect(hotSeatGame.getPlayer2Board().getShips()).toHaveLength(5);
+      expect(hotSeatGame.getPlayer1Board().getShips()).toHaveLength(5);
+
+      byRole('start-game').click();
+      expect(hotSeatGame.getGameState().gameState).toBe('playing');
+      expect(byRole('pass-device')).not.toBeNull();
+    });
+
+    test('hides both fleets between turns and swaps the boards', () => {
+      placeFleet(hotSeatGame.getPlayer1Board());
+      placeFleet(hotSeatGame.getPlayer2Board());
+      byRole('start-game').click();
+      passDevice();
+      byRole('start-game').click();
+      passDevice();
+
+      expect(byRole('player1-board-title').textContent).toBe("Player 1's Board");
+      document.querySelector('[data-role="player2-board"] [data-row="0"][data-col="0"]').click();
+
+      expect(hotSeatGame.getPlayer2Board().isAttacked(0, 0)).toBe(true);
+      expect(byRole('pass-device').textContent).toContain('Player 1 hit!');
+      expect(document.querySelectorAll('.grid-cell')).toHaveLength(0);
+
+      passDevice();
+      expect(byRole('player1-board-title').textContent).toBe("Player 2's Board");
+      expect(document.querySelector('[data-role="player1-board"] [data-row="0"][data-col="0"]').classList.contains('hit')).toBe(true);
+
+      document.querySelector('[data-role="player2-board"] [data-row="9"][data-col="9"]').click();
+      expect(hotSeatGame.getPlayer1Board().isAttacked(9, 9)).toBe(true);
+      expect(hotSeatGame.getPlayer2Board().isAttacked(9, 9)).toBe(false);
+    });
+
+    test('rejects attacks on the board of the player at the device', () => {
+      placeFleet(hotSeatGame.getPlayer1Board());
+      placeFleet(hotSeatGame.getPlayer2Board());
+      byRole('start-game').click();
+      passDevice();
+      byRole('start-game').click();
+      passDevice();
+
+      const ownGrid = document.querySelector('[data-role="player1-board"] .gameboard-grid');
+      ownGrid.querySelector('[data-row="9"][data-col="9"]').click();
+      ownGrid.dispatchEvent(new CustomEvent('boardAttack', {
+        bubbles: true,
+        detail: { row: 9, col: 9, boardElement: ownGrid },
+      }));
+
+      expect(byRole('game-status').textContent).toBe('Cannot attack your own board');
+      expect(hotSeatGame.getPlayer1Board().isAttacked(9, 9)).toBe(false);
+      expect(hotSeatGame.getPlayer2Board().isAttacked(9, 9)).toBe(false);
+      expect(hotSeatGame.getGameState().currentPlayer).toBe(player1);
+    });
+
+    test('keeps player 1 on the placement board until their fleet is complete', () => {
+      byRole('start-game').click();
+
+      expect(byRole('pass-device')).toBeNull();
+      expect(byRole('game-status').textContent).toBe('Please place all ships before starting the game');
+    });
+  });
+
+  describe('Save & Resume:', () => {
+    const SAVE_KEY = 'battleship:savedGame:game-container';
+
+    beforeEach(() => {
+      localStorage.clear();
+      document.body.innerHTML = '<div id="game-container"></div>';
+    });
+
+    test('auto-saves after each move when enabled', () => {
+      const savingGame = Game(player1, player2, { autoSave: true, saveSlot: 'game-container' });
+      savingGame.shuffleShips();
+      savingGame.startGame();
+      savingGame.makeGameAttack(4, 4);
+
+      const saved = JSON.parse(localStorage.getItem(SAVE_KEY));
+      expect(saved.turnCount).toBe(1);
+      expect(saved.boards[1].attacked).toEqual(['4,4']);
+    });
+
+    test('does not save unless enabled', () => {
+      game.shuffleShips();
+      game.startGame();
+      game.makeGameAttack(4, 4);
+
+      expect(localStorage.getItem(SAVE_KEY)).toBeNull();
+    });
+
+    test('offers to resume and restores the saved game', () => {
+      const savingGame = Game(player1, player2, { autoSave: true, saveSlot: 'game-container' });
+      savingGame.shuffleShips();
+      savingGame.startGame();
+      savingGame.makeGameAttack(4, 4);
+      savingGame.generateComputerAttack();
+
+      const newPlayer1 = Player('Player 1', 'human');
+      const newPlayer2 = Player('Player 2', 'computer');
+      const reloadedGame = Game(newPlayer1, newPlayer2, { autoSave: true });
+      reloadedGame.initializeGameUI('game-container');
+
+      expect(byRole('resume-prompt')).not.toBeNull();
+
+      byRole('resume-game').click();
+
+      expect(byRole('resume-prompt')).toBeNull();
+      expect(reloadedGame.getGameState().gameState).toBe('playing');
+      expect(reloadedGame.getGameState().turnCount).toBe(2);
+      expect(reloadedGame.getPlayer2Board().isAttacked(4, 4)).toBe(true);
+      expect(document.querySelectorAll('.ship-item.placed').length).toBe(5);
+    });
+
+    test('discards the saved game on request', () => {
+      const savingGame = Game(player1, player2, { autoSave: true, saveSlot: 'game-container' });
+      savingGame.shuffleShips();
+      savingGame.startGame();
+      savingGame.makeGameAttack(4, 4);
+
+      const reloadedGame = Game(Player('Player 1', 'human'), Player('Player 2', 'computer'), { autoSave: true });
+      reloadedGame.initializeGameUI('game-container');
+      byRole('discard-game').click();
+
+      expect(localStorage.getItem(SAVE_KEY)).toBeNull();
+      expect(reloadedGame.getGameState().gameState).toBe('not playing');
+    });
+
+    test('clears the save when the game is reset', () => {
+      const savingGame = Game(player1, player2, { autoSave: true, saveSlot: 'game-container' });
+      savingGame.shuffleShips();
+      savingGame.startGame();
+      savingGame.makeGameAttack(4, 4);
+      savingGame.resetGame();
+
+      expect(localStorage.getItem(SAVE_KEY)).toBeNull();
+    });
+  });
+
   describe("Turn Management:", () => {
     beforeEach(() => {
       // Set up game with ships
 
-      game.getPlayer1Board().placeShip(Ship("cruiser"), 0, 0, "horizontal");
+      placeFleet(game.getPlayer1Board());
       game.getPlayer2Board().placeShip(Ship("cruiser"), 0, 0, "horizontal");
 
       game.startGame();
@@ -99,10 +651,35 @@ describe('Game Factory:', () => {
     });
   });
 
+  describe('Setup Requirements:', () => {
+    test('does not start until the whole fleet is on the player board', () => {
+      game.getPlayer1Board().placeShip(Ship('cruiser'), 0, 0, 'horizontal');
+      game.startGame();
+
+      expect(game.getGameState().gameState).toBe('not playing');
+    });
+
+    test('shows why the game cannot start', () => {
+      document.body.innerHTML = '<div id="game-container"></div>';
+      game.initializeGameUI('game-container');
+      game.startGame();
+
+      expect(byRole('game-status').textContent).toBe('Please place all ships before starting the game');
+    });
+
+    test('starts after shuffling the player fleet', () => {
+      game.shuffleShips();
+      game.startGame();
+
+      expect(game.getGameState().gameState).toBe('playing');
+    });
+  });
+
   describe('Attack Coordination:', () => {
     beforeEach(() => {
       // Set up game with ships
       const ship = Ship('cruiser');
+      placeFleet(game.getPlayer1Board());
       game.startGame();
       game.getPlayer2Board().resetBoard();
       expect(() => game.getPlayer2Board().placeShip(ship, 0, 0, 'horizontal')).not.toThrow();
@@ -110,7 +687,7 @@ describe('Game Factory:', () => {
 
     test('processes attack on opponent gameboard', () => {
       const result = game.makeGameAttack(0, 0);
-      expect(result).toBe('hit');
+      expect(result.status).toBe('hit');
       expect(game.getPlayer2Board().isAttacked(0, 0)).toBe(true);
     });
 
@@ -125,6 +702,7 @@ describe('Game Factory:', () => {
     beforeEach(() => {
       // Set up game with ships
       const ship = Ship('destroyer');
+      placeFleet(game.getPlayer1Board());
       game.startGame();
       game.getPlayer2Board().resetBoard();
       expect(() => game.getPlayer2Board().placeShip(ship, 0, 0, 'horizontal')).not.toThrow();
@@ -140,6 +718,79 @@ describe('Game Factory:', () => {
       expect(game.getGameState().winner).toBe(player1);
     });
 
+    test('keeps the finished fleet in place when the own board is clicked', () => {
+      document.body.innerHTML = '<div id="game-container"></div>';
+      game.initializeGameUI('game-container');
+      game.makeGameAttack(0, 0);
+      game.makeGameAttack(0, 0);
+      game.makeGameAttack(0, 1);
+
+      document.querySelector('[data-role="player1-board"] [data-row="0"][data-col="0"]').click();
+      expect(game.getPlayer1Board().getShips()).toHaveLength(5);
+      expect(game.getEngine().getGameRecord().layouts[0]).toHaveLength(5);
+      expect(byRole('game-status').textContent).not.toContain('picked up');
+    });
+
+    test('enables the replay viewer once the game is won', () => {
+      document.body.innerHTML = '<div id="game-container"></div>';
+      game.initializeGameUI('game-container');
+      expect(byRole('replay-game').disabled).toBe(true);
+
+      game.makeGameAttack(0, 0);
+      game.makeGameAttack(0, 0);
+      game.makeGameAttack(0, 1);
+
+      expect(byRole('replay-game').disabled).toBe(false);
+      byRole('replay-game').click();
+      expect(document.querySelector('[data-role="replay-container"] .replay-viewer')).not.toBeNull();
+
+      byRole('close-replay').click();
+      expect(byRole('replay-container')).toBeNull();
+    });
+
+    test('shows live match statistics and crosses out sunk ships', () => {
+      document.body.innerHTML = '<div id="game-container"></div>';
+      game.initializeGameUI('game-container');
+      const stat = name => document.querySelector(`[data-role="player1-stats"] [data-stat="${name}"]`).textContent;
+
+      game.makeGameAttack(5, 5);
+      game.makeGameAttack(0, 0);
+      game.makeGameAttack(0, 0);
+      expect([stat('shots'), stat('hits'), stat('misses'), stat('accuracy'), stat('streak')]).toEqual(['2', '1', '1', '50%', '1']);
+      expect(document.querySelectorAll('[data-role="player1-stats"] .fleet-tracker li.sunk')).toHaveLength(0);
+
+      game.makeGameAttack(0, 1);
+      game.makeGameAttack(0, 1);
+      expect(document.querySelector('[data-role="player1-stats"] .fleet-tracker li.sunk').textContent).toContain('Destroyer');
+      expect([stat('sunk'), stat('remaining')]).toEqual(['1', '4']);
+      expect(document.querySelector('[data-role="player2-stats"] [data-stat="shots"]').textContent).toBe('2');
+    });
+
+    test('records the finished game in the human player profile when tracking stats', () => {
+      localStorage.clear();
+      const trackedGame = Game(player1, Player('Player 2', 'computer'), { trackStats: true });
+      placeFleet(trackedGame.getPlayer1Board());
+      trackedGame.startGame();
+      trackedGame.getPlayer2Board().resetBoard();
+      trackedGame.getPlayer2Board().placeShip(Ship('destroyer'), 0, 0, 'horizontal');
+
+      trackedGame.makeGameAttack(0, 0);
+      trackedGame.makeGameAttack(9, 9);
+      trackedGame.makeGameAttack(0, 1);
+
+      const profiles = JSON.parse(localStorage.getItem('battleship:profiles'));
+      expect(Object.keys(profiles)).toEqual(['Player 1']);
+      expect(profiles['Player 1'].games[0]).toMatchObject({ won: true, shots: 2, hits: 2, sinks: { destroyer: [2] } });
+
+      document.body.innerHTML = '<div id="game-container"></div>';
+      trackedGame.initializeGameUI('game-container');
+      byRole('show-stats').click();
+      expect(document.querySelector('.stats-table [data-profile="Player 1"]').textContent).toContain('100%');
+
+      byRole('show-stats').click();
+      expect(byRole('stats-container')).toBeNull();
+    });
+
     test('continues game when ships remain', () => {
       game.makeGameAttack(0, 0); // Player 1 attacks
       game.makeGameAttack(0, 1); // Player 2 attacks      
@@ -151,10 +802,351 @@ describe('Game Factory:', () => {
     });
   });
 
+  describe('Multiple Games:', () => {
+    const cellIn = (container, board, row, col) => container.querySelector(`[data-role="${board}"] [data-row="${row}"][data-col="${col}"]`);
+
+    test('keeps each game to its own container', () => {
+      document.body.innerHTML = '<div class="first"></div><div class="second"></div>';
+      const [first, second] = document.querySelectorAll('div');
+      const otherGame = Game(Player('Player 3', 'human'), Player('Player 4', 'computer'));
+      game.initializeGameUI(first);
+      otherGame.initializeGameUI(second);
+      [game, otherGame].forEach(each => {
+        each.shuffleShips();
+        each.startGame();
+      });
+
+      cellIn(second, 'player2-board', 0, 0).click();
+      expect(otherGame.getPlayer2Board().isAttacked(0, 0)).toBe(true);
+      expect(game.getPlayer2Board().isAttacked(0, 0)).toBe(false);
+      expect(first.querySelector('[data-role="game-status"]').textContent).toBe("Player 1's turn");
+
+      game.destroy();
+      otherGame.destroy();
+    });
+
+    test('does not stack listeners when the UI is rebuilt by a reset', () => {
+      document.body.innerHTML = '<div id="game-container"></div>';
+      game.initializeGameUI('game-container');
+      game.resetGame();
+      game.resetGame();
+      game.shuffleShips();
+      game.startGame();
+
+      document.querySelector('[data-role="player2-board"] [data-row="0"][data-col="0"]').click();
+      expect(game.getEngine().getMoveHistory()).toHaveLength(1);
+      game.destroy();
+    });
+
+    test('removes its UI and listeners on destroy', () => {
+      document.body.innerHTML = '<div id="game-container"></div>';
+      const container = document.getElementById('game-container');
+      game.initializeGameUI(container);
+      game.shuffleShips();
+      game.startGame();
+      const grid = container.querySelector('[data-role="player2-board"] .gameboard-grid');
+
+      game.destroy();
+      container.appendChild(grid);
+      grid.querySelector('[data-row="0"][data-col="0"]').click();
+
+      expect(container.querySelector('.game-controls')).toBeNull();
+      expect(game.getPlayer2Board().isAttacked(0, 0)).toBe(false);
+      expect(container.classList.contains('game-container')).toBe(false);
+    });
+
+    test('destroys one of two games without touching the other', () => {
+      localStorage.clear();
+      document.body.innerHTML = '<div id="first"></div><div id="second"></div>';
+      const first = document.getElementById('first');
+      const second = document.getElementById('second');
+      const firstGame = Game(Player('Player 1', 'human'), Player('Player 2', 'computer'), { autoSave: true });
+      const secondGame = Game(Player('Player 3', 'human'), Player('Player 4', 'computer'), { autoSave: true });
+      firstGame.initializeGameUI(first);
+      secondGame.initializeGameUI(second);
+      expect(document.querySelectorAll('[id]')).toHaveLength(2);
+
+      [firstGame, secondGame].forEach(each => {
+        each.shuffleShips();
+        each.startGame();
+      });
+      cellIn(first, 'player2-board', 0, 0).click();
+      cellIn(second, 'player2-board', 1, 1).click();
+      expect(JSON.parse(localStorage.getItem('battleship:savedGame:first')).boards[1].attacked).toEqual(['0,0']);
+      expect(JSON.parse(localStorage.getItem('battleship:savedGame:second')).boards[1].attacked).toEqual(['1,1']);
+
+      const events = jest.fn();
+      firstGame.on('attack', events);
+      firstGame.destroy();
+      firstGame.getEngine().makeGameAttack(2, 2);
+      expect(events).not.toHaveBeenCalled();
+      expect(JSON.parse(localStorage.getItem('battleship:savedGame:first')).boards[1].attacked).toEqual(['0,0']);
+      expect(first.childElementCount).toBe(0);
+
+      secondGame.generateComputerAttack();
+      cellIn(second, 'player2-board', 3, 3).click();
+      expect(secondGame.getPlayer2Board().isAttacked(3, 3)).toBe(true);
+      expect(byRole('game-status', second).textContent).toMatch(/^Player 3 /);
+      secondGame.destroy();
+    });
+  });
+
+  describe('Seeds:', () => {
+    beforeEach(() => {
+      document.body.innerHTML = '<div id="game-container"></div>';
+    });
+
+    test('shows the seed and links to it', () => {
+      const seeded = Game(Player('Player 1', 'human'), Player('Player 2', 'computer'), { seed: 'tuesday' });
+      seeded.initializeGameUI('game-container');
+
+      expect(byRole('seed-value').textContent).toBe('tuesday');
+      expect(new URL(seeded.getSeedLink()).searchParams.get('seed')).toBe('tuesday');
+      seeded.destroy();
+    });
+
+    test('replays a given seed but picks a fresh one for each new game otherwise', () => {
+      const seeded = Game(Player('Player 1', 'human'), Player('Player 2', 'computer'), { seed: 7 });
+      seeded.resetGame();
+      expect(seeded.getSeed()).toBe(7);
+
+      game.initializeGameUI('game-container');
+      const firstSeed = game.getSeed();
+      game.resetGame();
+      expect(game.getSeed()).not.toBe(firstSeed);
+      expect(byRole('seed-value').textContent).toBe(String(game.getSeed()));
+    });
+
+    test('deals the same computer fleet to everyone playing a seed', () => {
+      const fleetFor = (seed) => {
+        const seeded = Game(Player('Player 1', 'human'), Player('Player 2', 'computer'), { seed });
+        seeded.shuffleShips();
+        seeded.startGame();
+        return seeded.getPlayer2Board().serialize().ships;
+      };
+
+      expect(fleetFor('12345')).toEqual(fleetFor(12345));
+    });
+  });
+
+  describe('Daily Challenge:', () => {
+    let daily;
+
+    const createDaily = () => Game(Player('Player 1', 'human'), Player('Player 2', 'computer'), { challengeDate: '2026-10-19' });
+
+    // Clicks every cell of the computer fleet
+    const sinkFleet = () => {
+      const board = daily.getPlayer2Board();
+      for (let x = 0; x < 10; x++) {
+        for (let y = 0; y < 10; y++) {
+          if (board.getShipAt(x, y)) document.querySelector(`[data-role="player2-board"] [data-row="${x}"][data-col="${y}"]`).click();
+        }
+      }
+    };
+
+    beforeEach(() => {
+      localStorage.clear();
+      document.body.innerHTML = '<div id="game-container"></div>';
+      daily = createDaily();
+      daily.initializeGameUI('game-container');
+    });
+
+    afterEach(() => {
+      daily.destroy();
+    });
+
+    test('starts straight away against the fleet of the day', () => {
+      const other = createDaily();
+      other.startGame();
+
+      expect(daily.getGameState().gameState).toBe('playing');
+      expect(daily.getPlayer2Board().serialize()).toEqual(other.getPlayer2Board().serialize());
+      expect(document.getElementById('game-container').classList.contains('solo-game')).toBe(true);
+    });
+
+    test('never fires back', () => {
+      jest.useFakeTimers();
+      document.querySelector('[data-role="player2-board"] [data-row="9"][data-col="9"]').click();
+      jest.advanceTimersByTime(5000);
+      jest.useRealTimers();
+
+      expect(daily.getGameState().currentPlayer).toBe(daily.getPlayer1());
+      expect(daily.getEngine().getMoveHistory()).toHaveLength(1);
+      expect(byRole('game-status').textContent).toContain('Daily challenge 2026-10-19 - 1 shot fired');
+    });
+
+    test('stores the first result and shows it to share', () => {
+      sinkFleet();
+
+      expect(loadChallengeResults()['2026-10-19']).toMatchObject({ won: true, shots: 17, hits: 17 });
+      expect(byRole('game-status').textContent).toBe('🎉 Fleet sunk in 17 shots! 🎉');
+      expect(document.querySelector('.challenge-share').textContent).toContain('Fleet sunk in 17 shots (100% hits)');
+
+      daily.resetGame();
+      document.querySelector('[data-role="player2-board"] [data-row="9"][data-col="9"]').click();
+      sinkFleet();
+      expect(loadChallengeResults()['2026-10-19'].shots).toBe(17);
+      expect(byRole('solo-result').textContent).toContain('your result for the day stays at 17 shots');
+    });
+  });
+
+  describe('Solo Puzzle:', () => {
+    let solo;
+
+    // Fires at the cells of the computer fleet, or at open water, until the given number of shots
+    const fire = (count, { water = false } = {}) => {
+      const board = solo.getPlayer2Board();
+      const size = board.getGridSize();
+      const cells = [...Array(size * size).keys()]
+        .map(i => ({ x: Math.floor(i / size), y: i % size }))
+        .filter(({ x, y }) => Boolean(board.getShipAt(x, y)) !== water)
+        .slice(0, count);
+      cells.forEach(({ x, y }) => document.querySelector(`[data-role="player2-board"] [data-row="${x}"][data-col="${y}"]`).click());
+    };
+
+    beforeEach(() => {
+      document.body.innerHTML = '<div id="game-container"></div>';
+      solo = Game(Player('Player 1', 'human'), Player('Player 2', 'computer'), { solo: true, gridSize: 8, shotBudget: 20 });
+      solo.initializeGameUI('game-container');
+    });
+
+    afterEach(() => {
+      solo.destroy();
+    });
+
+    test('counts down the shot budget', () => {
+      fire(2, { water: true });
+
+      expect(byRole('game-status').textContent).toBe('Player 1 miss! 2 shots fired - 18 left');
+      expect(solo.getEngine().getShotsRemaining()).toBe(18);
+    });
+
+    test('is lost when the budget runs out', () => {
+      fire(20, { water: true });
+
+      expect(solo.getGameState().winner).toBe(solo.getPlayer2());
+      expect(byRole('game-status').textContent).toBe('Out of shots - the fleet survived');
+      expect(document.querySelector('[data-role="solo-result"] h4').textContent).toBe('Out of shots - the fleet survived');
+      expect(document.querySelector('[data-role="solo-result"] [data-stat="shots"]').textContent).toBe('20 / 20');
+      expect(document.querySelector('[data-role="solo-result"] [data-stat="sunk"]').textContent).toBe('0 / 5');
+    });
+
+    test('shows the result screen on a win and plays again with a new fleet', () => {
+      const fleet = solo.getPlayer2Board().serialize();
+      fire(3, { water: true });
+      fire(17);
+
+      expect(document.querySelector('[data-role="solo-result"] h4').textContent).toBe('Fleet sunk!');
+      expect(document.querySelector('[data-role="solo-result"] [data-stat="shots"]').textContent).toBe('20 / 20');
+      expect(document.querySelector('[data-role="share-challenge"]')).toBeNull();
+
+      byRole('play-again').click();
+      expect(solo.getGameState().gameState).toBe('playing');
+      expect(byRole('solo-result')).toBeNull();
+      expect(solo.getPlayer2Board().serialize()).not.toEqual(fleet);
+    });
+  });
+
+  describe('Fleet Layouts:', () => {
+    const LAYOUT = 'carrier:0,0h battleship:2,0h cruiser:4,0h submarine:6,0h destroyer:0,9v';
+
+    beforeEach(() => {
+      document.body.innerHTML = '<div id="game-container"></div>';
+      game.initializeGameUI('game-container');
+    });
+
+    test('loads a pasted layout and copies it back out', () => {
+      byRole('layout-text').value = LAYOUT;
+      byRole('load-layout').click();
+
+      expect(game.getPlayer1Board().getShipAt(1, 9).type).toBe('destroyer');
+      expect(document.querySelectorAll('.ship-item.placed')).toHaveLength(5);
+      expect(byRole('game-status').textContent).toBe('Layout loaded');
+
+      byRole('layout-text').value = '';
+      byRole('copy-layout').click();
+      expect(byRole('layout-text').value).toBe(LAYOUT);
+      expect(game.exportLayout('grid').split('\n')[0]).toBe('C C C C C . . . . D');
+    });
+
+    test('shows why a layout was rejected and keeps the fleet', () => {
+      game.shuffleShips();
+      const fleet = game.getPlayer1Board().serialize();
+      byRole('layout-text').value = LAYOUT.replace('destroyer:0,9v', 'destroyer:1,0h');
+      byRole('load-layout').click();
+
+      expect(byRole('game-status').textContent).toBe('Ships cannot touch, not even diagonally');
+      expect(game.getPlayer1Board().serialize()).toEqual(fleet);
+    });
+
+    test('locks the layout once the game starts', () => {
+      game.importLayout(LAYOUT);
+      game.startGame();
+
+      expect(() => game.importLayout(LAYOUT)).toThrow('The fleet can no longer be changed');
+    });
+
+    test('places a given enemy layout in every game', () => {
+      const debugGame = Game(Player('Player 1', 'human'), Player('Player 2', 'computer'), { enemyLayout: LAYOUT });
+      debugGame.shuffleShips();
+      debugGame.startGame();
+      expect(debugGame.getPlayer2Board().getShipAt(1, 9).type).toBe('destroyer');
+
+      debugGame.resetGame();
+      debugGame.shuffleShips();
+      debugGame.startGame();
+      expect(debugGame.getPlayer2Board().getShipAt(0, 4).type).toBe('carrier');
+    });
+  });
+
+  describe('Game Events:', () => {
+    test('rejects unknown events and handlers that are not functions', () => {
+      expect(() => game.on('explosion', () => {})).toThrow('Unknown game event: explosion');
+      expect(() => game.on('attack', 'handler')).toThrow('Listener must be a function');
+    });
+
+    test('announces placements, the start, attacks, sinkings, turns and the winner', () => {
+      const events = [];
+      ['shipPlaced', 'gameStarted', 'attack', 'shipSunk', 'turnChanged', 'gameOver'].forEach(type => {
+        game.on(type, payload => events.push({ type, payload }));
+      });
+
+      game.shuffleShips();
+      expect(events.filter(event => event.type === 'shipPlaced')).toHaveLength(5);
+      expect(events[0].payload).toMatchObject({ player: player1, ship: { type: expect.any(String), length: expect.any(Number) } });
+
+      events.length = 0;
+      game.startGame();
+      game.getPlayer2Board().resetBoard();
+      game.getPlayer2Board().placeShip(Ship('destroyer'), 0, 0, 'horizontal');
+      game.makeGameAttack(0, 0);
+      expect(events.map(event => event.type)).toEqual(['gameStarted', 'attack', 'turnChanged']);
+      expect(events[1].payload).toMatchObject({ attacker: player1, x: 0, y: 0, status: 'hit' });
+      expect(events[2].payload).toEqual({ player: player2, previousPlayer: player1 });
+
+      events.length = 0;
+      game.generateComputerAttack();
+      game.makeGameAttack(0, 1);
+      expect(events.map(event => event.type)).toEqual(['attack', 'turnChanged', 'attack', 'shipSunk', 'gameOver']);
+      expect(events[3].payload).toMatchObject({ attacker: player1, owner: player2, ship: { type: 'destroyer', name: 'Destroyer' } });
+      expect(events[4].payload).toEqual({ winner: player1, loser: player2 });
+    });
+
+    test('stops calling a handler once it is removed', () => {
+      const handler = jest.fn();
+      const off = game.on('gameStarted', handler);
+      off();
+
+      game.shuffleShips();
+      game.startGame();
+      expect(handler).not.toHaveBeenCalled();
+    });
+  });
+
   describe('Game State Management:', () => {
     beforeEach(() => {
       // Set up game with ships
-      game.getPlayer1Board().placeShip(Ship('destroyer'), 0, 0, 'horizontal');
+      placeFleet(game.getPlayer1Board());
       game.getPlayer2Board().placeShip(Ship('destroyer'), 0, 0, 'horizontal');
 
       game.startGame();
@@ -20,6 +20,27 @@ describe('Gameboard Factory:', () => {
       expect(gameboard.getShipAt(0, 0)).toBeNull();
       expect(gameboard.getShipAt(9, 9)).toBeNull();
     });
+
+    test('creates a grid of a custom size', () => {
+      const largeBoard = Gameboard(15);
+      const ship = Ship('cruiser');
+
+      expect(largeBoard.getGridSize()).toBe(15);
+      expect(() => largeBoard.placeShip(ship, 14, 12, 'horizontal')).not.toThrow();
+      expect(largeBoard.receiveAttack(14, 14).status).toBe('hit');
+    });
+
+    test('rejects unsupported grid sizes', () => {
+      expect(() => Gameboard(7)).toThrow('Invalid grid size: 7');
+      expect(() => Gameboard(21)).toThrow('Invalid grid size: 21');
+      expect(() => Gameboard(9.5)).toThrow('Invalid grid size: 9.5');
+    });
+
+    test('bounds placement and attacks by the custom size', () => {
+      const smallBoard = Gameboard(8);
+      expect(() => smallBoard.placeShip(Ship('destroyer'), 0, 7, 'horizontal')).toThrow('Ship placement out of bounds');
+      expect(() => smallBoard.receiveAttack(8, 0)).toThrow('Attack coordinates out of bounds');
+    });
   });
 
   describe('Ship Placement:', () => {
@@ -49,6 +70,20 @@ describe('Gameboard Factory:', () => {
       expect(() => gameboard.placeShip(ship, 8, 8, 'vertical')).toThrow('Ship placement out of bounds');
     });
 
+    test('removes a placed ship and frees its cells', () => {
+      const ship = Ship('cruiser');
+      gameboard.placeShip(ship, 2, 3, 'vertical');
+
+      expect(gameboard.removeShip(ship)).toEqual({ x: 2, y: 3, orientation: 'vertical' });
+      expect(gameboard.getShipAt(3, 3)).toBeNull();
+      expect(gameboard.getShips()).toHaveLength(0);
+      expect(() => gameboard.placeShip(Ship('submarine'), 2, 3, 'vertical')).not.toThrow();
+    });
+
+    test('rejects removing a ship that is not on the board', () => {
+      expect(() => gameboard.removeShip(Ship('cruiser'))).toThrow('Ship is not on this board');
+    });
+
     test('prevents overlapping ship placement', () => {
       const ship1 = Ship('cruiser');
       const ship2 = Ship('submarine');
@@ -57,22 +92,61 @@ describe('Gameboard Factory:', () => {
     });
   });
 
+  describe('Placement Rules:', () => {
+    test('keeps ships apart by default, like the boards a game creates', () => {
+      gameboard.placeShip(Ship('cruiser'), 0, 0, 'horizontal');
+
+      expect(gameboard.getPlacementRule()).toBe('no-touch');
+      expect(gameboard.canPlaceShip(Ship('destroyer'), 1, 0, 'horizontal')).toBe(false);
+      expect(Gameboard(10, { placementRule: 'touching' }).canPlaceShip(Ship('destroyer'), 1, 0, 'horizontal')).toBe(true);
+    });
+
+    test('keeps ships apart, even diagonally, with the no-touch rule', () => {
+      const strictBoard = Gameboard(10, { placementRule: 'no-touch' });
+      strictBoard.placeShip(Ship('cruiser'), 2, 2, 'horizontal');
+
+      expect(() => strictBoard.placeShip(Ship('destroyer'), 3, 2, 'horizontal')).toThrow('Ships cannot touch, not even diagonally');
+      expect(strictBoard.getPlacementError(Ship('destroyer'), 3, 5, 'vertical')).toBe('Ships cannot touch, not even diagonally');
+      expect(strictBoard.canPlaceShip(Ship('destroyer'), 4, 2, 'horizontal')).toBe(true);
+    });
+
+    test('allows diagonal contact only with the corner-touch rule', () => {
+      const cornerBoard = Gameboard(10, { placementRule: 'corner-touch' });
+      cornerBoard.placeShip(Ship('cruiser'), 2, 2, 'horizontal');
+
+      expect(cornerBoard.canPlaceShip(Ship('destroyer'), 3, 5, 'vertical')).toBe(true);
+      expect(cornerBoard.getPlacementError(Ship('destroyer'), 3, 3, 'vertical')).toBe('Ships cannot touch side by side, only at the corners');
+    });
+
+    test('reports bounds and overlap before adjacency', () => {
+      const strictBoard = Gameboard(10, { placementRule: 'no-touch' });
+      strictBoard.placeShip(Ship('cruiser'), 0, 0, 'horizontal');
+
+      expect(strictBoard.getPlacementError(Ship('destroyer'), 0, 1, 'vertical')).toBe('Ships cannot overlap');
+      expect(strictBoard.getPlacementError(Ship('destroyer'), -1, 5, 'vertical')).toBe('Ship placement out of bounds');
+    });
+
+    test('rejects unknown rules', () => {
+      expect(() => Gameboard(10, { placementRule: 'anything' })).toThrow('Invalid placement rule: anything');
+    });
+  });
+
   describe('Attack Coordination', () => {
     test('returns miss for empty coordinates', () => {
-      expect(gameboard.receiveAttack(5, 5)).toBe('miss');
+      expect(gameboard.receiveAttack(5, 5).status).toBe('miss');
     });
 
     test('returns hit for attacking a ship', () => {
       const ship = Ship('cruiser');
       gameboard.placeShip(ship, 0, 0, 'horizontal');
-      expect(gameboard.receiveAttack(0, 1)).toBe('hit');
+      expect(gameboard.receiveAttack(0, 1).status).toBe('hit');
     });
 
     test('returns sunk when ship is destroyed', () => {
       const ship = Ship('destroyer');
       gameboard.placeShip(ship, 0, 0, 'horizontal');
       gameboard.receiveAttack(0, 0);
-      expect(gameboard.receiveAttack(0, 1)).toBe('sunk');
+      expect(gameboard.receiveAttack(0, 1).status).toBe('sunk');
       expect(ship.isSunk()).toBe(true);
     });
 
@@ -80,13 +154,38 @@ describe('Gameboard Factory:', () => {
       const ship = Ship('destroyer');
       gameboard.placeShip(ship, 0, 0, 'horizontal');
       gameboard.receiveAttack(0, 0);
-      expect(gameboard.receiveAttack(0, 0)).toBe('already attacked');
+      expect(gameboard.receiveAttack(0, 0).status).toBe('already attacked');
+    });
+
+    test('describes the attack with the ship it hit and whether the fleet is sunk', () => {
+      gameboard.placeShip(Ship('destroyer'), 0, 0, 'horizontal');
+      gameboard.placeShip(Ship('destroyer'), 2, 0, 'horizontal');
+
+      expect(gameboard.receiveAttack(5, 5)).toEqual({ status: 'miss', x: 5, y: 5, ship: null, gameOver: false, winner: null });
+      expect(gameboard.receiveAttack(2, 1).ship).toEqual({ type: 'destroyer', id: 'destroyer-1' });
+
+      gameboard.receiveAttack(2, 0);
+      gameboard.receiveAttack(0, 0);
+      expect(gameboard.receiveAttack(0, 1)).toMatchObject({ status: 'sunk', ship: { id: 'destroyer-0' }, gameOver: true });
     });
 
     test('throws error for out of bounds attack', () => {
       expect(() => gameboard.receiveAttack(-1, 0)).toThrow('Attack coordinates out of bounds');
       expect(() => gameboard.receiveAttack(10, 10)).toThrow('Attack coordinates out of bounds');
     });
+
+    test('records reported hits on hidden ships and reveals a ship once sunk', () => {
+      expect(gameboard.recordAttackResult(4, 4, 'hit').status).toBe('hit');
+      expect(gameboard.getCellState(4, 4)).toBe('hit');
+      expect(gameboard.recordAttackResult(4, 4, 'hit').status).toBe('already attacked');
+
+      const ship = Ship('destroyer');
+      gameboard.recordAttackResult(4, 5, 'sunk', { ship, x: 4, y: 4, orientation: 'horizontal' });
+
+      expect(gameboard.getShipAt(4, 4)).toBe(ship);
+      expect(ship.isSunk()).toBe(true);
+      expect(gameboard.getCellState(4, 5)).toBe('sunk');
+    });
   });
 
   describe('Game State', () => {
@@ -94,7 +193,7 @@ describe('Gameboard Factory:', () => {
       const ship1 = Ship('destroyer');
       const ship2 = Ship('cruiser');
       gameboard.placeShip(ship1, 0, 0, 'horizontal');
-      gameboard.placeShip(ship2, 1, 1, 'vertical');
+      gameboard.placeShip(ship2, 2, 1, 'vertical');
       expect(gameboard.allShipsSunk()).toBe(false);
     });
 
@@ -102,15 +201,39 @@ describe('Gameboard Factory:', () => {
       const ship1 = Ship('destroyer');
       const ship2 = Ship('destroyer');
       gameboard.placeShip(ship1, 0, 0, 'horizontal');
-      gameboard.placeShip(ship2, 1, 1, 'vertical');
+      gameboard.placeShip(ship2, 2, 1, 'vertical');
       gameboard.receiveAttack(0, 0);
       gameboard.receiveAttack(0, 1);
-      gameboard.receiveAttack(1, 1);
       gameboard.receiveAttack(2, 1);
+      gameboard.receiveAttack(3, 1);
 
       expect(gameboard.allShipsSunk()).toBe(true);
     });
 
+    test('reports publicly visible cell states', () => {
+      const ship = Ship('destroyer');
+      gameboard.placeShip(ship, 0, 0, 'horizontal');
+      gameboard.receiveAttack(0, 0);
+      gameboard.receiveAttack(5, 5);
+
+      expect(gameboard.getCellState(0, 0)).toBe('hit');
+      expect(gameboard.getCellState(0, 1)).toBe('unknown');
+      expect(gameboard.getCellState(5, 5)).toBe('miss');
+
+      gameboard.receiveAttack(0, 1);
+      expect(gameboard.getCellState(0, 0)).toBe('sunk');
+      expect(gameboard.getCellState(0, 1)).toBe('sunk');
+    });
+
+    test('lists the lengths of ships still afloat', () => {
+      gameboard.placeShip(Ship('destroyer'), 0, 0, 'horizontal');
+      gameboard.placeShip(Ship('carrier'), 2, 0, 'horizontal');
+      gameboard.receiveAttack(0, 0);
+      gameboard.receiveAttack(0, 1);
+
+      expect(gameboard.getRemainingShipLengths()).toEqual([5]);
+    });
+
     test('tracks attacked coordinates', () => {
       gameboard.receiveAttack(0, 0);
       gameboard.receiveAttack(0, 1);
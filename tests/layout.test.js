@@ -0,0 +1,88 @@
+/**
+ * @jest-environment node
+ */
+// <reference types="jest" />
+// Jest test for reading and writing fleet layouts
+
+import { getLayout, getShipLetters, formatLayout, parseLayout } from '../src/utils/layout.js';
+import { Gameboard } from '../src/modules/gameboard/gameboard.js';
+import { Ship } from '../src/modules/ship/ship.js';
+import { SHIP_TYPES, FLEET_PRESETS } from '../src/utils/constants.js';
+import { normalizeFleet } from '../src/utils/fleet.js';
+
+// No-touch layout of the classic fleet, with one ship standing upright
+const LAYOUT = [
+  { type: 'carrier', x: 0, y: 0, orientation: 'horizontal' },
+  { type: 'battleship', x: 2, y: 0, orientation: 'horizontal' },
+  { type: 'cruiser', x: 4, y: 0, orientation: 'horizontal' },
+  { type: 'submarine', x: 6, y: 0, orientation: 'horizontal' },
+  { type: 'destroyer', x: 0, y: 9, orientation: 'vertical' },
+];
+
+const GRID = [
+  'C C C C C . . . . D',
+  '. . . . . . . . . D',
+  'B B B B . . . . . .',
+  '. . . . . . . . . .',
+  'R R R . . . . . . .',
+  '. . . . . . . . . .',
+  'S S S . . . . . . .',
+  '. . . . . . . . . .',
+  '. . . . . . . . . .',
+  '. . . . . . . . . .',
+].join('\n');
+
+describe('Fleet Layouts:', () => {
+  const fleet = normalizeFleet(SHIP_TYPES);
+
+  test('reads the ships of a board', () => {
+    const board = Gameboard(10);
+    LAYOUT.forEach(({ type, x, y, orientation }) => board.placeShip(Ship(type), x, y, orientation));
+
+    expect(getLayout(board)).toEqual(LAYOUT);
+  });
+
+  test('gives each ship type its own letter', () => {
+    expect(getShipLetters(fleet)).toEqual({ carrier: 'C', battleship: 'B', cruiser: 'R', submarine: 'S', destroyer: 'D' });
+    expect(new Set(Object.values(getShipLetters(normalizeFleet(FLEET_PRESETS.russian)))).size).toBe(Object.keys(FLEET_PRESETS.russian).length);
+  });
+
+  test('writes compact text, JSON and grids', () => {
+    expect(formatLayout(LAYOUT)).toBe('carrier:0,0h battleship:2,0h cruiser:4,0h submarine:6,0h destroyer:0,9v');
+    expect(JSON.parse(formatLayout(LAYOUT, 'json'))).toEqual(LAYOUT);
+    expect(formatLayout(LAYOUT, 'grid', { gridSize: 10, fleet })).toBe(GRID);
+    expect(() => formatLayout(LAYOUT, 'grid')).toThrow('The grid format needs the grid size and fleet');
+    expect(() => formatLayout(LAYOUT, 'xml')).toThrow('Unknown layout format: xml');
+  });
+
+  test('reads back every format it writes', () => {
+    const byType = layout => [...layout].sort((a, b) => a.type.localeCompare(b.type));
+
+    ['text', 'json', 'grid'].forEach(format => {
+      expect(byType(parseLayout(formatLayout(LAYOUT, format, { gridSize: 10, fleet }), fleet))).toEqual(byType(LAYOUT));
+    });
+  });
+
+  test('reads grids written without spaces, splitting runs of one type into ships', () => {
+    const twoDestroyers = normalizeFleet({ destroyer: { name: 'Destroyer', length: 2, count: 2 } });
+    const grid = ['DDDD....', ...Array(7).fill('........')].join('\n');
+
+    expect(parseLayout(grid, twoDestroyers)).toEqual([
+      { type: 'destroyer', x: 0, y: 0, orientation: 'horizontal' },
+      { type: 'destroyer', x: 0, y: 2, orientation: 'horizontal' },
+    ]);
+  });
+
+  test('explains malformed layouts', () => {
+    expect(() => parseLayout('  ', fleet)).toThrow('Layout is empty');
+    expect(() => parseLayout('[{"type":"carrier"', fleet)).toThrow('Layout is not valid JSON');
+    expect(() => parseLayout('[{"type":"carrier","x":0,"y":0,"orientation":"up"}]', fleet)).toThrow('Invalid layout entry');
+    expect(() => parseLayout('carrier:0,0h destroyer:9', fleet)).toThrow('Invalid layout entry: destroyer:9');
+    expect(() => parseLayout('carrier:0,0h constructor:9,9h', fleet)).toThrow('Unknown ship type in layout: constructor');
+    expect(() => parseLayout('[{"type":"toString","x":9,"y":9,"orientation":"horizontal"}]', fleet)).toThrow('Unknown ship type in layout: toString');
+    expect(() => parseLayout('C C C\n. . .', fleet)).toThrow('Layout grid must have as many rows as columns');
+    expect(() => parseLayout(GRID.replace('D', 'X'), fleet)).toThrow('Unknown ship letter in layout: X');
+    expect(() => parseLayout(GRID.replace('C C C C C', 'C C C C .'), fleet)).toThrow('Carrier at 0,0 is 4 cells long, not 5');
+    expect(() => parseLayout(GRID.replace('. . . . . . . . . D', 'C . . . . . . . . D'), fleet)).toThrow('Ships meeting at 0,0 cannot be told apart');
+  });
+});
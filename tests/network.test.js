@@ -0,0 +1,273 @@
+// <reference types="jest" />
+// Jest test for the multiplayer client: connection, network player and online game flow
+
+import { jest } from '@jest/globals';
+import { Connection } from '../src/modules/network/connection.js';
+import { NetworkPlayer } from '../src/modules/player/networkPlayer.js';
+import { Game } from '../src/modules/game/game.js';
+import { Player } from '../src/modules/player/player.js';
+
+// Stands in for the browser WebSocket, letting tests open, drop and answer each socket
+class FakeWebSocket {
+  static OPEN = 1;
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    this.sent = [];
+    this.listeners = {};
+    FakeWebSocket.instances.push(this);
+  }
+
+  addEventListener(type, listener) {
+    (this.listeners[type] ??= []).push(listener);
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {
+    this.readyState = 3;
+    this.emit('close');
+  }
+
+  open() {
+    this.readyState = FakeWebSocket.OPEN;
+    this.emit('open');
+  }
+
+  receive(message) {
+    this.emit('message', { data: JSON.stringify(message) });
+  }
+
+  emit(type, event = {}) {
+    (this.listeners[type] ?? []).forEach(listener => listener(event));
+  }
+}
+
+const latestSocket = () => FakeWebSocket.instances.at(-1);
+
+// Finds an element of a game's UI by its data-role
+const byRole = role => document.querySelector(`[data-role="${role}"]`);
+
+// No-touch layout of the classic fleet
+const FLEET = [
+  { type: 'carrier', x: 0, y: 0, orientation: 'horizontal' },
+  { type: 'destroyer', x: 0, y: 6, orientation: 'horizontal' },
+  { type: 'battleship', x: 2, y: 0, orientation: 'horizontal' },
+  { type: 'cruiser', x: 4, y: 0, orientation: 'horizontal' },
+  { type: 'submarine', x: 6, y: 0, orientation: 'horizontal' },
+];
+
+describe('Multiplayer Client:', () => {
+  let connection;
+
+  beforeEach(() => {
+    FakeWebSocket.instances = [];
+    sessionStorage.clear();
+    connection = Connection('ws://test', { WebSocket: FakeWebSocket });
+  });
+
+  afterEach(() => {
+    connection.close();
+  });
+
+  describe('Connection:', () => {
+    test('joins the room once the socket opens', () => {
+      connection.join('lunch', { gridSize: 10 });
+      latestSocket().open();
+
+      expect(latestSocket().sent[0]).toEqual({ type: 'join', room: 'lunch', token: null, lastSeq: 0, settings: { gridSize: 10 } });
+      expect(connection.isConnected()).toBe(true);
+    });
+
+    test('queues messages while offline and sends them on open', () => {
+      connection.join('lunch');
+      connection.send({ type: 'attack', x: 1, y: 2 });
+      expect(latestSocket().sent).toHaveLength(0);
+
+      latestSocket().open();
+      expect(latestSocket().sent.map(message => message.type)).toEqual(['join', 'attack']);
+    });
+
+    test('skips events it has already seen', () => {
+      const handler = jest.fn();
+      connection.on('attack', handler);
+      connection.join('lunch');
+      latestSocket().open();
+
+      latestSocket().receive({ type: 'attack', seq: 1 });
+      latestSocket().receive({ type: 'attack', seq: 1 });
+      expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    test('reconnects after a drop and rejoins with its token and last event', () => {
+      jest.useFakeTimers();
+      const disconnected = jest.fn();
+      connection.on('disconnected', disconnected);
+      connection.join('lunch');
+      latestSocket().open();
+      latestSocket().receive({ type: 'joined', token: 'seat-token' });
+      latestSocket().receive({ type: 'gameStarted', seq: 3 });
+
+      latestSocket().close();
+      expect(disconnected).toHaveBeenCalled();
+
+      jest.advanceTimersByTime(500);
+      latestSocket().open();
+      expect(latestSocket().sent[0]).toMatchObject({ type: 'join', token: 'seat-token', lastSeq: 3 });
+      expect(FakeWebSocket.instances).toHaveLength(2);
+      jest.useRealTimers();
+    });
+
+    test('stops for good once another tab takes its seat', () => {
+      jest.useFakeTimers();
+      const replaced = jest.fn();
+      const disconnected = jest.fn();
+      connection.on('replaced', replaced);
+      connection.on('disconnected', disconnected);
+      connection.join('lunch');
+      const socket = latestSocket();
+      socket.open();
+      socket.receive({ type: 'joined', token: 'seat-token' });
+
+      // A duplicated tab joins with the same token and the server closes this one
+      const duplicate = Connection('ws://test', { WebSocket: FakeWebSocket });
+      duplicate.join('lunch');
+      latestSocket().open();
+      expect(latestSocket().sent[0].token).toBe('seat-token');
+      socket.receive({ type: 'replaced' });
+      socket.close();
+
+      jest.advanceTimersByTime(10000);
+      expect(replaced).toHaveBeenCalledTimes(1);
+      expect(disconnected).not.toHaveBeenCalled();
+      expect(FakeWebSocket.instances).toHaveLength(2);
+      expect(sessionStorage.getItem('battleship:session:lunch')).toBe('seat-token');
+      jest.useRealTimers();
+    });
+
+    test('remembers the seat token for a reloaded tab', () => {
+      connection.join('lunch');
+      latestSocket().open();
+      latestSocket().receive({ type: 'joined', token: 'seat-token' });
+
+      const reloaded = Connection('ws://test', { WebSocket: FakeWebSocket });
+      reloaded.join('lunch');
+      latestSocket().open();
+      expect(latestSocket().sent[0].token).toBe('seat-token');
+    });
+  });
+
+  describe('NetworkPlayer:', () => {
+    test('requires a connection', () => {
+      expect(() => NetworkPlayer('Opponent')).toThrow('Invalid connection');
+    });
+
+    test('sends fleets and attacks through the connection', () => {
+      const opponent = NetworkPlayer('Opponent', connection);
+      connection.join('lunch');
+      latestSocket().open();
+
+      opponent.sendFleet(FLEET);
+      opponent.sendAttack(4, 5);
+      expect(latestSocket().sent.slice(1)).toEqual([{ type: 'placeFleet', ships: FLEET }, { type: 'attack', x: 4, y: 5 }]);
+      expect(opponent.type).toBe('network');
+      expect(() => opponent.generateAttack()).toThrow('Network players attack from their own browser');
+    });
+  });
+
+  describe('Online Game:', () => {
+    let game;
+    let socket;
+
+    const cell = (board, row, col) => document.querySelector(`[data-role="${board}"] [data-row="${row}"][data-col="${col}"]`);
+
+    beforeEach(() => {
+      document.body.innerHTML = '<div id="game-container"></div>';
+      const opponent = NetworkPlayer('Opponent', connection);
+      game = Game(Player('Player 1', 'human'), opponent);
+      game.initializeGameUI('game-container');
+      opponent.join('lunch');
+      socket = latestSocket();
+      socket.open();
+      socket.receive({ type: 'joined', token: 'seat-token', seat: 'player1' });
+    });
+
+    test('sends the fleet and locks placement until the server starts the game', () => {
+      game.shuffleShips();
+      byRole('start-game').click();
+
+      expect(socket.sent.at(-1).type).toBe('placeFleet');
+      expect(socket.sent.at(-1).ships).toHaveLength(5);
+      expect(byRole('game-status').textContent).toBe('Fleet sent - waiting for Opponent');
+
+      const layout = game.getPlayer1Board().serialize();
+      game.shuffleShips();
+      expect(game.getPlayer1Board().serialize()).toEqual(layout);
+
+      socket.receive({ type: 'fleetAccepted', ships: socket.sent.at(-1).ships, seq: 1 });
+      socket.receive({ type: 'gameStarted', yourTurn: false, seq: 2 });
+      expect(game.getGameState().gameState).toBe('playing');
+      expect(game.getGameState().currentPlayer).toBe(game.getPlayer2());
+    });
+
+    test('fires through the server and shows what it reports', () => {
+      game.shuffleShips();
+      byRole('start-game').click();
+      socket.receive({ type: 'fleetAccepted', ships: socket.sent.at(-1).ships, seq: 1 });
+      socket.receive({ type: 'gameStarted', yourTurn: true, seq: 2 });
+
+      cell('player2-board', 0, 6).click();
+      expect(socket.sent.at(-1)).toEqual({ type: 'attack', x: 0, y: 6 });
+      expect(game.getPlayer2Board().isAttacked(0, 6)).toBe(false);
+
+      socket.receive({ type: 'attack', by: 'you', x: 0, y: 6, result: 'hit', sunkShip: null, winner: null, seq: 3 });
+      expect(cell('player2-board', 0, 6).classList.contains('hit')).toBe(true);
+      expect(game.getPlayer1().score).toBe(1);
+      expect(game.getGameState().currentPlayer).toBe(game.getPlayer2());
+
+      // The shuffled fleet decides where the opponent's shot misses
+      const water = [...Array(100).keys()].map(i => ({ x: Math.floor(i / 10), y: i % 10 }))
+        .find(({ x, y }) => !game.getPlayer1Board().getShipAt(x, y));
+      socket.receive({ type: 'attack', by: 'opponent', ...water, result: 'miss', sunkShip: null, winner: null, seq: 4 });
+      expect(game.getPlayer1Board().isAttacked(water.x, water.y)).toBe(true);
+      expect(byRole('game-status').textContent).toBe('Opponent miss!');
+
+      socket.receive({ type: 'attack', by: 'you', x: 0, y: 7, result: 'sunk', sunkShip: FLEET[1], winner: 'you', seq: 5 });
+      expect(game.getPlayer2Board().getShipAt(0, 6).type).toBe('destroyer');
+      expect(game.getGameState().winner).toBe(game.getPlayer1());
+    });
+
+    test('rebuilds the fleet from the server after a reload', () => {
+      socket.receive({ type: 'fleetAccepted', ships: FLEET, seq: 1 });
+      socket.receive({ type: 'gameStarted', yourTurn: true, seq: 2 });
+
+      expect(game.getPlayer1Board().getShips()).toHaveLength(5);
+      expect(game.getGameState().gameState).toBe('playing');
+      expect(document.querySelectorAll('.ship-item.placed')).toHaveLength(5);
+    });
+
+    test('stops playing once another tab takes the seat', () => {
+      socket.receive({ type: 'fleetAccepted', ships: FLEET, seq: 1 });
+      socket.receive({ type: 'gameStarted', yourTurn: true, seq: 2 });
+      socket.receive({ type: 'replaced' });
+      socket.close();
+
+      const sent = socket.sent.length;
+      cell('player2-board', 9, 9).click();
+      expect(socket.sent).toHaveLength(sent);
+      expect(byRole('game-status').textContent).toBe('This game was opened in another tab');
+    });
+
+    test('keeps online games from being reset', () => {
+      socket.receive({ type: 'fleetAccepted', ships: FLEET, seq: 1 });
+      byRole('reset-game').click();
+
+      expect(game.getPlayer1Board().getShips()).toHaveLength(5);
+      expect(byRole('game-status').textContent).toBe('Online games cannot be reset');
+    });
+  });
+});
@@ -4,6 +4,9 @@
 import { Player } from '../src/modules/player/player.js';
 import { Gameboard } from '../src/modules/gameboard/gameboard.js';
 import { Ship } from '../src/modules/ship/ship.js';
+import { RandomStrategy, HuntTargetStrategy, ProbabilityStrategy, AI_STRATEGIES } from '../src/modules/player/strategies.js';
+import { computeProbabilityMap } from '../src/utils/probability.js';
+import { createRandom } from '../src/utils/random.js';
 
 describe('Player Factory:', () => {
   let gameboard;
@@ -43,7 +46,7 @@ describe('Player Factory:', () => {
       gameboard.placeShip(ship, 0, 0, 'horizontal');
       const attackResult = player.makeAttack(0, 0, gameboard);
 
-      expect(attackResult).toBe('hit');
+      expect(attackResult.status).toBe('hit');
       expect(player.score).toBe(1);
     });
 
@@ -53,7 +56,7 @@ describe('Player Factory:', () => {
       gameboard.placeShip(ship, 0, 0, 'horizontal');
       const attackResult = player.makeAttack(1, 1, gameboard);
 
-      expect(attackResult).toBe('miss');
+      expect(attackResult.status).toBe('miss');
       expect(player.score).toBe(0);
     });
   });
@@ -69,6 +72,18 @@ describe('Player Factory:', () => {
       expect(attack.y).toBeLessThan(10);
     });
 
+    test('keeps random attacks within a custom grid size', () => {
+      const player = Player('Computer', 'computer');
+      const smallBoard = Gameboard(8);
+
+      for (let i = 0; i < 64; i++) {
+        const attack = player.generateAttack(smallBoard);
+        expect(attack.x).toBeLessThan(8);
+        expect(attack.y).toBeLessThan(8);
+        player.makeAttack(attack.x, attack.y, smallBoard);
+      }
+    });
+
     test('does not attack same coordinate twice', () => {
       const player = Player('Computer', 'computer');
       const attack1 = player.generateAttack(gameboard);
@@ -83,7 +98,7 @@ describe('Player Factory:', () => {
       gameboard.placeShip(ship, 0, 0, 'horizontal');
       
       const result = player.makeAttack(0, 0, gameboard);
-      expect(result).toBe('hit');
+      expect(result.status).toBe('hit');
       expect(player.score).toBe(1);
     });
 
@@ -93,9 +108,17 @@ describe('Player Factory:', () => {
       gameboard.placeShip(ship, 0, 0, 'horizontal');
       
       const result = player.makeAttack(1, 1, gameboard);
-      expect(result).toBe('miss');
+      expect(result.status).toBe('miss');
       expect(player.score).toBe(0);
     });
+
+    test('names itself the winner when it sinks the last ship', () => {
+      const player = Player('Computer', 'computer');
+      gameboard.placeShip(Ship('destroyer'), 0, 0, 'horizontal');
+
+      expect(player.makeAttack(0, 0, gameboard).winner).toBeNull();
+      expect(player.makeAttack(0, 1, gameboard)).toMatchObject({ status: 'sunk', gameOver: true, winner: player });
+    });
   });
 
   describe('Computer Smart Targeting:', () => {
@@ -133,6 +156,20 @@ describe('Player Factory:', () => {
       expect(nextAttack.x).toBe(5); // Should stay in the same row
     });
 
+    test('hunts along the edge of a larger grid', () => {
+      const player = Player('Computer', 'computer');
+      const largeBoard = Gameboard(15);
+      const ship = Ship('cruiser');
+      largeBoard.placeShip(ship, 14, 11, 'horizontal');
+
+      player.makeAttack(14, 11, largeBoard);
+      player.makeAttack(14, 12, largeBoard);
+
+      const nextAttack = player.generateAttack(largeBoard);
+      expect(nextAttack.x).toBe(14);
+      expect(nextAttack.y === 10 || nextAttack.y === 13).toBe(true);
+    });
+
     test('switches to random targeting after sinking a ship', () => {
       const player = Player('Computer', 'computer');
       const ship = Ship('destroyer');
@@ -142,12 +179,142 @@ describe('Player Factory:', () => {
       player.makeAttack(5, 5, gameboard);
       const result = player.makeAttack(5, 6, gameboard);
 
-      expect(result).toBe('sunk');
+      expect(result.status).toBe('sunk');
 
       player.generateAttack(gameboard);
       
       expect(player.isHunting).toBe(false); // Should switch to random targeting
     });
   });
-});
 
+  describe('AI Strategies:', () => {
+    test('uses the hunt/target strategy for computers by default', () => {
+      expect(Player('Computer', 'computer').level).toBe('medium');
+      expect(AI_STRATEGIES.medium().level).toBe('medium');
+    });
+
+    test('rejects malformed strategies', () => {
+      expect(() => Player('Computer', 'computer', {})).toThrow('Invalid AI strategy');
+    });
+
+    test('repeats its shots from a seeded random source', () => {
+      const shots = (player) => {
+        const board = Gameboard();
+        board.placeShip(Ship('carrier'), 4, 2, 'horizontal');
+        return Array.from({ length: 20 }, () => {
+          const { x, y } = player.generateAttack(board);
+          player.makeAttack(x, y, board);
+          return { x, y };
+        });
+      };
+      const first = shots(Player('Computer', 'computer', HuntTargetStrategy(createRandom(9))));
+
+      const reseeded = Player('Computer', 'computer', HuntTargetStrategy());
+      reseeded.setRandom(createRandom(9));
+      expect(shots(reseeded)).toEqual(first);
+      expect(() => reseeded.setRandom(42)).toThrow('Random source must be a function');
+    });
+
+    test('easy strategy keeps firing randomly after a hit', () => {
+      const player = Player('Computer', 'computer', RandomStrategy());
+      gameboard.placeShip(Ship('cruiser'), 5, 5, 'horizontal');
+      player.makeAttack(5, 5, gameboard);
+
+      expect(player.level).toBe('easy');
+      expect(player.isHunting).toBe(false);
+      expect(player.targetQueue).toEqual([]);
+    });
+
+    test('medium strategy exposes its hunt state through the player', () => {
+      const player = Player('Computer', 'computer', HuntTargetStrategy());
+      gameboard.placeShip(Ship('cruiser'), 5, 5, 'horizontal');
+      player.makeAttack(5, 5, gameboard);
+
+      expect(player.isHunting).toBe(true);
+      expect(player.lastHit).toEqual({ x: 5, y: 5 });
+      expect(player.hitHistory).toEqual([{ x: 5, y: 5 }]);
+    });
+
+    test('hard strategy hunts on the parity of the smallest remaining ship', () => {
+      const player = Player('Computer', 'computer', ProbabilityStrategy());
+      gameboard.placeShip(Ship('destroyer'), 9, 8, 'horizontal');
+
+      for (let i = 0; i < 10; i++) {
+        const attack = player.generateAttack(gameboard);
+        expect((attack.x + attack.y) % 2).toBe(0);
+      }
+    });
+
+    test('hard strategy finishes off an unresolved hit', () => {
+      const player = Player('Computer', 'computer', ProbabilityStrategy());
+      gameboard.placeShip(Ship('cruiser'), 5, 5, 'horizontal');
+      player.makeAttack(5, 6, gameboard);
+
+      const nextAttack = player.generateAttack(gameboard);
+      const neighbours = [{ x: 4, y: 6 }, { x: 6, y: 6 }, { x: 5, y: 5 }, { x: 5, y: 7 }];
+
+      expect(neighbours).toContainEqual(nextAttack);
+    });
+
+    test('hard strategy sinks a fleet without repeating shots', () => {
+      const player = Player('Computer', 'computer', ProbabilityStrategy());
+      gameboard.placeShip(Ship('carrier'), 1, 1, 'vertical');
+      gameboard.placeShip(Ship('destroyer'), 8, 6, 'horizontal');
+
+      let shots = 0;
+      while (!gameboard.allShipsSunk()) {
+        const { x, y } = player.generateAttack(gameboard);
+        expect(player.makeAttack(x, y, gameboard).status).not.toBe('already attacked');
+        shots++;
+      }
+
+      expect(shots).toBeLessThan(100);
+    });
+  });
+
+  describe('Salvo Targeting:', () => {
+    test('picks a batch of distinct unattacked targets', () => {
+      const player = Player('Computer', 'computer', ProbabilityStrategy());
+      gameboard.receiveAttack(0, 0);
+
+      const targets = player.generateAttacks(gameboard, 5);
+      const keys = new Set(targets.map(({ x, y }) => `${x},${y}`));
+
+      expect(targets).toHaveLength(5);
+      expect(keys.size).toBe(5);
+      expect(keys.has('0,0')).toBe(false);
+    });
+
+    test('spreads a volley around a hit instead of repeating a target', () => {
+      const player = Player('Computer', 'computer');
+      gameboard.placeShip(Ship('cruiser'), 5, 5, 'horizontal');
+      player.makeAttack(5, 5, gameboard);
+
+      const targets = player.generateAttacks(gameboard, 4);
+
+      expect(targets).toEqual(expect.arrayContaining([{ x: 4, y: 5 }, { x: 6, y: 5 }, { x: 5, y: 4 }, { x: 5, y: 6 }]));
+    });
+  });
+
+  describe('Probability Map:', () => {
+    test('counts the placements covering each cell', () => {
+      gameboard.placeShip(Ship('destroyer'), 9, 8, 'horizontal');
+      const map = computeProbabilityMap(gameboard);
+
+      expect(map[0][0]).toBe(2);
+      expect(map[5][5]).toBe(4);
+    });
+
+    test('excludes misses and weights unresolved hits', () => {
+      gameboard.placeShip(Ship('destroyer'), 5, 5, 'horizontal');
+      gameboard.receiveAttack(0, 0);
+      gameboard.receiveAttack(5, 5);
+      const map = computeProbabilityMap(gameboard);
+
+      expect(map[0][0]).toBe(0);
+      expect(map[0][1]).toBe(2);
+      expect(map[5][5]).toBe(0);
+      expect(map[5][6]).toBeGreaterThan(map[0][1]);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+// <reference types="jest" />
+// Jest test for the replay module
+
+import { jest } from '@jest/globals';
+import { Replay } from '../src/modules/replay/replay.js';
+import { GameEngine } from '../src/modules/engine/engine.js';
+import { Player } from '../src/modules/player/player.js';
+
+// Plays a computer-vs-computer game to the end and returns its engine
+const playFullGame = () => {
+  const engine = GameEngine(Player('Bot 1', 'computer'), Player('Bot 2', 'computer'));
+  engine.shuffleShips(engine.getPlayer1Board());
+  engine.startGame();
+  while (engine.getGameState().gameState === 'playing') engine.generateComputerAttack();
+  return engine;
+};
+
+describe('Replay Factory:', () => {
+  let engine;
+  let replay;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="replay-container"></div>';
+    engine = playFullGame();
+    replay = Replay(engine.getGameRecord());
+  });
+
+  afterEach(() => {
+    replay.pause();
+  });
+
+  test('rejects invalid records', () => {
+    expect(() => Replay({})).toThrow('Invalid game record');
+  });
+
+  test('starts before the first move with ships in their starting positions', () => {
+    const [board1, board2] = replay.getBoards();
+
+    expect(replay.getPosition()).toBe(0);
+    expect(replay.getCurrentMove()).toBeNull();
+    expect(board1.getShips()).toHaveLength(5);
+    expect(board2.getShips()).toHaveLength(5);
+    expect(board2.allShipsSunk()).toBe(false);
+  });
+
+  test('steps forward through moves on both boards', () => {
+    const [first, second] = engine.getMoveHistory();
+
+    replay.stepForward();
+    expect(replay.getCurrentMove()).toEqual(first);
+    expect(replay.getBoards()[1].isAttacked(first.x, first.y)).toBe(true);
+
+    replay.stepForward();
+    expect(replay.getCurrentMove()).toEqual(second);
+    expect(replay.getBoards()[0].isAttacked(second.x, second.y)).toBe(true);
+  });
+
+  test('steps backward by undoing the last move', () => {
+    const [first] = engine.getMoveHistory();
+
+    replay.stepForward();
+    replay.stepForward();
+    replay.stepBackward();
+
+    expect(replay.getPosition()).toBe(1);
+    expect(replay.getBoards()[1].isAttacked(first.x, first.y)).toBe(true);
+    expect(replay.getBoards()[0].getShips().every(ship => ship.getHits() <= 1)).toBe(true);
+  });
+
+  test('reaches the final position of the game', () => {
+    replay.goTo(replay.getMoveCount());
+    const winnerIndex = engine.getGameState().winner === engine.getPlayer1() ? 1 : 0;
+
+    expect(replay.getBoards()[winnerIndex].allShipsSunk()).toBe(true);
+    expect(replay.goTo(replay.getMoveCount() + 10)).toBe(replay.getMoveCount());
+  });
+
+  test('keeps the recorded hits on ships an online record never revealed', () => {
+    const destroyerAt = (x, y) => [{ type: 'destroyer', x, y, orientation: 'horizontal' }];
+    const onlineReplay = Replay({
+      ...engine.getGameRecord(),
+      layouts: [destroyerAt(0, 0), destroyerAt(5, 5)],
+      moves: [
+        { turn: 1, attacker: 'player1', x: 2, y: 2, result: 'hit', sunkShipType: null },
+        { turn: 1, attacker: 'player2', x: 9, y: 9, result: 'miss', sunkShipType: null },
+        { turn: 2, attacker: 'player1', x: 5, y: 5, result: 'hit', sunkShipType: null },
+        { turn: 2, attacker: 'player2', x: 9, y: 8, result: 'miss', sunkShipType: null },
+        { turn: 3, attacker: 'player1', x: 5, y: 6, result: 'sunk', sunkShipType: 'destroyer' },
+      ],
+    });
+    onlineReplay.createViewer('replay-container');
+    onlineReplay.goTo(onlineReplay.getMoveCount());
+
+    const opponentBoard = onlineReplay.getBoards()[1];
+    expect(opponentBoard.getCellState(2, 2)).toBe('hit');
+    expect(opponentBoard.getCellState(5, 6)).toBe('sunk');
+    expect(document.querySelector('[data-role="replay-board-2"] [data-row="2"][data-col="2"]').classList.contains('hit')).toBe(true);
+
+    onlineReplay.goTo(0);
+    expect(opponentBoard.getCellState(2, 2)).toBe('unknown');
+    onlineReplay.destroyViewer();
+  });
+
+  test('plays and pauses at the selected speed', () => {
+    jest.useFakeTimers();
+    replay.setSpeed(4);
+    replay.play();
+    jest.advanceTimersByTime(1000);
+
+    expect(replay.getPosition()).toBe(4);
+    replay.pause();
+    jest.advanceTimersByTime(1000);
+    expect(replay.getPosition()).toBe(4);
+    jest.useRealTimers();
+  });
+
+  test('rejects unsupported speeds', () => {
+    expect(() => replay.setSpeed(3)).toThrow('Unsupported replay speed: 3');
+  });
+
+  test('renders both boards with playback controls', () => {
+    replay.createViewer('replay-container');
+    document.querySelector('[data-action="forward"]').click();
+
+    expect(document.querySelectorAll('[data-role="replay-board-1"] .grid-cell').length).toBe(100);
+    expect(document.querySelector('.replay-move').textContent).toMatch(/^Move 1\//);
+
+    replay.destroyViewer();
+    expect(document.querySelector('.replay-viewer')).toBeNull();
+  });
+});
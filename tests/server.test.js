@@ -0,0 +1,265 @@
+/**
+ * @jest-environment node
+ */
+// <reference types="jest" />
+// Jest test for the multiplayer server rooms and lobby
+
+import { jest } from '@jest/globals';
+import { Room } from '../server/room.js';
+import { Lobby } from '../server/lobby.js';
+
+// No-touch layout of the classic fleet
+const FLEET = [
+  { type: 'carrier', x: 0, y: 0, orientation: 'horizontal' },
+  { type: 'destroyer', x: 0, y: 6, orientation: 'horizontal' },
+  { type: 'battleship', x: 2, y: 0, orientation: 'horizontal' },
+  { type: 'cruiser', x: 4, y: 0, orientation: 'horizontal' },
+  { type: 'submarine', x: 6, y: 0, orientation: 'horizontal' },
+];
+
+// Records every message the server sends to it
+const FakeSocket = () => {
+  const messages = [];
+  return {
+    messages,
+    send: (data) => messages.push(JSON.parse(data)),
+    close: jest.fn(),
+    last: (type) => messages.filter(message => message.type === type).at(-1),
+  };
+};
+
+describe('Multiplayer Server:', () => {
+  describe('Room:', () => {
+    let room;
+    let alice;
+    let bob;
+
+    const startGame = () => {
+      room.handleMessage(alice, { type: 'placeFleet', ships: FLEET });
+      room.handleMessage(bob, { type: 'placeFleet', ships: FLEET });
+    };
+
+    beforeEach(() => {
+      room = Room('lunch');
+      alice = FakeSocket();
+      bob = FakeSocket();
+      room.join(alice);
+      room.join(bob);
+    });
+
+    test('seats two players and turns away a third', () => {
+      expect(alice.last('joined')).toMatchObject({ room: 'lunch', seat: 'player1' });
+      expect(bob.last('joined')).toMatchObject({ seat: 'player2' });
+      expect(alice.last('opponentJoined')).toBeDefined();
+
+      expect(() => room.join(FakeSocket())).toThrow('Room is full');
+    });
+
+    test('rejects an invalid fleet without keeping any of it', () => {
+      room.handleMessage(alice, { type: 'placeFleet', ships: FLEET.slice(0, 3) });
+      expect(alice.last('error').message).toBe('Please place all ships before starting the game');
+
+      room.handleMessage(alice, { type: 'placeFleet', ships: [{ ...FLEET[0], x: 1 }, ...FLEET.slice(1)] });
+      expect(alice.last('error').message).toBe('Ships cannot touch, not even diagonally');
+      expect(alice.last('fleetAccepted')).toBeUndefined();
+    });
+
+    test('rejects ship types inherited from Object.prototype', () => {
+      room.handleMessage(alice, { type: 'placeFleet', ships: [...FLEET, { type: 'constructor', x: 9, y: 9, orientation: 'horizontal' }] });
+      expect(alice.last('error').message).toBe('Invalid ship type: constructor');
+
+      room.handleMessage(alice, { type: 'placeFleet', ships: [...FLEET, { type: 'toString', x: 9, y: 9, orientation: 'horizontal' }] });
+      expect(alice.last('error').message).toBe('Invalid ship type: toString');
+      expect(alice.last('fleetAccepted')).toBeUndefined();
+    });
+
+    test('starts once both fleets are accepted, player 1 first', () => {
+      room.handleMessage(alice, { type: 'placeFleet', ships: FLEET });
+      expect(alice.last('fleetAccepted').ships).toEqual(FLEET);
+      expect(alice.last('waiting')).toBeDefined();
+      expect(bob.last('gameStarted')).toBeUndefined();
+
+      room.handleMessage(bob, { type: 'placeFleet', ships: FLEET });
+      expect(alice.last('gameStarted').yourTurn).toBe(true);
+      expect(bob.last('gameStarted').yourTurn).toBe(false);
+    });
+
+    test('never sends a player the opponent fleet', () => {
+      startGame();
+
+      expect(bob.messages.filter(message => message.type === 'fleetAccepted')).toHaveLength(1);
+      expect(JSON.stringify(alice.messages.filter(message => message.type !== 'fleetAccepted'))).not.toContain('carrier');
+    });
+
+    test('resolves attacks in turn and tells both players', () => {
+      startGame();
+
+      room.handleMessage(bob, { type: 'attack', x: 0, y: 0 });
+      expect(bob.last('error').message).toBe('It is not your turn');
+
+      room.handleMessage(alice, { type: 'attack', x: 9, y: 9 });
+      expect(alice.last('attack')).toMatchObject({ by: 'you', x: 9, y: 9, result: 'miss', sunkShip: null, winner: null });
+      expect(bob.last('attack')).toMatchObject({ by: 'opponent', x: 9, y: 9, result: 'miss' });
+
+      room.handleMessage(bob, { type: 'attack', x: 0, y: 0 });
+      room.handleMessage(alice, { type: 'attack', x: 9, y: 9 });
+      expect(alice.last('error').message).toBe('That cell was already attacked');
+    });
+
+    test('plays by the compared settings only, ignoring other engine options', () => {
+      room = Room('odd', { shotsPerTurn: 'ships', solo: true, shotBudget: 17, seed: 7 });
+      expect(room.matchesSettings({})).toBe(true);
+
+      [alice, bob] = [FakeSocket(), FakeSocket()];
+      room.join(alice);
+      room.join(bob);
+      startGame();
+
+      room.handleMessage(alice, { type: 'attack', x: 9, y: 9 });
+      room.handleMessage(alice, { type: 'attack', x: 9, y: 8 });
+      expect(alice.last('error').message).toBe('It is not your turn');
+    });
+
+    test('reveals a ship only once it is sunk and declares the winner', () => {
+      startGame();
+
+      // Alice sinks the whole fleet while Bob fires at empty water
+      const targets = FLEET.flatMap(({ type, x, y }) => {
+        const length = { carrier: 5, battleship: 4, cruiser: 3, submarine: 3, destroyer: 2 }[type];
+        return Array.from({ length }, (_, i) => [x, y + i]);
+      });
+      targets.forEach(([x, y], index) => {
+        room.handleMessage(alice, { type: 'attack', x, y });
+        if (index < targets.length - 1) room.handleMessage(bob, { type: 'attack', x: 9 - Math.floor(index / 10), y: index % 10 });
+      });
+
+      const aliceAttacks = alice.messages.filter(message => message.type === 'attack' && message.by === 'you');
+      expect(aliceAttacks[0]).toMatchObject({ result: 'hit', sunkShip: null });
+      expect(aliceAttacks[4]).toMatchObject({ result: 'sunk', sunkShip: FLEET[0] });
+      expect(alice.last('attack').winner).toBe('you');
+      expect(bob.last('attack').winner).toBe('opponent');
+      expect(room.isFinished()).toBe(true);
+    });
+
+    test('replays missed events to a player rejoining with their token', () => {
+      startGame();
+      const { token } = bob.last('joined');
+      room.leave(bob);
+      expect(alice.last('opponentLeft')).toBeDefined();
+
+      room.handleMessage(alice, { type: 'attack', x: 9, y: 9 });
+
+      const rejoined = FakeSocket();
+      room.join(rejoined, { token, lastSeq: bob.last('gameStarted').seq });
+      expect(rejoined.last('joined').seat).toBe('player2');
+      expect(rejoined.messages.filter(message => message.seq !== undefined).map(message => message.type)).toEqual(['attack']);
+      expect(rejoined.last('attack')).toMatchObject({ by: 'opponent', x: 9, y: 9 });
+
+      const reloaded = FakeSocket();
+      room.join(reloaded, { token });
+      expect(rejoined.close).toHaveBeenCalled();
+      expect(reloaded.last('fleetAccepted').ships).toEqual(FLEET);
+    });
+
+    test('tells a socket its seat was taken by another on the same token', () => {
+      const { token } = alice.last('joined');
+      const duplicate = FakeSocket();
+      room.join(duplicate, { token });
+
+      expect(alice.last('replaced')).toBeDefined();
+      expect(alice.close).toHaveBeenCalled();
+      expect(duplicate.last('joined').seat).toBe('player1');
+      expect(duplicate.last('replaced')).toBeUndefined();
+
+      room.handleMessage(alice, { type: 'placeFleet', ships: FLEET });
+      expect(alice.last('error').message).toBe('Join a room first');
+    });
+  });
+
+  describe('Lobby:', () => {
+    let lobby;
+
+    const join = (socket, room, settings = {}) => {
+      lobby.receive(socket, JSON.stringify({ type: 'join', room, settings }));
+    };
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      lobby = Lobby({ emptyRoomTTL: 1000 });
+    });
+
+    afterEach(() => {
+      lobby.close();
+      jest.useRealTimers();
+    });
+
+    test('creates a room on first join and routes game messages to it', () => {
+      const alice = FakeSocket();
+      join(alice, 'lunch');
+      lobby.receive(alice, JSON.stringify({ type: 'placeFleet', ships: FLEET }));
+
+      expect(lobby.getRoomCount()).toBe(1);
+      expect(alice.last('fleetAccepted')).toBeDefined();
+    });
+
+    test('rejects malformed messages and players with different settings', () => {
+      const alice = FakeSocket();
+      lobby.receive(alice, 'not json');
+      expect(alice.last('error').message).toBe('Invalid message');
+
+      ['null', '[]', '42'].forEach(data => {
+        alice.messages.length = 0;
+        lobby.receive(alice, data);
+        expect(alice.last('error').message).toBe('Invalid message');
+      });
+
+      lobby.receive(alice, JSON.stringify({ type: 'attack', x: 0, y: 0 }));
+      expect(alice.last('error').message).toBe('Join a room first');
+
+      join(alice, 'lunch', { gridSize: 10 });
+      const bob = FakeSocket();
+      join(bob, 'lunch', { gridSize: 12 });
+      expect(bob.last('error').message).toBe('Game settings do not match the room');
+    });
+
+    test('gives a finished room\'s name to new players while its own players can still rejoin', () => {
+      const settings = { gridSize: 8, fleet: { boat: { name: 'Boat', length: 1 } } };
+      const [alice, bob, carol] = [FakeSocket(), FakeSocket(), FakeSocket()];
+      join(alice, 'lunch', settings);
+      join(bob, 'lunch', settings);
+      [alice, bob].forEach(socket => {
+        lobby.receive(socket, JSON.stringify({ type: 'placeFleet', ships: [{ type: 'boat', x: 0, y: 0, orientation: 'horizontal' }] }));
+      });
+      lobby.receive(alice, JSON.stringify({ type: 'attack', x: 0, y: 0 }));
+      expect(alice.last('attack').winner).toBe('you');
+
+      const rejoined = FakeSocket();
+      lobby.disconnect(alice);
+      lobby.receive(rejoined, JSON.stringify({ type: 'join', room: 'lunch', token: alice.last('joined').token, settings }));
+      expect(rejoined.last('joined').seat).toBe('player1');
+      expect(rejoined.last('attack').winner).toBe('you');
+
+      join(carol, 'lunch', settings);
+      expect(carol.last('joined').seat).toBe('player1');
+      expect(carol.last('error')).toBeUndefined();
+      expect(lobby.getRoomCount()).toBe(1);
+
+      lobby.disconnect(rejoined);
+      lobby.disconnect(bob);
+      lobby.disconnect(carol);
+      jest.advanceTimersByTime(1000);
+      expect(lobby.getRoomCount()).toBe(0);
+    });
+
+    test('drops a room once it has been empty for a while', () => {
+      const alice = FakeSocket();
+      join(alice, 'lunch');
+      lobby.disconnect(alice);
+
+      jest.advanceTimersByTime(999);
+      expect(lobby.getRoomCount()).toBe(1);
+      jest.advanceTimersByTime(1);
+      expect(lobby.getRoomCount()).toBe(0);
+    });
+  });
+});
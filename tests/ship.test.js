@@ -2,6 +2,7 @@
 // Jest test for the ship module
 
 import { Ship } from '../src/modules/ship/ship.js';
+import { FLEET_PRESETS } from '../src/utils/constants.js';
 let carrier, destroyer;
 describe('Ship Factory:', () => {
   beforeEach(() => {
@@ -47,4 +48,13 @@ describe('Ship Factory:', () => {
   test('throws error for invalid ship type', () => {
     expect(() => Ship('invalid-type')).toThrow('Invalid ship type: invalid-type');
   });
+
+  test('creates a ship from a custom ship type table', () => {
+    const boat = Ship('torpedoBoat', FLEET_PRESETS.russian);
+
+    expect(boat.type).toBe('torpedoBoat');
+    expect(boat.name).toBe('Torpedo Boat');
+    expect(boat.length).toBe(1);
+    expect(() => Ship('carrier', FLEET_PRESETS.russian)).toThrow('Invalid ship type: carrier');
+  });
 });
\ No newline at end of file
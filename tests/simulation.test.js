@@ -0,0 +1,90 @@
+/**
+ * @jest-environment node
+ */
+// <reference types="jest" />
+// Jest test for seeded randomness and the headless AI-vs-AI simulation
+
+import { createRandom } from '../src/utils/random.js';
+import { simulateMatch, runSimulation, summarizeShots, toCSV } from '../src/modules/simulation/simulation.js';
+
+describe('Simulation:', () => {
+  describe('Seeded Random:', () => {
+    test('repeats the same sequence for the same seed', () => {
+      const first = createRandom(42);
+      const second = createRandom(42);
+      const sequence = Array.from({ length: 5 }, () => first());
+
+      expect(Array.from({ length: 5 }, () => second())).toEqual(sequence);
+      expect(createRandom(43)()).not.toBe(sequence[0]);
+      sequence.forEach(value => {
+        expect(value).toBeGreaterThanOrEqual(0);
+        expect(value).toBeLessThan(1);
+      });
+    });
+
+    test('hashes string seeds and rejects anything else', () => {
+      expect(createRandom('2026-10-19')()).toBe(createRandom('2026-10-19')());
+      expect(createRandom('2026-10-19')()).not.toBe(createRandom('2026-10-20')());
+      expect(() => createRandom({})).toThrow('Invalid random seed');
+    });
+  });
+
+  describe('Shots Summary:', () => {
+    test('reports the mean, median, percentiles and confidence interval', () => {
+      const summary = summarizeShots([50, 40, 60, 30, 70]);
+
+      expect(summary).toMatchObject({ count: 5, mean: 50, median: 50, min: 30, max: 70, p10: 34, p25: 40, p75: 60, p90: 66 });
+      expect(summary.meanCI[0]).toBeCloseTo(50 - 1.96 * Math.sqrt(250 / 5));
+      expect(summary.meanCI[1]).toBeCloseTo(50 + 1.96 * Math.sqrt(250 / 5));
+    });
+
+    test('leaves figures empty without any wins', () => {
+      expect(summarizeShots([])).toMatchObject({ count: 0, mean: null, meanCI: null, median: null, p95: null });
+    });
+  });
+
+  describe('Matches:', () => {
+    test('plays a whole game between two computer players', () => {
+      const result = simulateMatch('hard', 'easy', { random: createRandom(1) });
+
+      expect(['A', 'B']).toContain(result.winner);
+      expect(result.shots).toBeGreaterThanOrEqual(17);
+      expect(result.shots).toBeLessThanOrEqual(100);
+    });
+
+    test('reproduces a run from its seed', () => {
+      const options = { games: 6, seed: 'repeatable', strategies: ['medium', 'easy'], rules: { gridSize: 8 } };
+
+      expect(runSimulation(options)).toEqual(runSimulation(options));
+    });
+
+    test('reports win rates with Wilson intervals', () => {
+      const report = runSimulation({ games: 10, seed: 3, strategies: ['hard', 'easy'] });
+      const [hard, easy] = report.players;
+
+      expect(report).toMatchObject({ seed: 3, games: 10 });
+      expect(hard.wins + easy.wins).toBe(10);
+      expect(hard.winRate).toBe(hard.wins / 10);
+      expect(hard.shotsToWin.count).toBe(hard.wins);
+      expect(hard.winRateCI[0]).toBeLessThanOrEqual(hard.winRate);
+      expect(hard.winRateCI[1]).toBeGreaterThanOrEqual(hard.winRate);
+      expect(hard.winRateCI[1]).toBeLessThanOrEqual(1);
+    });
+
+    test('rejects unknown strategies and game counts', () => {
+      expect(() => runSimulation({ strategies: ['hard', 'genius'] })).toThrow('Unknown AI strategy: genius');
+      expect(() => runSimulation({ games: 0 })).toThrow('Invalid game count: 0');
+    });
+  });
+
+  describe('CSV Export:', () => {
+    test('writes a header and one row per player', () => {
+      const report = runSimulation({ games: 2, seed: 5, strategies: ['easy', 'easy'], rules: { gridSize: 8 } });
+      const [header, ...rows] = toCSV(report).trim().split('\n');
+
+      expect(header.split(',').slice(0, 5)).toEqual(['player', 'strategy', 'games', 'seed', 'wins']);
+      expect(rows).toHaveLength(2);
+      expect(rows[0].startsWith('A,easy,2,5,')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,145 @@
+// <reference types="jest" />
+// Jest test for profile statistics and their storage
+
+import { summarizeGame, computeProfileStats, StatsPanel } from '../src/modules/stats/stats.js';
+import { loadProfiles, recordProfileGame, clearProfiles } from '../src/utils/storage.js';
+import { SHIP_TYPES } from '../src/utils/constants.js';
+
+// Builds a game record with the given moves
+const createRecord = (moves, winner) => ({
+  gridSize: 10,
+  playerNames: ['Alice', 'Bot'],
+  layouts: [[], []],
+  moves: moves.map(([attacker, result, sunkShipType = null], index) => ({ turn: index + 1, attacker, x: 0, y: index, result, sunkShipType })),
+  winner,
+});
+
+// Builds a game summary with the given figures
+const createSummary = (won, shots, hits, sinks = {}) => ({ date: '2026-01-01T00:00:00.000Z', opponent: 'Bot', gridSize: 10, won, shots, hits, sinks });
+
+describe('Profile Statistics:', () => {
+  describe('Game Summaries:', () => {
+    test('counts one player shots, hits and the shot that sank each ship', () => {
+      const record = createRecord([
+        ['player1', 'miss'],
+        ['player2', 'hit'],
+        ['player1', 'hit'],
+        ['player2', 'miss'],
+        ['player1', 'sunk', 'destroyer'],
+      ], 'player1');
+
+      const summary = summarizeGame(record, 'player1', new Date('2026-10-19T12:00:00Z'));
+
+      expect(summary).toEqual({
+        date: '2026-10-19T12:00:00.000Z',
+        opponent: 'Bot',
+        gridSize: 10,
+        won: true,
+        shots: 3,
+        hits: 2,
+        sinks: { destroyer: [3] },
+      });
+      expect(summarizeGame(record, 'player2')).toMatchObject({ won: false, shots: 2, hits: 1, opponent: 'Alice' });
+    });
+
+    test('ignores repeated shots at the same cell', () => {
+      const summary = summarizeGame(createRecord([['player1', 'miss'], ['player1', 'already attacked']], null), 'player1');
+
+      expect(summary.shots).toBe(1);
+    });
+  });
+
+  describe('Profile Stats:', () => {
+    test('aggregates results, accuracy and win speed', () => {
+      const stats = computeProfileStats([
+        createSummary(true, 50, 20, { destroyer: [10] }),
+        createSummary(false, 40, 10),
+        createSummary(true, 30, 20, { destroyer: [20], carrier: [25] }),
+      ]);
+
+      expect(stats).toMatchObject({ gamesPlayed: 3, wins: 2, losses: 1, averageShotsToWin: 40, fastestWin: 30 });
+      expect(stats.accuracy).toBeCloseTo(50 / 120);
+      expect(stats.sinkTiming).toEqual({ destroyer: 15, carrier: 25 });
+    });
+
+    test('reports no figures before any game', () => {
+      expect(computeProfileStats([])).toEqual({
+        gamesPlayed: 0,
+        wins: 0,
+        losses: 0,
+        accuracy: null,
+        recentAccuracy: null,
+        averageShotsToWin: null,
+        fastestWin: null,
+        sinkTiming: {},
+      });
+    });
+
+    test('measures recent form over the latest ten games', () => {
+      const games = [...Array(5).fill(createSummary(false, 10, 0)), ...Array(10).fill(createSummary(true, 10, 5))];
+
+      expect(computeProfileStats(games).recentAccuracy).toBe(0.5);
+    });
+  });
+
+  describe('Profile Storage:', () => {
+    beforeEach(() => {
+      localStorage.clear();
+    });
+
+    test('appends games to each profile', () => {
+      recordProfileGame('Alice', createSummary(true, 30, 17));
+      recordProfileGame('Alice', createSummary(false, 60, 14));
+      recordProfileGame('Bob', createSummary(true, 45, 17));
+
+      const profiles = loadProfiles();
+      expect(profiles.Alice.games).toHaveLength(2);
+      expect(profiles.Bob.games[0].shots).toBe(45);
+
+      clearProfiles();
+      expect(loadProfiles()).toEqual({});
+    });
+
+    test('treats unreadable data as no profiles', () => {
+      localStorage.setItem('battleship:profiles', '{oops');
+
+      expect(loadProfiles()).toEqual({});
+    });
+  });
+
+  describe('Stats Panel:', () => {
+    const profiles = {
+      Bob: { games: [createSummary(false, 40, 10)] },
+      Alice: { games: [createSummary(true, 30, 15, { destroyer: [12] })] },
+    };
+
+    beforeEach(() => {
+      document.body.innerHTML = '<div id="stats-container"></div>';
+    });
+
+    test('compares every profile in one table', () => {
+      StatsPanel(profiles, SHIP_TYPES).createPanel('stats-container');
+
+      const rows = [...document.querySelectorAll('.stats-table tbody tr')];
+      expect(rows.map(row => row.dataset.profile)).toEqual(['Alice', 'Bob']);
+      expect(rows[0].textContent).toContain('50%');
+      expect(document.querySelector('.stats-timing').textContent).toContain('Destroyer: shot 12');
+    });
+
+    test('exports stats and game history as JSON', () => {
+      const exported = JSON.parse(StatsPanel(profiles).exportJSON());
+
+      expect(exported.Alice.stats.wins).toBe(1);
+      expect(exported.Bob.games).toEqual(profiles.Bob.games);
+    });
+
+    test('says so when there are no games yet', () => {
+      const panel = StatsPanel({});
+      panel.createPanel('stats-container');
+      expect(document.querySelector('.stats-empty')).not.toBeNull();
+
+      panel.destroyPanel();
+      expect(document.querySelector('.stats-panel')).toBeNull();
+    });
+  });
+});